@@ -44,8 +44,19 @@ const easydbg = require('../lib');
 const Migrator = require('../lib/migrations/migrator');
 const Seeder = require('../lib/seeds/seeder');
 
-const db = easydbg(config);
-const migrator = new Migrator(db);
+function createClient() {
+  try {
+    return easydbg(config);
+  } catch (e) {
+    if (!(e instanceof easydbg.errors.ConfigurationError)) throw e;
+    console.error(chalk.red.bold('Erro na configuração do arquivo "easydbgfile.js":'));
+    e.errors.forEach(problem => console.error(chalk.yellow(`  - ${problem}`)));
+    process.exit(1);
+  }
+}
+
+const db = createClient();
+const migrator = new Migrator(db, config.migrations);
 const seeder = new Seeder(db);
 
 // --- Definição dos Comandos da CLI ---
@@ -77,10 +88,11 @@ yargs(process.argv.slice(2))
     'Executa todas as migrações pendentes.',
     async () => {
       try {
-        const { batch, migrations } = await migrator.latest();
+        const migrations = await migrator.latest();
         if (migrations.length === 0) {
           console.log(chalk.blue('Banco de dados já está atualizado. Nenhuma migração pendente.'));
         } else {
+          const batch = await migrator.repository.getLastBatchNumber();
           console.log(chalk.green(`Lote de migração #${batch} executado com sucesso:`));
           migrations.forEach(m => console.log(chalk.cyan('   -> Migrado:'), chalk.yellow(m)));
         }
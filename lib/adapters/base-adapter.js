@@ -0,0 +1,243 @@
+// lib/adapters/base-adapter.js
+
+'use strict';
+
+const QueryTimeoutError = require('../errors/QueryTimeoutError');
+
+// Conexões obtidas antes de desistir quando a `validationQuery` falha.
+const VALIDATION_ATTEMPTS = 2;
+
+/**
+ * @class BaseAdapter
+ *
+ * Classe base dos adaptadores de driver. Cada dialeto implementa um adaptador que
+ * isola as diferenças de API do seu driver (pg, mysql2, mssql, oracledb), de modo que
+ * o EasyDBGClient e a Transaction nunca chamam o driver diretamente.
+ *
+ * Contrato (implementado por todos os adaptadores):
+ * - `connect()`: cria o pool de conexões e o retorna.
+ * - `acquire()`: obtém uma conexão dedicada do pool (usada pelas transações).
+ * - `release(connection)`: devolve a conexão ao pool.
+ * - `execute(connection, sql, bindings, options)`: executa a consulta e retorna `{ rows, rowCount, insertId }`.
+ *   Se `connection` for `null`, a consulta é executada diretamente no pool. As opções `timeout`,
+ *   `cancel` e `signal` interrompem a consulta com o mecanismo nativo do driver, rejeitando
+ *   com um QueryTimeoutError.
+ * - `close()`: encerra o pool.
+ * - `stats()`: retorna `{ used, idle, pending }`, as conexões em uso, as ociosas e os pedidos
+ *   aguardando uma conexão.
+ * - `beginTransaction()`, `commitTransaction()` e `rollbackTransaction()`: controlam a transação
+ *   de uma conexão obtida com `acquire()`. Por padrão, executam os statements da gramática; os
+ *   drivers que controlam as transações pela própria API os sobrescrevem.
+ *
+ * O pool é configurado por `config.pool` (`min`, `max`, `idleTimeoutMillis`,
+ * `acquireTimeoutMillis`, `maxLifetimeMillis`, `validationQuery`); cada adaptador traduz
+ * essas opções para as do seu driver.
+ *
+ * Adicionar um dialeto significa criar um adaptador que estende esta classe.
+ */
+class BaseAdapter {
+  /**
+   * @param {object} config - A configuração completa do cliente (`client`, `connection`, etc.).
+   */
+  constructor(config) {
+    this.config = config;
+    this.pool = null;
+    this.poolConfig = config.pool || {};
+  }
+
+  /**
+   * Cria o pool de conexões.
+   * @returns {Promise<object>} O pool criado.
+   */
+  async connect() {
+    throw new Error(`O adaptador ${this.constructor.name} não implementa connect().`);
+  }
+
+  /**
+   * Obtém uma conexão dedicada do pool.
+   * @returns {Promise<object>}
+   */
+  async acquire() {
+    throw new Error(`O adaptador ${this.constructor.name} não implementa acquire().`);
+  }
+
+  /**
+   * Devolve uma conexão obtida com `acquire()` ao pool.
+   * @param {object} connection - A conexão.
+   * @returns {Promise<void>}
+   */
+  async release(connection) {
+    throw new Error(`O adaptador ${this.constructor.name} não implementa release().`);
+  }
+
+  /**
+   * Executa uma consulta com placeholders já no formato do driver.
+   * @param {object|null} connection - A conexão dedicada, ou `null` para usar o pool.
+   * @param {string} sql - A consulta SQL.
+   * @param {Array} bindings - Os valores dos placeholders.
+   * @param {object} [options={}]
+   * @param {number} [options.timeout] - O tempo limite da consulta, em milissegundos.
+   * @param {boolean} [options.cancel=false] - Cancela a consulta no servidor ao esgotar o tempo limite.
+   * @param {AbortSignal} [options.signal] - Cancela a consulta no servidor quando abortado.
+   * @returns {Promise<{rows: Array<object>, rowCount: number, insertId: (number|null)}>}
+   */
+  async execute(connection, sql, bindings, options = {}) {
+    throw new Error(`O adaptador ${this.constructor.name} não implementa execute().`);
+  }
+
+  /**
+   * Encerra o pool de conexões.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    throw new Error(`O adaptador ${this.constructor.name} não implementa close().`);
+  }
+
+  /**
+   * Retorna os contadores do pool.
+   * @returns {{used: number, idle: number, pending: number}}
+   */
+  stats() {
+    throw new Error(`O adaptador ${this.constructor.name} não implementa stats().`);
+  }
+
+  // --- Controle de Transação ---
+
+  /**
+   * Inicia uma transação na conexão obtida com `acquire()`.
+   * @param {object} connection - A conexão da transação.
+   * @param {string[]} statements - Os statements compilados pela gramática (ex: SET TRANSACTION, BEGIN).
+   * @param {Function} run - Executa um statement na conexão pelo cliente, com os eventos e os
+   *   erros de consulta.
+   * @param {object} [options={}] - As opções normalizadas de `db.transaction()`.
+   * @returns {Promise<void>}
+   */
+  async beginTransaction(connection, statements, run, options = {}) {
+    await this._runAll(statements, run);
+  }
+
+  /**
+   * Confirma a transação da conexão.
+   * @param {object} connection - A conexão da transação.
+   * @param {string[]} statements - Os statements compilados pela gramática (ex: COMMIT).
+   * @param {Function} run - Executa um statement na conexão pelo cliente.
+   * @returns {Promise<void>}
+   */
+  async commitTransaction(connection, statements, run) {
+    await this._runAll(statements, run);
+  }
+
+  /**
+   * Desfaz a transação da conexão.
+   * @param {object} connection - A conexão da transação.
+   * @param {string[]} statements - Os statements compilados pela gramática (ex: ROLLBACK).
+   * @param {Function} run - Executa um statement na conexão pelo cliente.
+   * @returns {Promise<void>}
+   */
+  async rollbackTransaction(connection, statements, run) {
+    await this._runAll(statements, run);
+  }
+
+  /**
+   * @private
+   * Executa os statements em ordem.
+   */
+  async _runAll(statements, run) {
+    for (const sql of statements) {
+      await run(sql);
+    }
+  }
+
+  /**
+   * @private
+   * Obtém uma conexão com `acquire` e, se `pool.validationQuery` estiver configurada, a
+   * valida antes de entregá-la. Uma conexão que falha na validação é descartada com
+   * `destroy` e substituída; se a substituta também falhar, o erro é lançado.
+   */
+  async _checkout(acquire, destroy) {
+    const { validationQuery } = this.poolConfig;
+    for (let attempt = 1; ; attempt++) {
+      const connection = await acquire();
+      if (!validationQuery) return connection;
+      try {
+        await this.execute(connection, validationQuery, []);
+        return connection;
+      } catch (err) {
+        await destroy(connection);
+        if (attempt >= VALIDATION_ATTEMPTS) throw err;
+      }
+    }
+  }
+
+  /**
+   * @private
+   * Executa a consulta de `run()` respeitando o tempo limite e o AbortSignal de `options`.
+   * O `signal` chama `interrupt()`, o cancelamento nativo do driver. O tempo limite também o
+   * chama com `cancel`; sem ele, apenas deixa de aguardar a consulta, que continua no servidor.
+   * Os dialetos com tempo limite nativo não passam `timeout` para este método.
+   */
+  async _interruptible(run, { timeout, cancel = false, signal } = {}, interrupt) {
+    if (signal && signal.aborted) throw this._timeoutError('abort');
+    if (!timeout && !signal) return run();
+
+    let reason = null;
+    let stopWaiting;
+    const abandoned = new Promise((resolve, reject) => { stopWaiting = reject; });
+    const stop = (cause) => {
+      if (reason) return;
+      reason = cause;
+      if (cause === 'timeout' && !cancel) stopWaiting(this._timeoutError(cause, timeout));
+      // A consulta interrompida é rejeitada pelo driver, e o erro é convertido abaixo.
+      else Promise.resolve().then(interrupt).catch(() => {});
+    };
+    const timer = timeout ? setTimeout(() => stop('timeout'), timeout) : null;
+    const onAbort = () => stop('abort');
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const query = Promise.resolve().then(run);
+    try {
+      return await Promise.race([query, abandoned]);
+    } catch (err) {
+      if (!reason || err instanceof QueryTimeoutError) throw err;
+      throw this._timeoutError(reason, timeout, err);
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      query.catch(() => {}); // A consulta abandonada pode falhar depois.
+    }
+  }
+
+  /**
+   * @private
+   * Cria o QueryTimeoutError de uma consulta interrompida. O cliente completa `sql` e `bindings`.
+   */
+  _timeoutError(reason, timeout = null, originalError) {
+    const message = reason === 'timeout'
+      ? `A consulta excedeu o tempo limite de ${timeout}ms.`
+      : 'A consulta foi cancelada pelo AbortSignal.';
+    return new QueryTimeoutError(message, { reason, timeout, originalError });
+  }
+
+  /**
+   * @private
+   * Remove as opções sem valor, para que os padrões do driver prevaleçam.
+   */
+  _compact(options) {
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * @private
+   * Executa `callback` com uma conexão obtida por `acquire()`, devolvendo-a ao final.
+   */
+  async _withConnection(callback) {
+    const connection = await this.acquire();
+    try {
+      return await callback(connection);
+    } finally {
+      await this.release(connection);
+    }
+  }
+}
+
+module.exports = BaseAdapter;
@@ -0,0 +1,143 @@
+// lib/adapters/mssql-adapter.js
+
+'use strict';
+
+const BaseAdapter = require('./base-adapter');
+const TransactionError = require('../errors/TransactionError');
+
+/**
+ * @class MssqlAdapter
+ * @extends BaseAdapter
+ *
+ * Adaptador para o driver `mssql`. Cada consulta é um `Request` com parâmetros nomeados
+ * (@param0, @param1, ...), que substituem os placeholders '?'.
+ *
+ * O pool do mssql (tarn) não limita a idade das conexões, então `maxLifetimeMillis` não tem
+ * efeito. O próprio driver valida cada conexão com `SELECT 1` antes de usá-la, no lugar da
+ * `validationQuery`.
+ *
+ * O tempo limite (com `cancel`) e o `signal` interrompem a consulta com `request.cancel()`.
+ *
+ * As requisições do pool não fixam uma conexão, então cada transação é um `Transaction` do
+ * mssql: ele reserva uma conexão do `begin()` ao `commit()`/`rollback()`, e as consultas da
+ * transação (inclusive os savepoints) são requisições dele.
+ */
+class MssqlAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config);
+    // Transações iniciadas com um nível de isolamento, que precisa ser restaurado na conexão.
+    this._isolated = new WeakSet();
+  }
+
+  async connect() {
+    const mssql = require('mssql');
+    // Um pool próprio (em vez do global de `mssql.connect()`) permite vários clientes no mesmo processo.
+    this.pool = new mssql.ConnectionPool({ ...this.config.connection, ...this._poolOptions() });
+    await this.pool.connect();
+    return this.pool;
+  }
+
+  /**
+   * O driver mssql não expõe conexões avulsas do pool; a transação do driver reserva uma
+   * conexão ao ser iniciada em `beginTransaction()`.
+   * @override
+   */
+  async acquire() {
+    const mssql = require('mssql');
+    return new mssql.Transaction(this.pool);
+  }
+
+  async release(connection) {
+    // Nada a devolver: o `commit()` e o `rollback()` da transação do driver já devolvem a conexão.
+  }
+
+  /**
+   * Inicia a transação pela API do driver, com o nível de isolamento das opções. O
+   * BEGIN TRANSACTION da gramática não é executado, pois não fixaria a conexão.
+   * @override
+   */
+  async beginTransaction(transaction, statements, run, { isolationLevel = null } = {}) {
+    const mssql = require('mssql');
+    const level = isolationLevel ? mssql.ISOLATION_LEVEL[isolationLevel.replace(/ /g, '_')] : undefined;
+    await this._control(() => transaction.begin(level));
+    if (level) this._isolated.add(transaction);
+  }
+
+  /**
+   * @override
+   */
+  async commitTransaction(transaction) {
+    await this._resetIsolation(transaction);
+    await this._control(() => transaction.commit());
+  }
+
+  /**
+   * Desfaz a transação. Uma transação que o servidor já desfez (ex: com XACT_ABORT) ou que
+   * nem chegou a começar não tem o que desfazer.
+   * @override
+   */
+  async rollbackTransaction(transaction) {
+    await this._resetIsolation(transaction);
+    try {
+      await transaction.rollback();
+    } catch (err) {
+      if (err.code !== 'EABORT' && err.code !== 'ENOTBEGUN') throw new TransactionError(err);
+    }
+  }
+
+  async execute(connection, sql, bindings, options = {}) {
+    const request = (connection || this.pool).request();
+    bindings.forEach((value, i) => request.input(`param${i}`, value));
+
+    let index = 0;
+    const text = sql.replace(/\?/g, () => `@param${index++}`);
+    const result = await this._interruptible(() => request.query(text), options, () => request.cancel());
+    const rowCount = (result.rowsAffected || []).reduce((total, count) => total + count, 0);
+    return { rows: result.recordset || [], rowCount, insertId: null };
+  }
+
+  async close() {
+    await this.pool.close();
+  }
+
+  stats() {
+    return { used: this.pool.borrowed, idle: this.pool.available, pending: this.pool.pending };
+  }
+
+  /**
+   * @private
+   * Executa um comando da transação do driver, convertendo a falha em um TransactionError.
+   */
+  async _control(command) {
+    try {
+      await command();
+    } catch (err) {
+      throw new TransactionError(err);
+    }
+  }
+
+  /**
+   * @private
+   * O nível de isolamento continua valendo na conexão depois da transação, então ele volta ao
+   * padrão (READ COMMITTED) antes do fim dela, enquanto a conexão ainda está reservada.
+   */
+  async _resetIsolation(transaction) {
+    if (!this._isolated.delete(transaction)) return;
+    try {
+      await transaction.request().query('SET TRANSACTION ISOLATION LEVEL READ COMMITTED');
+    } catch (err) {
+      // Uma transação já desfeita pelo servidor devolveu a conexão, e não há o que restaurar.
+    }
+  }
+
+  /**
+   * @private
+   * Traduz `config.pool` para as opções do `ConnectionPool`.
+   */
+  _poolOptions() {
+    const { min, max, idleTimeoutMillis, acquireTimeoutMillis } = this.poolConfig;
+    return { pool: this._compact({ min, max, idleTimeoutMillis, acquireTimeoutMillis }) };
+  }
+}
+
+module.exports = MssqlAdapter;
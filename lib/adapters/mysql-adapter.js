@@ -0,0 +1,127 @@
+// lib/adapters/mysql-adapter.js
+
+'use strict';
+
+const BaseAdapter = require('./base-adapter');
+
+/**
+ * @class MySqlAdapter
+ * @extends BaseAdapter
+ *
+ * Adaptador para o driver `mysql2/promise`. As consultas retornam `[rows, fields]`, onde
+ * `rows` é um array de linhas para leituras e um ResultSetHeader para escritas.
+ *
+ * O mysql2 não tem tempo limite de espera por conexão nem idade máxima de conexão; o
+ * adaptador implementa `acquireTimeoutMillis`, `maxLifetimeMillis` e `validationQuery`.
+ *
+ * O tempo limite das consultas é o `timeout` do mysql2, que apenas deixa de aguardar o
+ * servidor. Com `cancel` ou `signal`, a consulta é interrompida com `KILL QUERY`, enviado
+ * por outra conexão do pool com o id da conexão que a executa.
+ */
+class MySqlAdapter extends BaseAdapter {
+  async connect() {
+    const mysql2 = require('mysql2/promise');
+    this.pool = mysql2.createPool({ ...this.config.connection, ...this._poolOptions() });
+    this._trackLifetime();
+    return this.pool;
+  }
+
+  async acquire() {
+    return this._checkout(() => this._getConnection(), connection => connection.destroy());
+  }
+
+  async release(connection) {
+    connection.release();
+  }
+
+  async execute(connection, sql, bindings, options = {}) {
+    const { timeout, cancel, signal } = options;
+    // `pool.query()` não passaria pela validação nem pelo tempo limite de espera, nem
+    // informaria o id da conexão a cancelar.
+    if (!connection && (this.poolConfig.validationQuery || this.poolConfig.acquireTimeoutMillis || cancel || signal)) {
+      return this._withConnection(pooled => this.execute(pooled, sql, bindings, options));
+    }
+
+    const killQuery = () => this.pool.query(`KILL QUERY ${parseInt(connection.threadId, 10)}`);
+    const query = timeout ? { sql, timeout } : sql;
+    let result;
+    try {
+      [result] = await this._interruptible(() => (connection || this.pool).query(query, bindings), { signal }, killQuery);
+    } catch (err) {
+      if (err.code !== 'PROTOCOL_SEQUENCE_TIMEOUT') throw err;
+      // Sem o KILL, a consulta continua no servidor, ocupando a conexão.
+      if (cancel) await killQuery().catch(() => {});
+      throw this._timeoutError('timeout', timeout, err);
+    }
+    if (Array.isArray(result)) {
+      return { rows: result, rowCount: result.length, insertId: null };
+    }
+    return { rows: [], rowCount: result.affectedRows || 0, insertId: result.insertId || null };
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  stats() {
+    // O mysql2 não expõe contadores públicos; as filas internas do pool são a única fonte.
+    const pool = this.pool.pool;
+    const idle = pool._freeConnections.length;
+    return { used: pool._allConnections.length - idle, idle, pending: pool._connectionQueue.length };
+  }
+
+  /**
+   * @private
+   * Traduz `config.pool` para as opções do `createPool`. O mysql2 fecha as conexões ociosas
+   * além de `maxIdle` e, depois de `idleTimeout`, também as demais.
+   */
+  _poolOptions() {
+    const { min, max, idleTimeoutMillis } = this.poolConfig;
+    const maxIdle = min !== undefined || idleTimeoutMillis === undefined ? min : 0;
+    return this._compact({ connectionLimit: max, maxIdle, idleTimeout: idleTimeoutMillis });
+  }
+
+  /**
+   * @private
+   * Obtém uma conexão do pool respeitando `acquireTimeoutMillis`. Uma conexão que chegar
+   * depois do tempo limite é devolvida ao pool.
+   */
+  _getConnection() {
+    const timeout = this.poolConfig.acquireTimeoutMillis;
+    const pending = this.pool.getConnection();
+    if (!timeout) return pending;
+
+    return new Promise((resolve, reject) => {
+      let expired = false;
+      const timer = setTimeout(() => {
+        expired = true;
+        reject(new Error(`Tempo limite de ${timeout}ms esgotado ao aguardar uma conexão do pool.`));
+      }, timeout);
+      pending.then((connection) => {
+        clearTimeout(timer);
+        if (expired) connection.release();
+        else resolve(connection);
+      }, (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * @private
+   * Descarta as conexões com mais de `maxLifetimeMillis` quando elas voltam ao pool.
+   */
+  _trackLifetime() {
+    const { maxLifetimeMillis } = this.poolConfig;
+    if (!maxLifetimeMillis) return;
+
+    const createdAt = new WeakMap();
+    this.pool.on('connection', connection => createdAt.set(connection, Date.now()));
+    this.pool.on('release', (connection) => {
+      if (Date.now() - createdAt.get(connection) >= maxLifetimeMillis) connection.destroy();
+    });
+  }
+}
+
+module.exports = MySqlAdapter;
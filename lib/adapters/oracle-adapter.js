@@ -0,0 +1,130 @@
+// lib/adapters/oracle-adapter.js
+
+'use strict';
+
+const BaseAdapter = require('./base-adapter');
+
+/**
+ * @class OracleAdapter
+ * @extends BaseAdapter
+ *
+ * Adaptador para o driver `oracledb`. As conexões expõem `execute()` (e não `query()`),
+ * e precisam ser fechadas com `close()` para voltar ao pool.
+ *
+ * Os tempos do pool do oracledb são em segundos (exceto `queueTimeout`), então os valores
+ * de `config.pool` em milissegundos são arredondados para cima.
+ *
+ * O tempo limite das consultas é o `callTimeout` da conexão, que sempre interrompe a consulta
+ * no servidor (com ou sem `cancel`); o `signal` a interrompe com `connection.break()`.
+ */
+class OracleAdapter extends BaseAdapter {
+  async connect() {
+    const oracledb = require('oracledb');
+    this.pool = await oracledb.createPool({ ...this.config.connection, ...this._poolOptions() });
+    return this.pool;
+  }
+
+  async acquire() {
+    // `drop: true` fecha a conexão em vez de devolvê-la ao pool.
+    return this._checkout(() => this.pool.getConnection(), connection => connection.close({ drop: true }));
+  }
+
+  async release(connection) {
+    await connection.close();
+  }
+
+  /**
+   * Executa a consulta. Sem uma conexão dedicada, uma conexão é obtida do pool só para
+   * esta consulta, com autocommit; em uma transação, o commit fica a cargo dela.
+   * @override
+   */
+  async execute(connection, sql, bindings, options = {}) {
+    if (!connection) {
+      return this._withConnection(pooled => this._execute(pooled, sql, bindings, true, options));
+    }
+    return this._execute(connection, sql, bindings, false, options);
+  }
+
+  async close() {
+    await this.pool.close();
+  }
+
+  stats() {
+    const { connectionsOpen, connectionsInUse } = this.pool;
+    // Sem `enableStatistics`, o oracledb não expõe o tamanho da fila; lê-se a fila interna.
+    const pending = this.pool._connRequestQueue ? this.pool._connRequestQueue.length : 0;
+    return { used: connectionsInUse, idle: connectionsOpen - connectionsInUse, pending };
+  }
+
+  /**
+   * @private
+   * Traduz `config.pool` para as opções do `createPool`.
+   */
+  _poolOptions() {
+    const { min, max, idleTimeoutMillis, acquireTimeoutMillis, maxLifetimeMillis } = this.poolConfig;
+    const seconds = millis => millis && Math.ceil(millis / 1000);
+    return this._compact({
+      poolMin: min,
+      poolMax: max,
+      poolTimeout: seconds(idleTimeoutMillis),
+      queueTimeout: acquireTimeoutMillis,
+      maxLifetimeSession: seconds(maxLifetimeMillis),
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _execute(connection, sql, bindings, autoCommit, { timeout, signal } = {}) {
+    const oracledb = require('oracledb');
+    const previousTimeout = connection.callTimeout;
+    if (timeout) connection.callTimeout = timeout;
+
+    let result;
+    try {
+      result = await this._interruptible(() => connection.execute(sql, this._toOracleBinds(bindings), {
+        autoCommit,
+        outFormat: oracledb.OUT_FORMAT_OBJECT,
+      }), { signal }, () => connection.break());
+    } catch (err) {
+      // DPI-1067: o tempo do `callTimeout` foi excedido.
+      if (timeout && /DPI-1067/.test(err.message)) throw this._timeoutError('timeout', timeout, err);
+      throw err;
+    } finally {
+      if (timeout) connection.callTimeout = previousTimeout || 0;
+    }
+    const rows = result.outBinds ? this._outBindsToRows(bindings, result.outBinds) : (result.rows || []);
+    return { rows, rowCount: result.rowsAffected || 0, insertId: null };
+  }
+
+  /**
+   * @private
+   * Converte os marcadores `{ dir: 'out' }` da cláusula `RETURNING ... INTO` em out-binds do oracledb.
+   */
+  _toOracleBinds(bindings) {
+    const oracledb = require('oracledb');
+    return bindings.map(value => (this._isOutBind(value) ? { dir: oracledb.BIND_OUT } : value));
+  }
+
+  /**
+   * @private
+   * Monta as linhas retornadas a partir dos out-binds do Oracle.
+   * Cada out-bind de um `RETURNING ... INTO` traz um array com um valor por linha afetada.
+   */
+  _outBindsToRows(bindings, outBinds) {
+    const columns = bindings.filter(value => this._isOutBind(value)).map(marker => marker.column);
+    const count = outBinds.length > 0 ? outBinds[0].length : 0;
+    return Array.from({ length: count }, (_, row) => {
+      return Object.fromEntries(columns.map((column, i) => [column, outBinds[i][row]]));
+    });
+  }
+
+  /**
+   * @private
+   */
+  _isOutBind(value) {
+    return value !== null && typeof value === 'object' && value.dir === 'out';
+  }
+}
+
+module.exports = OracleAdapter;
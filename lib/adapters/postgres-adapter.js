@@ -0,0 +1,95 @@
+// lib/adapters/postgres-adapter.js
+
+'use strict';
+
+const BaseAdapter = require('./base-adapter');
+
+/**
+ * @class PostgresAdapter
+ * @extends BaseAdapter
+ *
+ * Adaptador para o driver `pg`. As consultas retornam um objeto Result com `rows` e `rowCount`.
+ *
+ * O `pg.Pool` tem equivalentes nativos para as opções de pool, exceto a `validationQuery`,
+ * que é executada pelo adaptador a cada conexão obtida.
+ *
+ * Consultas com `cancel` ou `signal` rodam em uma conexão dedicada: o tempo limite com `cancel`
+ * usa o `statement_timeout` da sessão, e o `signal` chama `pg_cancel_backend()` com o PID dela.
+ */
+class PostgresAdapter extends BaseAdapter {
+  async connect() {
+    const { Pool } = require('pg');
+    this.pool = new Pool({ ...this.config.connection, ...this._poolOptions() });
+    return this.pool;
+  }
+
+  async acquire() {
+    // `release(true)` descarta a conexão em vez de devolvê-la ao pool.
+    return this._checkout(() => this.pool.connect(), client => client.release(true));
+  }
+
+  async release(connection) {
+    connection.release();
+  }
+
+  async execute(connection, sql, bindings, options = {}) {
+    const { timeout, cancel, signal } = options;
+    // `pool.query()` não passaria pela validação da conexão, nem informaria o PID a cancelar.
+    if (!connection && (this.poolConfig.validationQuery || cancel || signal)) {
+      return this._withConnection(pooled => this.execute(pooled, sql, bindings, options));
+    }
+    if (timeout && cancel) {
+      return this._withStatementTimeout(connection, timeout, () => this.execute(connection, sql, bindings, { signal }));
+    }
+
+    const cancelBackend = () => this.pool.query('SELECT pg_cancel_backend($1)', [connection.processID]);
+    const result = await this._interruptible(() => (connection || this.pool).query(sql, bindings), options, cancelBackend);
+    return { rows: result.rows || [], rowCount: result.rowCount || 0, insertId: null };
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  stats() {
+    const { totalCount, idleCount, waitingCount } = this.pool;
+    return { used: totalCount - idleCount, idle: idleCount, pending: waitingCount };
+  }
+
+  /**
+   * @private
+   * Executa `run()` com o `statement_timeout` da sessão, restaurando o padrão ao final. Em uma
+   * transação abortada pelo cancelamento, a restauração falha, mas o ROLLBACK desfaz o SET.
+   */
+  async _withStatementTimeout(connection, timeout, run) {
+    await connection.query(`SET statement_timeout = ${parseInt(timeout, 10)}`);
+    try {
+      return await run();
+    } catch (err) {
+      // 57014 (query_canceled) também é o código do `pg_cancel_backend()`.
+      if (err.code === '57014' && /statement timeout/.test(err.message)) {
+        throw this._timeoutError('timeout', timeout, err);
+      }
+      throw err;
+    } finally {
+      await connection.query('SET statement_timeout TO DEFAULT').catch(() => {});
+    }
+  }
+
+  /**
+   * @private
+   * Traduz `config.pool` para as opções do `pg.Pool`.
+   */
+  _poolOptions() {
+    const { min, max, idleTimeoutMillis, acquireTimeoutMillis, maxLifetimeMillis } = this.poolConfig;
+    return this._compact({
+      min,
+      max,
+      idleTimeoutMillis,
+      connectionTimeoutMillis: acquireTimeoutMillis,
+      maxLifetimeSeconds: maxLifetimeMillis && Math.ceil(maxLifetimeMillis / 1000),
+    });
+  }
+}
+
+module.exports = PostgresAdapter;
@@ -0,0 +1,102 @@
+// lib/adapters/sqlite-adapter.js
+
+'use strict';
+
+const BaseAdapter = require('./base-adapter');
+
+const INSERT_STATEMENT = /^\s*insert\b/i;
+const UPSERT_CLAUSE = /\bon\s+conflict\b/i;
+
+/**
+ * @class SqliteAdapter
+ * @extends BaseAdapter
+ *
+ * Adaptador para o driver `better-sqlite3`. O banco (um arquivo ou `:memory:`) é aberto
+ * uma única vez e faz o papel do pool: todas as consultas usam a mesma conexão.
+ *
+ * Por isso as transações são serializadas: `acquire()` espera a transação anterior
+ * terminar, e consultas fora de uma transação esperam a transação em andamento, em vez
+ * de rodarem dentro dela. Dentro de `db.transaction()`, use sempre o `trx` recebido.
+ * As opções de `config.pool` não se aplicam.
+ *
+ * O driver executa as consultas de forma síncrona, sem como interrompê-las: o tempo limite
+ * não tem efeito, e apenas um `signal` já abortado impede a execução.
+ */
+class SqliteAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config);
+    this._queue = Promise.resolve(); // Resolve quando a última transação liberar a conexão
+    this._releaseLock = null;
+    this._waiting = 0; // Transações aguardando a conexão
+  }
+
+  async connect() {
+    const Database = require('better-sqlite3');
+    const { filename, ...options } = this.config.connection;
+    this.pool = new Database(filename, options);
+    // As chaves estrangeiras vêm desligadas no SQLite; os demais bancos sempre as validam.
+    this.pool.pragma('foreign_keys = ON');
+    return this.pool;
+  }
+
+  async acquire() {
+    const previous = this._queue;
+    let releaseLock;
+    this._queue = new Promise(resolve => { releaseLock = resolve; });
+    this._waiting++;
+    await previous;
+    this._waiting--;
+    this._releaseLock = releaseLock;
+    return this.pool;
+  }
+
+  async release(connection) {
+    const releaseLock = this._releaseLock;
+    this._releaseLock = null;
+    releaseLock();
+  }
+
+  /**
+   * Executa a consulta. O driver é síncrono; statements que retornam linhas (SELECT,
+   * PRAGMA, RETURNING) usam `all()`, e os demais usam `run()`.
+   * @override
+   */
+  async execute(connection, sql, bindings, options = {}) {
+    if (options.signal && options.signal.aborted) throw this._timeoutError('abort');
+    if (!connection) await this._queue;
+
+    const statement = this.pool.prepare(sql);
+    const values = bindings.map(value => this._toSqliteValue(value));
+    if (statement.reader) {
+      const rows = statement.all(values);
+      return { rows, rowCount: rows.length, insertId: null };
+    }
+    const info = statement.run(values);
+    // lastInsertRowid guarda o último INSERT da conexão, mesmo que esta consulta não seja um
+    // (ou seja um upsert que apenas atualizou uma linha existente).
+    const inserted = INSERT_STATEMENT.test(sql) && !UPSERT_CLAUSE.test(sql) && info.changes > 0;
+    return { rows: [], rowCount: info.changes, insertId: inserted ? info.lastInsertRowid : null };
+  }
+
+  async close() {
+    this.pool.close();
+  }
+
+  stats() {
+    const used = this._releaseLock ? 1 : 0;
+    return { used, idle: 1 - used, pending: this._waiting };
+  }
+
+  /**
+   * @private
+   * O better-sqlite3 só aceita números, strings, BigInt, Buffers e null como parâmetros.
+   */
+  _toSqliteValue(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    if (value === undefined) return null;
+    return value;
+  }
+}
+
+module.exports = SqliteAdapter;
@@ -2,110 +2,176 @@
 
 'use strict';
 
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const { performance } = require('perf_hooks');
+
 // Builders
 const QueryBuilder = require('./query/builder');
 const SchemaBuilder = require('./schema/builder');
 const Transaction = require('./transaction');
+const Raw = require('./query/raw');
+const FunctionHelper = require('./query/function-helper');
 
 // Grammars
 const MySqlGrammar = require('./query/grammars/mysql-grammar');
 const PostgresGrammar = require('./query/grammars/postgres-grammar');
 const MssqlGrammar = require('./query/grammars/mssql-grammar');
 const OracleGrammar = require('./query/grammars/oracle-grammar');
+const SqliteGrammar = require('./query/grammars/sqlite-grammar');
+const MariaDbGrammar = require('./query/grammars/mariadb-grammar');
+const CockroachDbGrammar = require('./query/grammars/cockroachdb-grammar');
 const MySqlSchemaGrammar = require('./schema/grammars/mysql-schema-grammar');
 const PostgresSchemaGrammar = require('./schema/grammars/postgres-schema-grammar');
 const MssqlSchemaGrammar = require('./schema/grammars/mssql-schema-grammar');
 const OracleSchemaGrammar = require('./schema/grammars/oracle-schema-grammar');
+const SqliteSchemaGrammar = require('./schema/grammars/sqlite-schema-grammar');
+const MariaDbSchemaGrammar = require('./schema/grammars/mariadb-schema-grammar');
+const CockroachDbSchemaGrammar = require('./schema/grammars/cockroachdb-schema-grammar');
+
+// Adapters
+const PostgresAdapter = require('./adapters/postgres-adapter');
+const MySqlAdapter = require('./adapters/mysql-adapter');
+const MssqlAdapter = require('./adapters/mssql-adapter');
+const OracleAdapter = require('./adapters/oracle-adapter');
+const SqliteAdapter = require('./adapters/sqlite-adapter');
 
 // Errors
 const ConnectionError = require('./errors/ConnectionError');
-const QueryError = require('./errors/QueryError');
+const QueryTimeoutError = require('./errors/QueryTimeoutError');
+const UniqueViolationError = require('./errors/UniqueViolationError');
+const ForeignKeyViolationError = require('./errors/ForeignKeyViolationError');
+const NotNullViolationError = require('./errors/NotNullViolationError');
+const CheckViolationError = require('./errors/CheckViolationError');
+const DeadlockError = require('./errors/DeadlockError');
+const UndefinedTableError = require('./errors/UndefinedTableError');
+const UndefinedColumnError = require('./errors/UndefinedColumnError');
 
 // Utils
 const parameterHandler = require('./utils/parameter-handler');
-const chalk = require('chalk');
+const configValidator = require('./utils/config-validator');
+const errorClassifier = require('./utils/error-classifier');
+const logger = require('./utils/logger');
+const retryPolicy = require('./utils/retry-policy');
+
+// Statements de escrita, cujo resultado segue o formato { rowCount, insertId, rows }.
+// O UPSERT é o upsert nativo do CockroachDB.
+const WRITE_STATEMENT = /^\s*(insert|upsert|update|delete|merge)\b/i;
+
+// Modos de propagação de `transaction()` quando já há uma transação ativa.
+const PROPAGATIONS = ['REQUIRED', 'REQUIRES_NEW', 'NESTED'];
 
 /**
  * @class EasyDBGClient
+ * @extends EventEmitter
  * A fachada principal para interagir com o banco de dados.
+ *
+ * Eventos emitidos, para logs, métricas e tracing:
+ * - `query`: `{ queryId, sql, bindings, transactionId }`, antes de cada consulta;
+ * - `query-response`: `{ queryId, sql, bindings, transactionId, duration, rowCount }`;
+ * - `query-error`: `{ queryId, sql, bindings, transactionId, duration, error }`, com o QueryError;
+ * - `connect`: `{ client, serverVersion }` e `disconnect`: `{ client }`;
+ * - `transaction:begin`: `{ transactionId }`;
+ * - `transaction:commit` e `transaction:rollback`: `{ transactionId, duration }`.
+ *
+ * `sql` e `bindings` são os enviados ao driver; `duration` é em milissegundos, e
+ * `transactionId` é `null` fora de uma transação.
  */
-class EasyDBGClient {
+class EasyDBGClient extends EventEmitter {
   constructor(config) {
-    if (!config || !config.client || !config.connection) {
-      throw new Error('Configuração inválida. É necessário especificar "client" e "connection".');
-    }
+    super();
+    // Valida e normaliza a configuração (inclusive URLs de conexão) antes de carregar qualquer driver.
+    const warnings = [];
+    config = configValidator.validate(config, warnings);
     this.config = config;
-    this.clientType = config.client.toLowerCase();
+    this.clientType = config.client;
     this.pool = null;
 
+    // Logger usado pelo cliente, pelas gramáticas, migrations e seeds (`config.log`).
+    this.log = logger.createLogger(config.log);
+    warnings.forEach(warning => this.log.warn(`Configuração: ${warning}`));
+
+    // Novas tentativas após erros transitórios (deadlocks, failover, etc.), de `config.retry`.
+    this.retryPolicy = retryPolicy.normalize(config.retry);
+
     this.grammar = this._getGrammar('query');
     this.schemaGrammar = this._getGrammar('schema');
+
+    // Versão do servidor, que liga recursos da gramática. Detectada em `connect()`,
+    // a menos que seja informada na configuração.
+    this.serverVersion = null;
+    if (config.version) this._setServerVersion(config.version);
+
+    // Com réplicas de leitura, `adapter` é o primário e `readAdapters` são as réplicas.
+    const replicated = configValidator.isReplicated(config.connection);
+    this.adapter = this._getAdapter(replicated ? config.connection.write : config.connection);
+    this.readAdapters = replicated ? config.connection.read.map(replica => this._getAdapter(replica)) : [];
+    this._nextReplica = 0;
+    // Escopos abertos com `scope()`, que registram se já houve uma escrita.
+    this._scopes = new AsyncLocalStorage();
+    // Com `config.implicitTransactions`, a transação ativa no contexto assíncrono atual.
+    this._transactions = new AsyncLocalStorage();
+
+    // Contadores que identificam consultas e transações nos eventos.
+    this._lastQueryId = 0;
+    this._lastTransactionId = 0;
+
     this.schema = new SchemaBuilder(this);
-    
-    this.fn = { now: () => 'now()' };
+
+    // Helpers de funções SQL (now, coalesce, lower, cast) que retornam expressões Raw.
+    this.fn = new FunctionHelper(this.grammar);
   }
 
   /**
-   * Inicia o pool de conexões com o banco de dados.
+   * Inicia os pools de conexões com o banco de dados (o primário e as réplicas de leitura).
    */
   async connect() {
     if (this.pool) return;
 
-    try {
-      switch (this.clientType) {
-        case 'postgres':
-          const { Pool: PgPool } = require('pg');
-          this.pool = new PgPool(this.config.connection);
-          break;
-        case 'mysql':
-          const mysql2 = require('mysql2/promise');
-          this.pool = mysql2.createPool(this.config.connection);
-          break;
-        case 'mssql':
-          const mssql = require('mssql');
-          this.pool = await mssql.connect(this.config.connection);
-          break;
-        case 'oracle':
-          const oracledb = require('oracledb');
-          oracledb.outFormat = oracledb.OUT_FORMAT_OBJECT;
-          this.pool = await oracledb.createPool(this.config.connection);
-          break;
-        default:
-          throw new Error(`Cliente de banco de dados não suportado: ${this.clientType}`);
+    const adapters = [this.adapter, ...this.readAdapters];
+    const pools = [];
+    for (const adapter of adapters) {
+      try {
+        pools.push(await this._connectAdapter(adapter));
+      } catch (err) {
+        // Um pool criado com credenciais inválidas manteria o processo vivo.
+        await Promise.all(adapters.filter(opened => opened.pool).map(opened => opened.close().catch(() => {})));
+        const friendlyMessage = this._getFriendlyConnectionErrorMessage(err, adapter.config.connection);
+        throw new ConnectionError(friendlyMessage, { originalError: err });
       }
-      // Testa a conexão para falhar rapidamente se as credenciais estiverem erradas.
-      const connection = await (this.pool.getConnection ? this.pool.getConnection() : this.pool.connect());
-      if (connection.release) connection.release();
-
-    } catch (err) {
-      const friendlyMessage = this._getFriendlyConnectionErrorMessage(err);
-      throw new ConnectionError(friendlyMessage, { originalError: err });
     }
+    this.pool = pools[0];
+    this.emit('connect', { client: this.clientType, serverVersion: this.serverVersion });
   }
 
   /**
-   * Encerra o pool de conexões de forma segura.
+   * Encerra os pools de conexões de forma segura.
    */
   async disconnect() {
     if (!this.pool) return;
     try {
-      switch (this.clientType) {
-        case 'postgres':
-        case 'mysql':
-          await this.pool.end();
-          break;
-        case 'mssql':
-        case 'oracle':
-          await this.pool.close();
-          break;
-      }
+      await Promise.all([this.adapter, ...this.readAdapters].map(adapter => adapter.close()));
     } catch (error) {
-      console.error(`Ocorreu um erro ao tentar desconectar: ${error.message}`);
+      this.log.error('Ocorreu um erro ao tentar desconectar.', { client: this.clientType, error: logger.redactError(error, this.config.redactBindings) });
     } finally {
       this.pool = null;
+      this.emit('disconnect', { client: this.clientType });
     }
   }
 
+  /**
+   * Retorna os contadores do pool de conexões.
+   * @returns {{used: number, idle: number, pending: number}} Conexões em uso, conexões ociosas
+   * e pedidos aguardando uma conexão no primário. Antes de `connect()`, todos são zero.
+   * Com réplicas de leitura, `replicas` traz os contadores de cada uma.
+   */
+  poolStats() {
+    const statsOf = adapter => (this.pool ? adapter.stats() : { used: 0, idle: 0, pending: 0 });
+    const stats = statsOf(this.adapter);
+    if (this.readAdapters.length === 0) return stats;
+    return { ...stats, replicas: this.readAdapters.map(statsOf) };
+  }
+
   /**
    * Inicia uma instância do QueryBuilder para uma tabela específica.
    */
@@ -114,95 +180,388 @@ class EasyDBGClient {
   }
 
   /**
-   * Executa uma consulta SQL crua.
+   * Cria uma expressão SQL literal, que pode ser usada em qualquer ponto do Query Builder.
+   * @param {string} sql - O fragmento SQL, com placeholders '?'.
+   * @param {Array} [bindings=[]] - Os valores dos placeholders.
+   * @returns {Raw}
    */
-  async query(sql, bindings = []) {
+  raw(sql, bindings = []) {
+    return new Raw(sql, bindings);
+  }
+
+  /**
+   * Executa uma consulta SQL crua no primário.
+   * @param {string} sql - A consulta, com placeholders '?'.
+   * @param {Array} [bindings=[]] - Os valores dos placeholders.
+   * @param {object} [options={}]
+   * @param {boolean} [options.replica=false] - Executa a consulta (uma leitura) em uma réplica, se houver.
+   * @param {number} [options.timeout] - O tempo limite, em milissegundos. Esgotado, a consulta é
+   *   rejeitada com um QueryTimeoutError.
+   * @param {boolean} [options.cancel=false] - Ao esgotar o tempo limite, cancela a consulta no servidor.
+   * @param {AbortSignal} [options.signal] - Cancela a consulta no servidor quando abortado.
+   * @param {boolean} [options.idempotent] - Permite repetir a consulta após um erro transitório
+   *   (ver `config.retry`). Por padrão, apenas leituras são repetidas.
+   *
+   * @example
+   * const controller = new AbortController();
+   * req.on('close', () => controller.abort());
+   * const rows = await db.query('SELECT * FROM report(?)', [year], { signal: controller.signal });
+   */
+  async query(sql, bindings = [], options = {}) {
+    // Com `config.implicitTransactions`, a consulta (inclusive as do Query Builder e do
+    // SchemaBuilder, que passam por aqui) participa da transação ativa.
+    const activeTrx = this._activeTransaction();
+    if (activeTrx) return activeTrx.query(sql, bindings, options);
+
     if (!this.pool) await this.connect();
-    return this._executeQuery(sql, bindings, this.pool);
+    const { replica, timeout, cancel, signal, idempotent = retryPolicy.isIdempotent(sql) } = options;
+    return this._retry(() => {
+      // A cada tentativa, pois uma nova réplica pode ser escolhida após um failover.
+      const adapter = replica ? this._readAdapter() : this.adapter;
+      return this._executeQuery(sql, bindings, null, { adapter, timeout, cancel, signal });
+    }, () => idempotent);
+  }
+
+  /**
+   * Executa `callback` em um escopo (ex: uma requisição HTTP) no qual, depois da primeira
+   * escrita, as leituras passam a usar o primário. Assim o escopo sempre enxerga o que
+   * acabou de escrever, mesmo com réplicas atrasadas. Escopos aninhados usam o externo.
+   * @param {Function} callback - A função executada no escopo.
+   * @returns {*} O retorno de `callback`.
+   *
+   * @example
+   * app.use((req, res, next) => db.scope(next));
+   */
+  scope(callback) {
+    if (this._scopes.getStore()) return callback();
+    return this._scopes.run({ wrote: false }, callback);
   }
 
   /**
    * Executa um conjunto de operações dentro de uma transação gerenciada.
    * Suporta transações aninhadas usando Savepoints.
+   *
+   * Com `config.implicitTransactions`, a transação fica ativa no contexto assíncrono do
+   * callback: `db.query()`, `db.table()` e `db.schema` a usam sem receber o `trx`. Chamado com
+   * uma transação ativa (a do contexto ou `existingTrx`), o `propagation` define o que acontece:
+   * - `REQUIRED`: o callback participa da transação ativa, e um erro desfaz a transação inteira;
+   * - `REQUIRES_NEW`: uma transação independente, em outra conexão, é confirmada ou desfeita
+   *   sem afetar a ativa;
+   * - `NESTED`: a transação aninhada é um savepoint, desfeito se o callback falhar.
+   * Sem uma transação ativa, todos iniciam uma transação nova.
+   *
+   * A transação principal executa os callbacks de `trx.beforeCommit()` antes do COMMIT, e os de
+   * `trx.afterCommit()` ou `trx.afterRollback()` depois de concluída. Os registrados em uma
+   * transação aninhada que foi revertida são descartados.
+   *
+   * Com `config.retry`, uma transação que falha com um erro transitório é desfeita e repetida
+   * por inteiro, executando o callback novamente. A exceção é a queda da conexão durante o
+   * COMMIT, quando não há como saber se ele foi aplicado.
+   * @param {Function} callback - Recebe a Transaction; o seu retorno é o da transação.
+   * @param {object} [options={}] - Opções da transação principal, compiladas para o dialeto.
+   * @param {string} [options.isolationLevel] - 'read uncommitted', 'read committed', 'repeatable read',
+   *   'serializable' ou, no MSSQL, 'snapshot'.
+   * @param {boolean} [options.readOnly=false] - Rejeita escritas na transação.
+   * @param {boolean} [options.deferrable=false] - No PostgreSQL, espera por um snapshot seguro
+   *   (com `isolationLevel: 'serializable'` e `readOnly`), evitando falhas de serialização.
+   * @param {('REQUIRED'|'REQUIRES_NEW'|'NESTED')} [options.propagation] - O modo de propagação.
+   *   O padrão é `NESTED` para `trx.transaction()` e `REQUIRED` para `db.transaction()`.
+   * @param {Transaction} [existingTrx] - A transação externa, para uma transação aninhada.
+   *
+   * @example
+   * const report = await db.transaction(async (trx) => {
+   *   return trx.table('orders').where('year', 2024).get();
+   * }, { isolationLevel: 'repeatable read', readOnly: true });
    */
-  async transaction(callback, existingTrx = null) {
-    // Se já estamos em uma transação, criamos um savepoint.
-    if (existingTrx) {
-      const savepointName = `easydbg_sp_${existingTrx.level + 1}`;
-      await existingTrx.savepoint(savepointName);
+  async transaction(callback, options = {}, existingTrx = null) {
+    const { propagation = existingTrx ? 'NESTED' : 'REQUIRED', ...transactionOptions } = options;
+    if (!PROPAGATIONS.includes(propagation)) {
+      throw new Error(`Modo de propagação não suportado: "${propagation}". Use 'REQUIRED', 'REQUIRES_NEW' ou 'NESTED'.`);
+    }
+
+    const activeTrx = existingTrx || this._activeTransaction();
+    if (activeTrx && propagation !== 'REQUIRES_NEW') {
+      if (Object.keys(transactionOptions).some(key => transactionOptions[key] !== undefined)) {
+        throw new Error('As opções de isolamento só podem ser definidas ao iniciar uma transação, e não em uma transação aninhada.');
+      }
+      if (propagation === 'REQUIRED') return callback(activeTrx);
+
+      // NESTED: criamos um savepoint.
+      const savepointName = await activeTrx.savepoint();
+      let result;
       try {
-        const result = await callback(existingTrx);
-        return result;
+        result = await callback(activeTrx);
       } catch (error) {
-        await existingTrx.rollbackTo(savepointName);
+        await activeTrx.rollbackTo(savepointName);
         throw error; // Re-lança o erro para a transação externa lidar.
       }
+      await activeTrx.releaseSavepoint(savepointName);
+      return result;
     }
 
-    // Início de uma nova transação (nível 0).
+    // Início de uma nova transação (nível 0). As opções são validadas antes de ocupar uma conexão.
     if (!this.pool) await this.connect();
-    const connection = await (this.pool.getConnection ? this.pool.getConnection() : this.pool.connect());
-    const trx = new Transaction(this, connection);
-    
+    this.grammar.transactionOptions(transactionOptions);
+    let committing = false;
+    return this._retry(async () => {
+      committing = false;
+      const connection = await this.adapter.acquire();
+      const trx = new Transaction(this, connection, transactionOptions);
+
+      let result;
+      try {
+        await trx.begin();
+        result = await this._runInTransaction(trx, callback);
+      } catch (error) {
+        // O callback pode ter concluído a transação antes de falhar.
+        if (!trx.isCompleted()) await trx._rollbackAfter(error);
+        throw error;
+      }
+      committing = true;
+      if (!trx.isCompleted()) await trx.commit();
+      return result;
+    }, (error, category) => !committing || (category !== 'connection' && category !== 'failover'));
+  }
+
+  /**
+   * Inicia uma transação controlada manualmente, para fluxos que a mantêm aberta por vários
+   * ciclos do event loop (ex: streams ou handlers de mensagens). Ela deve ser concluída com
+   * `trx.commit()` ou `trx.rollback()`; até lá, a conexão fica fora do pool. Depois de concluída,
+   * qualquer uso dela lança um TransactionError.
+   *
+   * Com a opção `xid`, a transação é distribuída e pode ser preparada com `trx.prepare()`
+   * (two-phase commit), para coordenar escritas em mais de um banco.
+   * @param {object} [options={}] - As opções de `transaction()`, exceto `propagation`, e `xid`.
+   * @param {string} [options.xid] - O identificador da transação distribuída (PostgreSQL, MySQL e MariaDB).
+   * @returns {Promise<Transaction>} A transação já iniciada.
+   *
+   * @example
+   * const trx = await db.beginTransaction();
+   * try {
+   *   for await (const row of stream) await trx.table('events').insert(row);
+   *   await trx.commit();
+   * } catch (error) {
+   *   if (!trx.isCompleted()) await trx.rollback(error);
+   *   throw error;
+   * }
+   */
+  async beginTransaction(options = {}) {
+    if (!this.pool) await this.connect();
+    this.grammar.transactionOptions(options);
+    const connection = await this.adapter.acquire();
+    const trx = new Transaction(this, connection, options);
     try {
       await trx.begin();
-      const result = await callback(trx);
-      await trx.commit();
-      return result;
     } catch (error) {
-      await trx.rollback();
+      await trx._rollbackAfter(error);
       throw error;
-    } finally {
-      trx.release();
     }
+    return trx;
+  }
+
+  /**
+   * Confirma uma transação preparada com `trx.prepare()`, em qualquer conexão. Serve para o
+   * coordenador concluir as transações que ficaram preparadas após uma queda.
+   * @param {string} xid - O identificador da transação.
+   */
+  async commitPrepared(xid) {
+    if (!this.pool) await this.connect();
+    this.grammar.transactionOptions({ xid });
+    await this._executeQuery(this.grammar.compileCommitPrepared(xid), [], null);
+  }
+
+  /**
+   * Desfaz uma transação preparada com `trx.prepare()`, em qualquer conexão.
+   * @param {string} xid - O identificador da transação.
+   */
+  async rollbackPrepared(xid) {
+    if (!this.pool) await this.connect();
+    this.grammar.transactionOptions({ xid });
+    await this._executeQuery(this.grammar.compileRollbackPrepared(xid), [], null);
+  }
+
+  /**
+   * Executa `callback` fora da transação ativa do contexto (ver `config.implicitTransactions`):
+   * as suas consultas usam o pool, e `db.transaction()` inicia uma transação nova. Serve para
+   * gravar o que deve persistir mesmo que a transação seja desfeita (ex: um log de auditoria).
+   * @param {Function} callback - A função executada fora da transação.
+   * @returns {*} O retorno de `callback`.
+   *
+   * @example
+   * await db.transaction(async () => {
+   *   await db.table('orders').insert(order);
+   *   await db.withoutTransaction(() => db.table('audit_logs').insert({ action: 'order:create' }));
+   * });
+   */
+  withoutTransaction(callback) {
+    return this._transactions.run(null, callback);
+  }
+
+  /**
+   * @private
+   * A transação ativa no contexto assíncrono atual, ou `null` (sempre, sem `config.implicitTransactions`).
+   */
+  _activeTransaction() {
+    return this.config.implicitTransactions ? this._transactions.getStore() || null : null;
+  }
+
+  /**
+   * @private
+   * Executa o callback da transação, tornando-a a transação ativa do contexto quando
+   * `config.implicitTransactions` está ligado.
+   */
+  _runInTransaction(trx, callback) {
+    if (!this.config.implicitTransactions) return callback(trx);
+    return this._transactions.run(trx, () => callback(trx));
+  }
+
+  /**
+   * @private
+   * Executa `operation` com a política de `config.retry`, logando cada nova tentativa.
+   * `canRetry(error, category)` pode impedir a repetição de uma operação específica.
+   */
+  _retry(operation, canRetry) {
+    return retryPolicy.run(this.retryPolicy, operation, {
+      canRetry,
+      onRetry: ({ attempt, delay, category, error }) => {
+        this.log.warn(`Erro transitório (${category}); nova tentativa em ${delay}ms.`, {
+          attempt,
+          category,
+          delay,
+          error: logger.redactError(error, this.config.redactBindings),
+        });
+      },
+    });
   }
 
   /**
    * @private
    * Método interno para execução de consultas, usado pelo `query()` e pela `Transaction`.
+   * A consulta roda na conexão informada ou, se ela for `null`, no pool do adaptador
+   * (por padrão, o primário). Emite os eventos `query`, `query-response` e `query-error`.
+   * `timeout`, `cancel` e `signal` são repassados ao adaptador (ver `query()`).
+   *
+   * O resultado é normalizado para todos os drivers:
+   * - consultas de leitura retornam o array de linhas;
+   * - escritas (INSERT, UPDATE, DELETE, MERGE) retornam `{ rowCount, insertId, rows }`, onde
+   *   `insertId` é o id gerado (apenas MySQL e SQLite, senão `null`) e `rows` são as linhas de RETURNING/OUTPUT.
    */
-  async _executeQuery(sql, bindings, connection) {
+  async _executeQuery(sql, bindings, connection, { adapter = this.adapter, transactionId = null, timeout, cancel, signal } = {}) {
     const { sql: finalSql, bindings: finalBindings } = parameterHandler.prepare(this.clientType, sql, bindings);
+    const event = { queryId: ++this._lastQueryId, sql: finalSql, bindings: finalBindings, transactionId };
     
     if (this.config.debug) {
-      console.log(chalk.magenta.bold('easydbg:query -> ') + chalk.cyan(finalSql));
-      if (finalBindings.length > 0) {
-        console.log(chalk.magenta.bold('easydbg:bindings -> ') + chalk.yellow(JSON.stringify(finalBindings)));
-      }
+      // Os bindings são lidos contra o SQL com '?', antes da conversão para o formato do driver.
+      const redacted = logger.redactBindings(sql, finalBindings, this.config.redactBindings);
+      this.log.debug('easydbg:query', { ...event, bindings: redacted });
     }
-    
+
+    this.emit('query', event);
+    const start = performance.now();
+    let result;
     try {
-      if (this.clientType === 'mssql') {
-        const request = connection.request();
-        finalBindings.forEach((val, i) => request.input(`param${i}`, val));
-        const mssqlSql = finalSql.replace(/\?/g, (match, i) => `@param${i}`);
-        const result = await request.query(mssqlSql);
-        return result.recordset;
-      }
-      
-      const [rows] = await connection.query(finalSql, finalBindings);
-      return rows;
+      result = await adapter.execute(connection, finalSql, finalBindings, { timeout, cancel, signal });
     } catch (err) {
-      const friendlyMessage = this._getFriendlyQueryErrorMessage(err, finalSql);
-      throw new QueryError(friendlyMessage, { 
-        sql: finalSql, 
-        bindings: finalBindings, 
-        originalError: err 
-      });
+      let error;
+      if (err instanceof QueryTimeoutError) {
+        // O adaptador não conhece a consulta final; o erro é completado aqui.
+        error = Object.assign(err, { sql: finalSql, bindings: finalBindings });
+      } else {
+        // Erros reconhecidos pelo código do dialeto viram subclasses (ex: UniqueViolationError).
+        const details = errorClassifier.classify(this.clientType, err);
+        const friendlyMessage = this._getFriendlyQueryErrorMessage(err, finalSql, details);
+        const { ErrorClass, table, column, constraint } = details;
+        error = new ErrorClass(friendlyMessage, { 
+          sql: finalSql, 
+          bindings: finalBindings, 
+          originalError: err,
+          table,
+          column,
+          constraint,
+        });
+      }
+      this.emit('query-error', { ...event, duration: performance.now() - start, error });
+      throw error;
     }
+
+    const { rows, rowCount, insertId } = result;
+    const isWrite = WRITE_STATEMENT.test(finalSql);
+    this.emit('query-response', { ...event, duration: performance.now() - start, rowCount: isWrite ? rowCount : rows.length });
+    if (!isWrite) return rows;
+
+    const scope = this._scopes.getStore();
+    if (scope) scope.wrote = true;
+    return { rowCount, insertId, rows };
+  }
+
+
+  /**
+   * @private
+   * Cria o pool do adaptador e testa uma conexão, para falhar rapidamente se as credenciais
+   * estiverem erradas. No primário, a conexão também é usada para detectar a versão do servidor.
+   * @returns {Promise<object>} O pool criado.
+   */
+  async _connectAdapter(adapter) {
+    const pool = await adapter.connect();
+    const connection = await adapter.acquire();
+    try {
+      if (adapter === this.adapter) await this._detectServerVersion(connection);
+    } finally {
+      await adapter.release(connection);
+    }
+    return pool;
+  }
+
+  /**
+   * @private
+   * Escolhe onde executar uma leitura: uma réplica (em rodízio ou aleatória, conforme
+   * `readStrategy`) ou o primário, se não houver réplicas ou se o escopo atual já escreveu.
+   */
+  _readAdapter() {
+    const replicas = this.readAdapters;
+    const scope = this._scopes.getStore();
+    if (replicas.length === 0 || (scope && scope.wrote)) return this.adapter;
+
+    if (this.config.readStrategy === 'random') {
+      return replicas[Math.floor(Math.random() * replicas.length)];
+    }
+    return replicas[this._nextReplica++ % replicas.length];
+  }
+
+  /**
+   * @private
+   * Consulta a versão do servidor, se ela não foi informada na configuração.
+   * @param {object} connection - A conexão usada no teste de `connect()`.
+   */
+  async _detectServerVersion(connection) {
+    const sql = this.grammar.compileServerVersion();
+    if (this.config.version || !sql) return;
+
+    const [row] = await this._executeQuery(sql, [], connection);
+    this._setServerVersion(row && row.version);
+  }
+
+  /**
+   * @private
+   * Registra a versão do servidor no cliente e na gramática.
+   */
+  _setServerVersion(version) {
+    this.grammar.setServerVersion(version);
+    this.serverVersion = this.grammar.serverVersion;
   }
 
   /**
    * @private
    * Gera uma mensagem de erro de conexão mais clara.
    */
-  _getFriendlyConnectionErrorMessage(error) {
+  _getFriendlyConnectionErrorMessage(error, connectionConfig = this.config.connection) {
     const originalError = error.originalError || error;
     const code = originalError.code;
-    const connectionConfig = this.config.connection;
     let hint = `Verifique as credenciais (usuário: '${connectionConfig.user}') e o endereço (host: '${connectionConfig.server || connectionConfig.host}') no seu arquivo de configuração.`;
 
-    if (code === 'ENOTFOUND' || code === 'ECONNREFUSED') {
+    if (this.clientType === 'sqlite') {
+      hint = `Não foi possível abrir o arquivo "${connectionConfig.filename}". Verifique o caminho e as permissões do diretório.`;
+    } else if (code === 'ENOTFOUND' || code === 'ECONNREFUSED') {
       hint = `Não foi possível conectar ao host "${connectionConfig.server || connectionConfig.host}". O servidor de banco de dados está rodando e acessível pela rede?`;
     } else if (code === 'ELOGIN') { // MSSQL
       hint = `Falha no login para o usuário '${connectionConfig.user}'. Verifique se a senha está correta e se o usuário tem permissão para conectar.`;
@@ -219,25 +578,42 @@ class EasyDBGClient {
 
   /**
    * @private
-   * Gera uma mensagem de erro de consulta mais clara.
+   * Gera uma mensagem de erro de consulta mais clara, a partir da classificação do erro.
    */
-  _getFriendlyQueryErrorMessage(error, sql) {
+  _getFriendlyQueryErrorMessage(error, sql, { ErrorClass, table, column, constraint }) {
     const originalError = error.originalError || error;
-    const code = originalError.code;
+    const named = (label, name) => (name ? `${label} "${name}"` : label);
     let hint = `A consulta SQL falhou. SQL: ${sql}`;
 
-    if (code === 'ER_NO_SUCH_TABLE' || (originalError.message && (originalError.message.includes('does not exist') || originalError.message.toLowerCase().includes('invalid object name')))) {
-      const tableNameMatch = sql.match(/(?:from|into|update|join)\s+[`"\[]?(\w+)[`"\]]?/i);
-      const tableName = tableNameMatch ? tableNameMatch[1] : 'desconhecida';
-      hint = `A tabela "${tableName}" não foi encontrada. Você rodou as migrations?`;
-    } else if (code === 'ER_BAD_FIELD_ERROR' || code === '42703' || (originalError.message && originalError.message.toLowerCase().includes('invalid column name'))) {
-      const columnNameMatch = error.message.match(/(?:Unknown column|column|Invalid column name)\s+'([^']+)'/);
-      const columnName = columnNameMatch ? columnNameMatch[1] : 'desconhecida';
-      hint = `A coluna "${columnName}" não foi encontrada. Verifique se o nome da coluna está correto.`;
-    } else if (code === 'ER_DUP_ENTRY' || code === '23505') {
-      hint = 'A operação falhou porque violaria uma constraint de valor único (UNIQUE).';
-    } else if (code === 'ER_PARSE_ERROR' || code === '42601') {
-      hint = 'A consulta contém um erro de sintaxe SQL.';
+    switch (ErrorClass) {
+      case UndefinedTableError: {
+        const tableNameMatch = sql.match(/(?:from|into|update|join)\s+[`"\[]?(\w+)[`"\]]?/i);
+        const tableName = table || (tableNameMatch ? tableNameMatch[1] : 'desconhecida');
+        hint = `A tabela "${tableName}" não foi encontrada. Você rodou as migrations?`;
+        break;
+      }
+      case UndefinedColumnError:
+        hint = `A coluna "${column || 'desconhecida'}" não foi encontrada. Verifique se o nome da coluna está correto.`;
+        break;
+      case UniqueViolationError:
+        hint = `A operação falhou porque violaria uma ${named('constraint de valor único (UNIQUE)', constraint)}.`;
+        break;
+      case ForeignKeyViolationError:
+        hint = `A operação falhou porque violaria a ${named('chave estrangeira', constraint)}: a linha referenciada não existe ou ainda é referenciada.`;
+        break;
+      case NotNullViolationError:
+        hint = `A ${named('coluna', column)} não aceita valores nulos (NOT NULL).`;
+        break;
+      case CheckViolationError:
+        hint = `A operação falhou porque violaria a ${named('constraint CHECK', constraint)}.`;
+        break;
+      case DeadlockError:
+        hint = 'A transação foi desfeita pelo banco para resolver um deadlock. A operação pode ser repetida.';
+        break;
+      default:
+        if (originalError.code === 'ER_PARSE_ERROR' || originalError.code === '42601' || (originalError.message && originalError.message.includes('syntax error'))) {
+          hint = 'A consulta contém um erro de sintaxe SQL.';
+        }
     }
 
     return `Erro na consulta. Dica: ${hint}`;
@@ -249,14 +625,53 @@ class EasyDBGClient {
    */
   _getGrammar(type = 'query') {
     const grammars = {
-      query: { postgres: PostgresGrammar, mysql: MySqlGrammar, mssql: MssqlGrammar, oracle: OracleGrammar },
-      schema: { postgres: PostgresSchemaGrammar, mysql: MySqlSchemaGrammar, mssql: MssqlSchemaGrammar, oracle: OracleSchemaGrammar }
+      query: {
+        postgres: PostgresGrammar,
+        mysql: MySqlGrammar,
+        mssql: MssqlGrammar,
+        oracle: OracleGrammar,
+        sqlite: SqliteGrammar,
+        mariadb: MariaDbGrammar,
+        cockroachdb: CockroachDbGrammar,
+      },
+      schema: {
+        postgres: PostgresSchemaGrammar,
+        mysql: MySqlSchemaGrammar,
+        mssql: MssqlSchemaGrammar,
+        oracle: OracleSchemaGrammar,
+        sqlite: SqliteSchemaGrammar,
+        mariadb: MariaDbSchemaGrammar,
+        cockroachdb: CockroachDbSchemaGrammar,
+      }
     };
     const GrammarClass = grammars[type][this.clientType];
     if (!GrammarClass) throw new Error(`Gramática do tipo "${type}" não encontrada para o cliente "${this.clientType}".`);
-    return new GrammarClass();
+    const grammar = new GrammarClass();
+    grammar.log = this.log;
+    return grammar;
   }
   
+  /**
+   * @private
+   * Retorna o adaptador do driver do dialeto configurado para uma das conexões.
+   * @param {object} connection - A conexão (o primário ou uma réplica) já normalizada.
+   */
+  _getAdapter(connection) {
+    const adapters = {
+      postgres: PostgresAdapter,
+      mysql: MySqlAdapter,
+      mssql: MssqlAdapter,
+      oracle: OracleAdapter,
+      sqlite: SqliteAdapter,
+      // Variantes que usam o mesmo protocolo (e driver) de outro dialeto.
+      mariadb: MySqlAdapter,
+      cockroachdb: PostgresAdapter,
+    };
+    const AdapterClass = adapters[this.clientType];
+    if (!AdapterClass) throw new Error(`Cliente de banco de dados não suportado: ${this.clientType}`);
+    return new AdapterClass({ ...this.config, connection });
+  }
+
   getSchemaGrammar() {
     return this.schemaGrammar;
   }
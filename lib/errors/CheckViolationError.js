@@ -0,0 +1,30 @@
+// lib/errors/CheckViolationError.js
+
+'use strict';
+
+const QueryError = require('./QueryError');
+
+/**
+ * @class CheckViolationError
+ * @extends QueryError
+ *
+ * Lançado quando a consulta violaria uma constraint CHECK. `constraint` traz o nome
+ * da constraint (no SQLite, a expressão, se a constraint não tiver nome).
+ *
+ * Códigos: 23514 (PostgreSQL/CockroachDB), ER_CHECK_CONSTRAINT_VIOLATED (MySQL) e
+ * ER_CONSTRAINT_FAILED (MariaDB), 547 (SQL Server), ORA-02290 (Oracle) e
+ * SQLITE_CONSTRAINT_CHECK (SQLite).
+ */
+class CheckViolationError extends QueryError {
+  /**
+   * @param {string} message - A mensagem de erro amigável e legível.
+   * @param {object} context - O contexto do QueryError (`sql`, `bindings`, `originalError`,
+   *   `table`, `column` e `constraint`).
+   */
+  constructor(message, context) {
+    super(message, context);
+    this.name = 'CheckViolationError';
+  }
+}
+
+module.exports = CheckViolationError;
@@ -0,0 +1,50 @@
+// lib/errors/ConfigurationError.js
+
+'use strict';
+
+/**
+ * @class ConfigurationError
+ * @extends Error
+ *
+ * Representa uma configuração inválida passada para o EasyDBGClient, detectada antes
+ * de qualquer driver ser carregado.
+ *
+ * Isso pode incluir:
+ * - Um `client` ausente ou não suportado.
+ * - Uma URL de conexão malformada ou de outro dialeto.
+ * - Chaves desconhecidas ou com o tipo errado em `connection`, `pool`, `migrations`, etc.
+ *
+ * Todos os problemas encontrados são reportados de uma vez em `errors`.
+ *
+ * @example
+ * try {
+ *   const db = easydbg(config);
+ * } catch (error) {
+ *   if (error instanceof ConfigurationError) {
+ *     error.errors.forEach(problem => console.error(problem));
+ *     process.exit(1);
+ *   }
+ * }
+ */
+class ConfigurationError extends Error {
+  /**
+   * Cria uma instância de ConfigurationError.
+   * @param {string} message - A mensagem descritiva do erro.
+   * @param {object} [options={}] - Opções adicionais para enriquecer o erro.
+   * @param {Array<string>} [options.errors] - A lista de problemas encontrados na configuração.
+   */
+  constructor(message, options = {}) {
+    super(message);
+
+    this.name = 'ConfigurationError';
+
+    // Cada problema, no formato "caminho.da.chave: descrição".
+    this.errors = options.errors || [message];
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, ConfigurationError);
+    }
+  }
+}
+
+module.exports = ConfigurationError;
@@ -0,0 +1,29 @@
+// lib/errors/DeadlockError.js
+
+'use strict';
+
+const QueryError = require('./QueryError');
+
+/**
+ * @class DeadlockError
+ * @extends QueryError
+ *
+ * Lançado quando a transação é escolhida como vítima de um deadlock e desfeita pelo
+ * banco. A operação pode ser repetida (ver `config.retry`).
+ *
+ * Códigos: 40P01 (PostgreSQL), ER_LOCK_DEADLOCK (MySQL/MariaDB), 1205 (SQL Server) e
+ * ORA-00060 (Oracle).
+ */
+class DeadlockError extends QueryError {
+  /**
+   * @param {string} message - A mensagem de erro amigável e legível.
+   * @param {object} context - O contexto do QueryError (`sql`, `bindings`, `originalError`,
+   *   `table`, `column` e `constraint`).
+   */
+  constructor(message, context) {
+    super(message, context);
+    this.name = 'DeadlockError';
+  }
+}
+
+module.exports = DeadlockError;
@@ -0,0 +1,30 @@
+// lib/errors/ForeignKeyViolationError.js
+
+'use strict';
+
+const QueryError = require('./QueryError');
+
+/**
+ * @class ForeignKeyViolationError
+ * @extends QueryError
+ *
+ * Lançado quando a consulta violaria uma chave estrangeira: a linha referenciada não
+ * existe (INSERT/UPDATE) ou ainda é referenciada (DELETE).
+ *
+ * Códigos: 23503 (PostgreSQL/CockroachDB), ER_NO_REFERENCED_ROW_2 e ER_ROW_IS_REFERENCED_2
+ * (MySQL/MariaDB), 547 (SQL Server), ORA-02291 e ORA-02292 (Oracle) e
+ * SQLITE_CONSTRAINT_FOREIGNKEY (SQLite, que não informa a constraint).
+ */
+class ForeignKeyViolationError extends QueryError {
+  /**
+   * @param {string} message - A mensagem de erro amigável e legível.
+   * @param {object} context - O contexto do QueryError (`sql`, `bindings`, `originalError`,
+   *   `table`, `column` e `constraint`).
+   */
+  constructor(message, context) {
+    super(message, context);
+    this.name = 'ForeignKeyViolationError';
+  }
+}
+
+module.exports = ForeignKeyViolationError;
@@ -0,0 +1,30 @@
+// lib/errors/NotNullViolationError.js
+
+'use strict';
+
+const QueryError = require('./QueryError');
+
+/**
+ * @class NotNullViolationError
+ * @extends QueryError
+ *
+ * Lançado quando a consulta gravaria NULL em uma coluna NOT NULL (ou omitiria uma
+ * coluna obrigatória sem valor padrão). `column` traz a coluna.
+ *
+ * Códigos: 23502 (PostgreSQL/CockroachDB), ER_BAD_NULL_ERROR e ER_NO_DEFAULT_FOR_FIELD
+ * (MySQL/MariaDB), 515 (SQL Server), ORA-01400 e ORA-01407 (Oracle) e
+ * SQLITE_CONSTRAINT_NOTNULL (SQLite).
+ */
+class NotNullViolationError extends QueryError {
+  /**
+   * @param {string} message - A mensagem de erro amigável e legível.
+   * @param {object} context - O contexto do QueryError (`sql`, `bindings`, `originalError`,
+   *   `table`, `column` e `constraint`).
+   */
+  constructor(message, context) {
+    super(message, context);
+    this.name = 'NotNullViolationError';
+  }
+}
+
+module.exports = NotNullViolationError;
@@ -8,6 +8,11 @@
  * Um erro customizado que é lançado quando uma consulta SQL falha.
  * Ele encapsula a mensagem de erro amigável, a consulta que falhou,
  * seus bindings e o erro original do driver do banco de dados.
+ *
+ * Erros reconhecidos pelo código do dialeto são lançados como subclasses
+ * (UniqueViolationError, ForeignKeyViolationError, NotNullViolationError,
+ * CheckViolationError, DeadlockError, UndefinedTableError, UndefinedColumnError),
+ * com a tabela, a coluna e a constraint envolvidas, quando o banco as informa.
  */
 class QueryError extends Error {
   /**
@@ -16,8 +21,11 @@ class QueryError extends Error {
    * @param {string} context.sql - A consulta SQL que falhou.
    * @param {Array} context.bindings - Os bindings (parâmetros) para a consulta.
    * @param {Error} context.originalError - O erro original lançado pelo driver do banco de dados.
+   * @param {string|null} [context.table] - A tabela envolvida no erro.
+   * @param {string|null} [context.column] - A coluna envolvida no erro.
+   * @param {string|null} [context.constraint] - A constraint violada.
    */
-  constructor(message, { sql, bindings, originalError }) {
+  constructor(message, { sql, bindings, originalError, table = null, column = null, constraint = null }) {
     // Passa a mensagem principal para o construtor da classe Error pai.
     super(message);
 
@@ -28,6 +36,9 @@ class QueryError extends Error {
     this.sql = sql;
     this.bindings = bindings;
     this.originalError = originalError;
+    this.table = table;
+    this.column = column;
+    this.constraint = constraint;
   }
 }
 
@@ -0,0 +1,45 @@
+// lib/errors/QueryTimeoutError.js
+
+'use strict';
+
+const QueryError = require('./QueryError');
+
+/**
+ * @class QueryTimeoutError
+ * @extends QueryError
+ *
+ * Lançado quando uma consulta é interrompida antes de terminar:
+ * - pelo tempo limite de `.timeout(ms)` ou da opção `timeout` de `db.query()` (`reason: 'timeout'`);
+ * - pelo `AbortSignal` da opção `signal` de `db.query()` (`reason: 'abort'`).
+ *
+ * Por estender QueryError, é capturado pelos tratamentos de erro de consulta já existentes.
+ *
+ * @example
+ * try {
+ *   await db.table('reports').where('year', 2024).timeout(5000, { cancel: true }).get();
+ * } catch (error) {
+ *   if (error instanceof QueryTimeoutError) {
+ *     console.error(`Relatório cancelado após ${error.timeout}ms.`);
+ *   }
+ * }
+ */
+class QueryTimeoutError extends QueryError {
+  /**
+   * @param {string} message - A mensagem de erro amigável e legível.
+   * @param {object} context - Um objeto contendo informações de depuração.
+   * @param {string} [context.sql] - A consulta SQL interrompida.
+   * @param {Array} [context.bindings] - Os bindings (parâmetros) da consulta.
+   * @param {Error} [context.originalError] - O erro lançado pelo driver ao interromper a consulta, se houver.
+   * @param {('timeout'|'abort')} context.reason - O que interrompeu a consulta.
+   * @param {number|null} [context.timeout] - O tempo limite, em milissegundos.
+   */
+  constructor(message, { sql, bindings, originalError, reason, timeout = null }) {
+    super(message, { sql, bindings, originalError });
+
+    this.name = 'QueryTimeoutError';
+    this.reason = reason;
+    this.timeout = timeout;
+  }
+}
+
+module.exports = QueryTimeoutError;
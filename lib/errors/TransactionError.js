@@ -30,7 +30,8 @@
 class TransactionError extends Error {
   /**
    * Cria uma instância de TransactionError.
-   * @param {Error} originalError - O erro original lançado pelo driver do banco de dados.
+   * @param {Error|null} originalError - O erro original lançado pelo driver do banco de dados, ou
+   *   `null` quando a falha é do uso da transação (ex: uma consulta após o COMMIT).
    * @param {string} [message] - Uma mensagem customizada que descreve a falha na transação.
    */
   constructor(originalError, message) {
@@ -42,10 +43,10 @@ class TransactionError extends Error {
 
     // Armazena o erro original do driver para depuração detalhada.
     // Isso é útil para ver por que um COMMIT ou ROLLBACK pode ter falhado.
-    this.originalError = originalError;
+    this.originalError = originalError || null;
 
     // Preserva o stack trace original para facilitar a localização da origem do erro.
-    if (originalError.stack) {
+    if (originalError && originalError.stack) {
       this.stack = originalError.stack;
     }
   }
@@ -0,0 +1,28 @@
+// lib/errors/UndefinedColumnError.js
+
+'use strict';
+
+const QueryError = require('./QueryError');
+
+/**
+ * @class UndefinedColumnError
+ * @extends QueryError
+ *
+ * Lançado quando a consulta referencia uma coluna que não existe. `column` traz a coluna.
+ *
+ * Códigos: 42703 (PostgreSQL/CockroachDB), ER_BAD_FIELD_ERROR (MySQL/MariaDB), 207
+ * (SQL Server), ORA-00904 (Oracle) e "no such column" (SQLite).
+ */
+class UndefinedColumnError extends QueryError {
+  /**
+   * @param {string} message - A mensagem de erro amigável e legível.
+   * @param {object} context - O contexto do QueryError (`sql`, `bindings`, `originalError`,
+   *   `table`, `column` e `constraint`).
+   */
+  constructor(message, context) {
+    super(message, context);
+    this.name = 'UndefinedColumnError';
+  }
+}
+
+module.exports = UndefinedColumnError;
@@ -0,0 +1,30 @@
+// lib/errors/UndefinedTableError.js
+
+'use strict';
+
+const QueryError = require('./QueryError');
+
+/**
+ * @class UndefinedTableError
+ * @extends QueryError
+ *
+ * Lançado quando a consulta referencia uma tabela (ou view) que não existe,
+ * geralmente porque as migrations não foram executadas. `table` traz a tabela, quando
+ * o banco a informa.
+ *
+ * Códigos: 42P01 (PostgreSQL/CockroachDB), ER_NO_SUCH_TABLE (MySQL/MariaDB), 208
+ * (SQL Server), ORA-00942 (Oracle) e "no such table" (SQLite).
+ */
+class UndefinedTableError extends QueryError {
+  /**
+   * @param {string} message - A mensagem de erro amigável e legível.
+   * @param {object} context - O contexto do QueryError (`sql`, `bindings`, `originalError`,
+   *   `table`, `column` e `constraint`).
+   */
+  constructor(message, context) {
+    super(message, context);
+    this.name = 'UndefinedTableError';
+  }
+}
+
+module.exports = UndefinedTableError;
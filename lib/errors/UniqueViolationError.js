@@ -0,0 +1,40 @@
+// lib/errors/UniqueViolationError.js
+
+'use strict';
+
+const QueryError = require('./QueryError');
+
+/**
+ * @class UniqueViolationError
+ * @extends QueryError
+ *
+ * Lançado quando a consulta violaria uma constraint UNIQUE ou a chave primária.
+ * `constraint` traz o nome da constraint (ou do índice único) e, quando o banco os informa,
+ * `table` e `column`.
+ *
+ * Códigos: 23505 (PostgreSQL/CockroachDB), ER_DUP_ENTRY (MySQL/MariaDB), 2627 e 2601
+ * (SQL Server), ORA-00001 (Oracle) e SQLITE_CONSTRAINT_UNIQUE/PRIMARYKEY (SQLite).
+ *
+ * @example
+ * try {
+ *   await db.table('users').insert({ email });
+ * } catch (error) {
+ *   if (error instanceof UniqueViolationError) {
+ *     return res.status(409).json({ field: error.column || 'email' });
+ *   }
+ *   throw error;
+ * }
+ */
+class UniqueViolationError extends QueryError {
+  /**
+   * @param {string} message - A mensagem de erro amigável e legível.
+   * @param {object} context - O contexto do QueryError (`sql`, `bindings`, `originalError`,
+   *   `table`, `column` e `constraint`).
+   */
+  constructor(message, context) {
+    super(message, context);
+    this.name = 'UniqueViolationError';
+  }
+}
+
+module.exports = UniqueViolationError;
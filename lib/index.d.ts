@@ -2,6 +2,7 @@
 
 // Declara o módulo 'easydbg' para que o TypeScript o reconheça.
 declare module 'easydbg' {
+  import { EventEmitter } from 'events';
 
   // --- Tipos de Configuração ---
 
@@ -18,10 +19,17 @@ declare module 'easydbg' {
   }
 
   // Tipos específicos para cada driver, refletindo suas opções.
-  interface PostgresConnectionConfig extends BaseConnectionConfig {}
-  interface MySqlConnectionConfig extends BaseConnection_Config {}
+  interface PostgresConnectionConfig extends BaseConnectionConfig {
+    ssl?: boolean | object;
+  }
+  interface MySqlConnectionConfig extends BaseConnectionConfig {
+    /** `true` equivale a `{}` (TLS com as opções padrão do mysql2). */
+    ssl?: boolean | object | string;
+  }
   interface MssqlConnectionConfig {
-    server: string;
+    server?: string;
+    /** Alternativa a `server`. */
+    host?: string;
     port?: number;
     user?: string;
     password?: string;
@@ -34,47 +42,222 @@ declare module 'easydbg' {
   interface OracleConnectionConfig {
     user?: string;
     password?: string;
+    /** Se omitido, é montado a partir de `host`, `port` e `database` (o serviço). */
     connectString?: string;
+    host?: string;
+    port?: number;
+    database?: string;
+  }
+  interface SqliteConnectionConfig {
+    /** Caminho do arquivo do banco, ou ':memory:'. */
+    filename: string;
+    readonly?: boolean;
+    fileMustExist?: boolean;
+    timeout?: number;
+  }
+
+  /**
+   * Objeto de conexão do dialeto, ou uma URL como `postgres://user:pw@host:5432/db?ssl=true`.
+   */
+  type ConnectionConfig = string | PostgresConnectionConfig | MySqlConnectionConfig | MssqlConnectionConfig | OracleConnectionConfig | SqliteConnectionConfig;
+
+  /**
+   * Um primário, que recebe as escritas e as transações, e as réplicas usadas nas leituras do Query Builder.
+   */
+  interface ReplicatedConnectionConfig {
+    write: ConnectionConfig;
+    read?: ConnectionConfig | ConnectionConfig[];
+  }
+
+  /**
+   * Configuração do pool de conexões, traduzida para as opções de cada driver.
+   */
+  interface PoolConfig {
+    min?: number;
+    max?: number;
+    idleTimeoutMillis?: number;
+    acquireTimeoutMillis?: number;
+    maxLifetimeMillis?: number;
+    /** Consulta executada em cada conexão obtida do pool; conexões que falham são substituídas. */
+    validationQuery?: string;
   }
 
-  type ConnectionConfig = PostgresConnectionConfig | MySqlConnectionConfig | MssqlConnectionConfig | OracleConnectionConfig;
+  /**
+   * Logger usado pelo cliente, pelas gramáticas, migrations e seeds. Os métodos ausentes usam o console.
+   */
+  interface Logger {
+    debug?(message: string, context?: Record<string, any>): void;
+    info?(message: string, context?: Record<string, any>): void;
+    warn?(message: string, context?: Record<string, any>): void;
+    error?(message: string, context?: Record<string, any>): void;
+  }
+
+  /**
+   * Política de novas tentativas após erros transitórios.
+   */
+  interface RetryConfig {
+    /** Total de tentativas, incluindo a primeira. Padrão: 3. */
+    maxAttempts?: number;
+    /** Espera antes da segunda tentativa. Padrão: 50. */
+    initialDelayMillis?: number;
+    /** Espera máxima entre tentativas. Padrão: 2000. */
+    maxDelayMillis?: number;
+    /** Fator de crescimento da espera. Padrão: 2. */
+    multiplier?: number;
+    /** Sorteia a espera entre zero e o valor calculado. Padrão: true. */
+    jitter?: boolean;
+    /** Categorias de erro repetidas. Padrão: todas. */
+    retryOn?: Array<'deadlock' | 'serialization' | 'connection' | 'failover'>;
+  }
+
+  /**
+   * Contadores do pool de conexões.
+   */
+  interface PoolStats {
+    used: number;
+    idle: number;
+    pending: number;
+    /** Os contadores de cada réplica de leitura, se houver. */
+    replicas?: Array<{ used: number; idle: number; pending: number }>;
+  }
 
   /**
    * Configuração principal do cliente easydbg.
    */
   export interface EasyDBGConfig {
-    client: 'postgres' | 'mysql' | 'mssql' | 'oracle';
-    connection: ConnectionConfig;
+    /** Pode ser omitido quando `connection` é uma URL. */
+    client?: 'postgres' | 'mysql' | 'mariadb' | 'cockroachdb' | 'mssql' | 'oracle' | 'sqlite';
+    connection: ConnectionConfig | ReplicatedConnectionConfig;
+    /** Como a réplica de cada leitura é escolhida. Padrão: 'round-robin'. */
+    readStrategy?: 'round-robin' | 'random';
+    /** Versão do servidor; quando informada, a detecção no `connect()` é ignorada. */
+    version?: string;
     migrations?: {
       tableName?: string;
       directory?: string;
     };
-    pool?: {
-      min?: number;
-      max?: number;
+    pool?: PoolConfig;
+    /** `true` usa a política padrão. Sem esta opção, nada é repetido. */
+    retry?: boolean | RetryConfig;
+    /** `db.transaction()` fica ativa no contexto assíncrono, e `db.query()`, `db.table()` e `db.schema` a usam. */
+    implicitTransactions?: boolean;
+    seeds?: {
+      directory?: string;
     };
+    /** Loga cada consulta com `log.debug('easydbg:query', ...)`. */
     debug?: boolean;
+    log?: Logger;
+    /**
+     * Bindings ocultos nos logs: `true` oculta todos, `false` nenhum; um array lista os termos
+     * (ou RegExps) das colunas sensíveis. Padrão: password, secret, token e similares.
+     */
+    redactBindings?: boolean | Array<string | RegExp>;
+  }
+
+  // --- Expressões SQL ---
+
+  /**
+   * Fragmento SQL emitido literalmente pelo Query Builder.
+   */
+  export class Raw {
+    constructor(sql: string, bindings?: any[]);
+    sql: string;
+    bindings: any[];
+  }
+
+  /**
+   * Helpers de funções SQL expostos em `db.fn`.
+   */
+  interface FunctionHelper {
+    now(): Raw;
+    coalesce(...values: Array<string | Raw | number | boolean | null>): Raw;
+    lower(value: string | Raw): Raw;
+    cast(value: string | Raw | number, type: string): Raw;
   }
 
   // --- Tipos dos Builders ---
 
+  /**
+   * Closure usada para agrupar condições entre parênteses.
+   */
+  type WhereCallback<TRecord extends {} = any> = (query: QueryBuilder<TRecord>) => void;
+
+  /**
+   * Closure que constrói uma subquery (deve chamar `from()`).
+   */
+  type SubqueryCallback = (query: QueryBuilder) => void;
+
   /**
    * Representa a API fluente para construir consultas SQL.
    */
   export class QueryBuilder<TRecord extends {} = any> {
-    select<TResult = TRecord[]>(...columns: string[]): QueryBuilder<TResult>;
-    where(column: string, operator: string, value: any): this;
+    select<TResult = TRecord[]>(...columns: Array<string | Raw>): QueryBuilder<TResult>;
+    where(column: string | Raw, operator: string, value: any): this;
+    where(column: string, value: any): this;
+    where(raw: Raw): this;
     where(conditions: Partial<TRecord>): this;
-    orderBy(column: string, direction?: 'asc' | 'desc'): this;
+    where(callback: WhereCallback<TRecord>): this;
+    orWhere(column: string, operator: string, value: any): this;
+    orWhere(column: string, value: any): this;
+    orWhere(conditions: Partial<TRecord>): this;
+    orWhere(callback: WhereCallback<TRecord>): this;
+    whereNot(column: string, operator: string, value: any): this;
+    whereNot(column: string, value: any): this;
+    whereNot(conditions: Partial<TRecord>): this;
+    whereNot(callback: WhereCallback<TRecord>): this;
+    orWhereNot(column: string, operator: string, value: any): this;
+    orWhereNot(column: string, value: any): this;
+    orWhereNot(conditions: Partial<TRecord>): this;
+    orWhereNot(callback: WhereCallback<TRecord>): this;
+    whereIn(column: string, values: any[] | QueryBuilder | SubqueryCallback): this;
+    orWhereIn(column: string, values: any[] | QueryBuilder | SubqueryCallback): this;
+    whereNotIn(column: string, values: any[] | QueryBuilder | SubqueryCallback): this;
+    orWhereNotIn(column: string, values: any[] | QueryBuilder | SubqueryCallback): this;
+    whereBetween(column: string, values: [any, any]): this;
+    orWhereBetween(column: string, values: [any, any]): this;
+    whereNotBetween(column: string, values: [any, any]): this;
+    orWhereNotBetween(column: string, values: [any, any]): this;
+    whereNull(column: string): this;
+    orWhereNull(column: string): this;
+    whereNotNull(column: string): this;
+    orWhereNotNull(column: string): this;
+    whereExists(query: QueryBuilder | SubqueryCallback): this;
+    orWhereExists(query: QueryBuilder | SubqueryCallback): this;
+    whereNotExists(query: QueryBuilder | SubqueryCallback): this;
+    orWhereNotExists(query: QueryBuilder | SubqueryCallback): this;
+    orderBy(column: string | Raw, direction?: 'asc' | 'desc'): this;
     limit(value: number): this;
     offset(value: number): this;
-    returning<TResult = TRecord[]>(...columns: string[]): QueryBuilder<TResult>;
+    returning<TResult = TRecord[]>(...columns: Array<string | string[]>): QueryBuilder<TResult>;
+
+    /** Lê do primário mesmo com réplicas de leitura configuradas. */
+    usePrimary(): this;
+    /** Rejeita com um QueryTimeoutError após `ms`; com `cancel`, interrompe a consulta no servidor. */
+    timeout(ms: number, options?: { cancel?: boolean }): this;
 
     get(): Promise<TRecord[]>;
     first(): Promise<TRecord | null>;
-    insert(data: Partial<TRecord> | Partial<TRecord>[]): Promise<any>;
-    update(data: Partial<TRecord>): Promise<number>;
-    delete(): Promise<number>;
+    /** Executado quando o insert retornado é aguardado. */
+    insert(data: Partial<TRecord> | Partial<TRecord>[]): PendingInsert<TRecord>;
+    onConflict(columns?: string | string[]): this;
+    merge(updates?: string[] | Partial<TRecord>): this;
+    ignore(): this;
+    update(data: Partial<TRecord>): Promise<number | TRecord[]>;
+    delete(): Promise<number | TRecord[]>;
+    toSql(): { sql: string; bindings: any[] };
+  }
+
+  /**
+   * Um insert preparado por `insert()`. Resolve para um WriteResult ou, com `returning()`, para as linhas inseridas.
+   */
+  export interface PendingInsert<TRecord extends {} = any> extends PromiseLike<any> {
+    onConflict(columns?: string | string[]): this;
+    merge(updates?: string[] | Partial<TRecord>): this;
+    ignore(): this;
+    returning(...columns: Array<string | string[]>): this;
+    timeout(ms: number, options?: { cancel?: boolean }): this;
+    catch<TResult = never>(onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | null): Promise<any>;
+    finally(onfinally?: (() => void) | null): Promise<any>;
   }
 
   /**
@@ -84,7 +267,7 @@ declare module 'easydbg' {
     notNullable(): this;
     unique(): this;
     primary(): this;
-    defaultTo(value: any): this;
+    defaultTo(value: any | Raw): this;
   }
 
   /**
@@ -120,11 +303,53 @@ declare module 'easydbg' {
   /**
    * Interface compartilhada entre o Cliente principal e a Transação.
    */
+  /**
+   * Resultado normalizado de uma escrita (INSERT, UPDATE, DELETE, MERGE) executada com `query()`.
+   */
+  export interface WriteResult<TRow = any> {
+    rowCount: number;
+    /** O id gerado pelo INSERT (apenas MySQL; `null` nos demais bancos). */
+    insertId: number | null;
+    /** As linhas de RETURNING/OUTPUT, se houver. */
+    rows: TRow[];
+  }
+
+  /**
+   * Opções de tempo limite e cancelamento de uma consulta.
+   */
+  interface QueryOptions {
+    /** Tempo limite, em milissegundos. */
+    timeout?: number;
+    /** Ao esgotar o tempo limite, cancela a consulta no servidor. */
+    cancel?: boolean;
+    /** Cancela a consulta no servidor quando abortado. */
+    signal?: AbortSignal;
+  }
+
+  type IsolationLevel = 'read uncommitted' | 'read committed' | 'repeatable read' | 'serializable' | 'snapshot';
+
+  interface TransactionOptions {
+    /** 'snapshot' apenas no MSSQL; o Oracle aceita 'read committed' e 'serializable'. */
+    isolationLevel?: IsolationLevel;
+    /** Rejeita escritas na transação. */
+    readOnly?: boolean;
+    /** PostgreSQL: espera por um snapshot seguro em transações SERIALIZABLE READ ONLY. */
+    deferrable?: boolean;
+    /** Com uma transação ativa: participar dela, abrir outra independente ou criar um savepoint. */
+    propagation?: 'REQUIRED' | 'REQUIRES_NEW' | 'NESTED';
+  }
+
+  interface BeginTransactionOptions extends Omit<TransactionOptions, 'propagation'> {
+    /** Identificador de uma transação distribuída (two-phase commit): PostgreSQL, MySQL e MariaDB. */
+    xid?: string;
+  }
+
   interface QueryInterface {
     table<TRecord extends {} = any>(tableName: string): QueryBuilder<TRecord>;
-    query<TResult = any>(sql: string, bindings?: any[]): Promise<TResult[]>;
+    query<TResult = any>(sql: string, bindings?: any[], options?: QueryOptions): Promise<TResult[] | WriteResult<TResult>>;
     schema: SchemaBuilder;
-    fn: { now: () => any };
+    fn: FunctionHelper;
+    raw(sql: string, bindings?: any[]): Raw;
   }
 
   /**
@@ -132,35 +357,115 @@ declare module 'easydbg' {
    */
   export class Transaction implements QueryInterface {
     table<TRecord extends {} = any>(tableName: string): QueryBuilder<TRecord>;
-    query<TResult = any>(sql: string, bindings?: any[]): Promise<TResult[]>;
+    query<TResult = any>(sql: string, bindings?: any[], options?: QueryOptions): Promise<TResult[] | WriteResult<TResult>>;
     schema: SchemaBuilder;
-    fn: { now: () => any };
+    fn: FunctionHelper;
+    raw(sql: string, bindings?: any[]): Raw;
+    /** Transação aninhada, com um savepoint. */
+    transaction<T>(callback: (trx: Transaction) => Promise<T>, options?: TransactionOptions): Promise<T>;
     commit(): Promise<void>;
-    rollback(): Promise<void>;
+    /** O erro, se informado, é repassado aos callbacks de afterRollback. */
+    rollback(error?: Error): Promise<void>;
+    /** Prepara uma transação iniciada com `xid` (a primeira fase do two-phase commit). */
+    prepare(): Promise<void>;
+    /** Se a transação já foi confirmada ou revertida. */
+    isCompleted(): boolean;
+    /** Executado antes do COMMIT, dentro da transação; um erro a reverte. */
+    beforeCommit(callback: (trx: Transaction) => unknown): void;
+    /** Executado após o COMMIT da transação principal. */
+    afterCommit(callback: () => unknown): void;
+    /** Executado após o ROLLBACK da transação principal, com o erro que o causou. */
+    afterRollback(callback: (error: Error) => unknown): void;
+  }
+
+  // --- Eventos ---
+
+  interface QueryEvent {
+    queryId: number;
+    /** O SQL e os bindings enviados ao driver. */
+    sql: string;
+    bindings: any[];
+    /** `null` fora de uma transação. */
+    transactionId: number | null;
+  }
+
+  interface ClientEvents {
+    query: QueryEvent;
+    'query-response': QueryEvent & { duration: number; rowCount: number };
+    'query-error': QueryEvent & { duration: number; error: QueryError };
+    connect: { client: string; serverVersion: string | null };
+    disconnect: { client: string };
+    'transaction:begin': { transactionId: number };
+    'transaction:commit': { transactionId: number; duration: number };
+    'transaction:rollback': { transactionId: number; duration: number };
   }
 
   /**
    * A classe principal do cliente easydbg.
    */
-  export class EasyDBGClient implements QueryInterface {
+  export class EasyDBGClient extends EventEmitter implements QueryInterface {
+    on<E extends keyof ClientEvents>(event: E, listener: (payload: ClientEvents[E]) => void): this;
+    once<E extends keyof ClientEvents>(event: E, listener: (payload: ClientEvents[E]) => void): this;
+    off<E extends keyof ClientEvents>(event: E, listener: (payload: ClientEvents[E]) => void): this;
     constructor(config: EasyDBGConfig);
+    /** Versão do servidor detectada no `connect()` ou informada na configuração. */
+    serverVersion: string | null;
+    log: Required<Logger>;
+    retryPolicy: Required<RetryConfig>;
     connect(): Promise<void>;
     disconnect(): Promise<void>;
+    poolStats(): PoolStats;
+    /** Executa o callback em um escopo no qual, após uma escrita, as leituras usam o primário. */
+    scope<T>(callback: () => T): T;
     table<TRecord extends {} = any>(tableName: string): QueryBuilder<TRecord>;
-    query<TResult = any>(sql: string, bindings?: any[]): Promise<TResult[]>;
+    query<TResult = any>(sql: string, bindings?: any[], options?: QueryOptions & { replica?: boolean; idempotent?: boolean }): Promise<TResult[] | WriteResult<TResult>>;
     schema: SchemaBuilder;
-    fn: { now: () => any };
-    transaction<T>(callback: (trx: Transaction) => Promise<T>): Promise<T>;
+    fn: FunctionHelper;
+    raw(sql: string, bindings?: any[]): Raw;
+    transaction<T>(callback: (trx: Transaction) => Promise<T>, options?: TransactionOptions): Promise<T>;
+    /** Inicia uma transação concluída manualmente com `trx.commit()` ou `trx.rollback()`. */
+    beginTransaction(options?: BeginTransactionOptions): Promise<Transaction>;
+    /** Confirma uma transação preparada, em qualquer conexão. */
+    commitPrepared(xid: string): Promise<void>;
+    /** Desfaz uma transação preparada, em qualquer conexão. */
+    rollbackPrepared(xid: string): Promise<void>;
+    /** Executa o callback fora da transação ativa do contexto (ver `implicitTransactions`). */
+    withoutTransaction<T>(callback: () => T): T;
   }
 
   // --- Classes de Erro ---
 
+  export class ConfigurationError extends Error {
+    /** Todos os problemas encontrados, no formato "chave: descrição". */
+    errors: string[];
+  }
   export class ConnectionError extends Error {}
   export class QueryError extends Error {
     sql?: string;
     bindings?: any[];
+    /** O erro lançado pelo driver. */
+    originalError?: Error;
+    /** A tabela, a coluna e a constraint envolvidas, quando o banco as informa. */
+    table: string | null;
+    column: string | null;
+    constraint: string | null;
+  }
+  export class UniqueViolationError extends QueryError {}
+  export class ForeignKeyViolationError extends QueryError {}
+  export class NotNullViolationError extends QueryError {}
+  export class CheckViolationError extends QueryError {}
+  export class DeadlockError extends QueryError {}
+  export class UndefinedTableError extends QueryError {}
+  export class UndefinedColumnError extends QueryError {}
+  export class QueryTimeoutError extends QueryError {
+    /** 'timeout' pelo tempo limite, 'abort' pelo AbortSignal. */
+    reason: 'timeout' | 'abort';
+    timeout: number | null;
+  }
+  export class TransactionError extends Error {
+    /** O erro do driver, ou `null` quando a transação foi usada após ser concluída. */
+    originalError: Error | null;
   }
-  export class TransactionError extends Error {}
   export class MigrationError extends Error {}
 
   // --- Exportação Principal ---
@@ -173,9 +478,19 @@ declare module 'easydbg' {
   // Namespace para exportações adicionais
   namespace createClient {
     export const EasyDBGClient: { new(config: EasyDBGConfig): EasyDBGClient };
+    export { Raw };
     export const errors: {
+      ConfigurationError: typeof ConfigurationError;
       ConnectionError: typeof ConnectionError;
       QueryError: typeof QueryError;
+      QueryTimeoutError: typeof QueryTimeoutError;
+      UniqueViolationError: typeof UniqueViolationError;
+      ForeignKeyViolationError: typeof ForeignKeyViolationError;
+      NotNullViolationError: typeof NotNullViolationError;
+      CheckViolationError: typeof CheckViolationError;
+      DeadlockError: typeof DeadlockError;
+      UndefinedTableError: typeof UndefinedTableError;
+      UndefinedColumnError: typeof UndefinedColumnError;
       TransactionError: typeof TransactionError;
       MigrationError: typeof MigrationError;
     };
@@ -56,10 +56,22 @@ module.exports = createClient;
 // Também exportamos a classe diretamente, caso alguém prefira usar `new EasyDBGClient()`.
 module.exports.EasyDBGClient = EasyDBGClient;
 
+// A classe Raw permite identificar (ou criar) expressões SQL literais fora de um cliente.
+module.exports.Raw = require('./query/raw');
+
 // Exportar as classes de erro é uma boa prática para permitir tratamento de erros específico.
 module.exports.errors = {
+  ConfigurationError: require('./errors/ConfigurationError'),
   ConnectionError: require('./errors/ConnectionError'),
   QueryError: require('./errors/QueryError'),
+  QueryTimeoutError: require('./errors/QueryTimeoutError'),
+  UniqueViolationError: require('./errors/UniqueViolationError'),
+  ForeignKeyViolationError: require('./errors/ForeignKeyViolationError'),
+  NotNullViolationError: require('./errors/NotNullViolationError'),
+  CheckViolationError: require('./errors/CheckViolationError'),
+  DeadlockError: require('./errors/DeadlockError'),
+  UndefinedTableError: require('./errors/UndefinedTableError'),
+  UndefinedColumnError: require('./errors/UndefinedColumnError'),
   TransactionError: require('./errors/TransactionError'),
   MigrationError: require('./errors/MigrationError'),
 };
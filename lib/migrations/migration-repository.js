@@ -38,7 +38,7 @@ class MigrationRepository {
       // Usa o Schema Builder do easydbg para verificar e criar a tabela.
       const exists = await this.db.schema.hasTable(this.tableName);
       if (!exists) {
-        console.log(`Criando tabela de migrations: "${this.tableName}"...`);
+        this.db.log.info(`Criando tabela de migrations: "${this.tableName}"...`);
         await this.db.schema.createTable(this.tableName, (table) => {
           table.increments('id').primary();
           table.string('name').notNullable().unique(); // Nome do arquivo da migration
@@ -66,8 +66,9 @@ class MigrationRepository {
    */
   async getLastBatchNumber() {
     try {
-      const result = await this.db.table(this.tableName).max('batch as last_batch');
-      return result[0]?.last_batch || 0;
+      // max() resolve para o valor da agregação (0 quando a tabela está vazia).
+      const lastBatch = await this.db.table(this.tableName).max('batch');
+      return lastBatch || 0;
     } catch (err) {
       throw new MigrationError('Falha ao buscar o último número de lote da migration.', { originalError: err });
     }
@@ -81,7 +82,7 @@ class MigrationRepository {
     try {
       // Garante que a tabela exista antes de tentar consultá-la.
       await this.ensureTableExists();
-      const results = await this.db.table(this.tableName).select('name').orderBy('name', 'asc');
+      const results = await this.db.table(this.tableName).select('name').orderBy('name', 'asc').get();
       return results.map(row => row.name);
     } catch (err) {
       throw new MigrationError('Falha ao buscar a lista de migrations executadas.', { originalError: err });
@@ -114,7 +115,7 @@ class MigrationRepository {
    */
   async delete(migrationName) {
     try {
-      await this.db.table(this.tableName).where('name', migrationName).del();
+      await this.db.table(this.tableName).where('name', migrationName).delete();
     } catch (err) {
       throw new MigrationError(`Falha ao remover o registro da migration "${migrationName}".`, { originalError: err });
     }
@@ -127,7 +127,8 @@ exports.down = async (db) => {
       .table(this.config.tableName)
       .where('batch', lastBatchNumber)
       .orderBy('name', 'desc') // Reverte na ordem inversa da execução
-      .select('name');
+      .select('name')
+      .get();
 
     const filesToRollback = migrationsToRollback.map(m => m.name);
 
@@ -150,7 +151,7 @@ exports.down = async (db) => {
         throw new MigrationError('A função up não é uma função válida no arquivo.', { migrationFile: fileName });
       }
 
-      console.log(`Executando: ${fileName}`);
+      this.db.log.info(`Executando: ${fileName}`);
       await migration.up(this.db);
       await this.repository.log(fileName, batchNumber);
     } catch (err) {
@@ -172,7 +173,7 @@ exports.down = async (db) => {
         throw new MigrationError('A função down não é uma função válida no arquivo.', { migrationFile: fileName });
       }
 
-      console.log(`Revertendo: ${fileName}`);
+      this.db.log.info(`Revertendo: ${fileName}`);
       await migration.down(this.db);
       await this.repository.delete(fileName);
     } catch (err) {
@@ -2,6 +2,9 @@
 
 'use strict';
 
+const Raw = require('./raw');
+const PendingInsert = require('./pending-insert');
+
 /**
  * @class QueryBuilder
  * Fornece uma API fluente para construir e executar consultas SQL.
@@ -29,13 +32,15 @@ class QueryBuilder {
       limit: null,
       offset: null,
       aggregate: null, // Para funções como count(), sum(), etc.
+      returning: null, // Colunas retornadas por insert(), update() e delete().
+      onConflict: null, // Opções de upsert: { columns, action: 'merge' | 'ignore', merge }.
     };
 
-    // Armazena os valores para os placeholders da consulta.
-    this._bindings = {
-      where: [],
-      having: [],
-    };
+    // Força leituras no primário mesmo quando há réplicas de leitura (ver `usePrimary()`).
+    this._usePrimary = false;
+
+    // Tempo limite da consulta: { timeout, cancel } (ver `timeout()`).
+    this._timeout = {};
   }
 
   // --- Métodos de Construção da Query ---
@@ -52,42 +57,94 @@ class QueryBuilder {
 
   // --- MELHORIA: JOINs ---
   join(table, first, operator, second) {
-    this._statements.joins.push({ type: 'inner', table, first, operator, second });
-    return this;
+    return this._addJoin('inner', table, first, operator, second);
   }
 
   leftJoin(table, first, operator, second) {
-    this._statements.joins.push({ type: 'left', table, first, operator, second });
-    return this;
+    return this._addJoin('left', table, first, operator, second);
   }
 
   rightJoin(table, first, operator, second) {
-    this._statements.joins.push({ type: 'right', table, first, operator, second });
-    return this;
+    return this._addJoin('right', table, first, operator, second);
   }
 
+  /**
+   * Adiciona uma cláusula WHERE unida por AND.
+   * Aceita `where(coluna, valor)`, `where(coluna, operador, valor)`, um objeto
+   * de pares coluna/valor, uma subquery ou uma closure para agrupar condições.
+   *
+   * @example
+   * db.table('users').where('a', 1).orWhere(q => q.where('b', 2).where('c', 3));
+   * // WHERE "a" = ? OR ("b" = ? AND "c" = ?)
+   */
   where(column, operator, value) {
-    // Suporte para where({ 'id': 1, 'active': true })
-    if (typeof column === 'object') {
-      Object.entries(column).forEach(([key, val]) => {
-        this.where(key, '=', val);
-      });
-      return this;
-    }
+    return this._addWhere('and', false, ...arguments);
+  }
 
-    // --- MELHORIA: Suporte a Subqueries ---
-    if (column instanceof QueryBuilder) {
-      const { sql, bindings } = column.toSql();
-      this._statements.wheres.push({ type: 'sub', sql, boolean: 'and' });
-      this._bindings.where.push(...bindings);
-      return this;
-    }
+  /**
+   * Adiciona uma cláusula WHERE unida por OR.
+   */
+  orWhere(column, operator, value) {
+    return this._addWhere('or', false, ...arguments);
+  }
 
-    this._statements.wheres.push({ column, operator, value, boolean: 'and' });
-    this._bindings.where.push(value);
-    return this;
+  /**
+   * Adiciona uma cláusula WHERE negada (AND NOT ...).
+   */
+  whereNot(column, operator, value) {
+    return this._addWhere('and', true, ...arguments);
+  }
+
+  /**
+   * Adiciona uma cláusula WHERE negada unida por OR (OR NOT ...).
+   */
+  orWhereNot(column, operator, value) {
+    return this._addWhere('or', true, ...arguments);
   }
 
+  // --- Predicados de Conjunto e Intervalo ---
+
+  /**
+   * Adiciona uma cláusula `coluna IN (...)`.
+   * @param {string} column - A coluna a ser comparada.
+   * @param {Array|QueryBuilder|Function} values - Uma lista de valores, uma subquery ou uma closure que a constrói.
+   */
+  whereIn(column, values) { return this._addWhereIn('and', false, column, values); }
+  orWhereIn(column, values) { return this._addWhereIn('or', false, column, values); }
+  whereNotIn(column, values) { return this._addWhereIn('and', true, column, values); }
+  orWhereNotIn(column, values) { return this._addWhereIn('or', true, column, values); }
+
+  /**
+   * Adiciona uma cláusula `coluna BETWEEN ? AND ?`.
+   * @param {string} column - A coluna a ser comparada.
+   * @param {Array} values - Um array com exatamente dois valores: [mínimo, máximo].
+   */
+  whereBetween(column, values) { return this._addWhereBetween('and', false, column, values); }
+  orWhereBetween(column, values) { return this._addWhereBetween('or', false, column, values); }
+  whereNotBetween(column, values) { return this._addWhereBetween('and', true, column, values); }
+  orWhereNotBetween(column, values) { return this._addWhereBetween('or', true, column, values); }
+
+  /**
+   * Adiciona uma cláusula `coluna IS NULL`.
+   * @param {string} column - A coluna a ser verificada.
+   */
+  whereNull(column) { return this._addWhereNull('and', false, column); }
+  orWhereNull(column) { return this._addWhereNull('or', false, column); }
+  whereNotNull(column) { return this._addWhereNull('and', true, column); }
+  orWhereNotNull(column) { return this._addWhereNull('or', true, column); }
+
+  /**
+   * Adiciona uma cláusula `EXISTS (subquery)`.
+   * @param {QueryBuilder|Function} query - Uma subquery ou uma closure que a constrói.
+   *
+   * @example
+   * db.table('users').whereExists(q => q.from('orders').where('total', '>', 100));
+   */
+  whereExists(query) { return this._addWhereExists('and', false, query); }
+  orWhereExists(query) { return this._addWhereExists('or', false, query); }
+  whereNotExists(query) { return this._addWhereExists('and', true, query); }
+  orWhereNotExists(query) { return this._addWhereExists('or', true, query); }
+
   // --- MELHORIA: Agrupamento ---
   groupBy(...columns) {
     this._statements.groups.push(...columns);
@@ -96,7 +153,6 @@ class QueryBuilder {
 
   having(column, operator, value) {
     this._statements.havings.push({ column, operator, value, boolean: 'and' });
-    this._bindings.having.push(value);
     return this;
   }
 
@@ -115,6 +171,50 @@ class QueryBuilder {
     return this;
   }
 
+  /**
+   * Define as colunas retornadas por `insert()`, `update()` e `delete()`.
+   * Com `returning`, essas operações resolvem para um array de linhas em todos os dialetos.
+   * @param {Array<string>|...string} columns - As colunas a serem retornadas (ex: ['id', 'created_at']).
+   *
+   * @example
+   * const [user] = await db.table('users').returning(['id', 'created_at']).insert({ name: 'Ana' });
+   */
+  returning(...columns) {
+    const list = columns.flat();
+    this._statements.returning = list.length > 0 ? list : ['*'];
+    return this;
+  }
+
+  /**
+   * Executa a leitura no primário, mesmo com réplicas configuradas. Útil para ler um dado
+   * recém-escrito fora de um `db.scope()`.
+   * @returns {QueryBuilder}
+   */
+  usePrimary() {
+    this._usePrimary = true;
+    return this;
+  }
+
+  /**
+   * Define um tempo limite para a consulta. Esgotado o tempo, ela é rejeitada com um
+   * QueryTimeoutError. Com `cancel: true`, a consulta também é interrompida no servidor,
+   * com o mecanismo nativo do driver, liberando a conexão.
+   * @param {number} ms - O tempo limite, em milissegundos.
+   * @param {object} [options={}]
+   * @param {boolean} [options.cancel=false] - Cancela a consulta no servidor.
+   * @returns {QueryBuilder}
+   *
+   * @example
+   * const rows = await db.table('events').where('year', 2024).timeout(5000, { cancel: true }).get();
+   */
+  timeout(ms, { cancel = false } = {}) {
+    if (!Number.isInteger(ms) || ms <= 0) {
+      throw new Error('O tempo limite deve ser um número inteiro positivo de milissegundos.');
+    }
+    this._timeout = { timeout: ms, cancel };
+    return this;
+  }
+
   // --- Métodos de Execução (Finais) ---
 
   /**
@@ -123,7 +223,7 @@ class QueryBuilder {
    */
   async get() {
     const { sql, bindings } = this.toSql();
-    return this.client.query(sql, bindings);
+    return this._read(sql, bindings);
   }
 
   /**
@@ -140,7 +240,7 @@ class QueryBuilder {
   async aggregate(func, column) {
     this._statements.aggregate = { func, column };
     const { sql, bindings } = this.toSql();
-    const result = await this.client.query(sql, bindings);
+    const result = await this._read(sql, bindings);
     if (!result || result.length === 0) return 0;
     // O resultado da agregação é geralmente retornado em uma coluna chamada 'aggregate'.
     const value = result[0].aggregate;
@@ -154,34 +254,274 @@ class QueryBuilder {
   max(column) { return this.aggregate('max', column); }
 
   /**
-   * Executa uma consulta INSERT.
+   * Prepara uma consulta INSERT de uma ou mais linhas, executada quando o insert retornado é
+   * aguardado. Isso permite encadear `onConflict()`, `merge()`, `ignore()` e `returning()` após o insert.
+   * Um array de objetos é inserido com VALUES de várias linhas, dividido em lotes que
+   * respeitam os limites de parâmetros do driver. Vários lotes rodam em uma única transação.
+   * Resolve para `{ rowCount, insertId, rows }` ou, se `returning()` foi chamado, para o array de linhas inseridas.
    * @param {object|Array<object>} data - Os dados a serem inseridos.
-   * @returns {Promise<any>}
+   * @returns {PendingInsert}
+   *
+   * @example
+   * await db.table('users').insert(rows).onConflict(['email']).merge(['name']);
+   */
+  insert(data) {
+    return new PendingInsert(this, data);
+  }
+
+  /**
+   * Transforma o insert em um upsert, detectando conflitos pelas colunas informadas.
+   * Deve ser seguido de `merge()` ou `ignore()`.
+   * @param {string|Array<string>} [columns] - As colunas com restrição de unicidade.
    */
-  async insert(data) {
-    const { sql, bindings } = this.grammar.compileInsert(this._statements.from, data);
-    return this.client.query(sql, bindings);
+  onConflict(columns = []) {
+    this._statements.onConflict = { columns: [].concat(columns), action: null, merge: null };
+    return this;
+  }
+
+  /**
+   * Atualiza as linhas em conflito.
+   * Sem argumentos, atualiza todas as colunas inseridas, exceto as de conflito.
+   * @param {Array<string>|object} [updates] - As colunas a serem atualizadas ou um objeto com os novos valores.
+   */
+  merge(updates = null) {
+    this._assertOnConflict('merge');
+    Object.assign(this._statements.onConflict, { action: 'merge', merge: updates });
+    return this;
+  }
+
+  /**
+   * Ignora as linhas em conflito, mantendo as existentes.
+   */
+  ignore() {
+    this._assertOnConflict('ignore');
+    this._statements.onConflict.action = 'ignore';
+    return this;
   }
 
   /**
    * Executa uma consulta UPDATE.
    * @param {object} data - Os dados a serem atualizados.
-   * @returns {Promise<any>}
+   * @returns {Promise<number|Array<object>>} O número de linhas afetadas, ou as linhas de `returning()`.
    */
   async update(data) {
-    const allBindings = [...this._bindings.where, ...this._bindings.having];
-    const { sql, bindings } = this.grammar.compileUpdate(this._statements, data, allBindings);
-    return this.client.query(sql, bindings);
+    const { sql, bindings } = this.grammar.compileUpdate(this._statements, data);
+    return this._writeResult(await this.client.query(sql, bindings, this._timeout));
   }
 
   /**
    * Executa uma consulta DELETE.
-   * @returns {Promise<any>}
+   * @returns {Promise<number|Array<object>>} O número de linhas removidas, ou as linhas de `returning()`.
    */
   async delete() {
-    const allBindings = [...this._bindings.where, ...this._bindings.having];
-    const { sql, bindings } = this.grammar.compileDelete(this._statements, allBindings);
-    return this.client.query(sql, bindings);
+    const { sql, bindings } = this.grammar.compileDelete(this._statements);
+    return this._writeResult(await this.client.query(sql, bindings, this._timeout));
+  }
+
+  /**
+   * @private
+   * Executa uma leitura. Fora de uma transação, ela vai para uma réplica, se houver.
+   */
+  _read(sql, bindings) {
+    return this.client.query(sql, bindings, { replica: !this._usePrimary, ...this._timeout });
+  }
+
+  /**
+   * @private
+   * Executa o insert preparado por `insert()`, quando o PendingInsert é aguardado.
+   */
+  async _executeInsert(data) {
+    if (this._statements.onConflict && !this._statements.onConflict.action) {
+      throw new Error('O método onConflict() deve ser seguido de merge() ou ignore().');
+    }
+
+    const rows = Array.isArray(data) ? data : [data];
+    if (rows.length === 0) return this._statements.returning ? [] : { rowCount: 0, insertId: null, rows: [] };
+
+    const queries = this.grammar.chunkInsertRows(this._statements, rows).map(chunk => ({
+      ...this.grammar.compileInsert(this._statements, chunk),
+      fetch: this._statements.returning && this.grammar.compileReturningFetch(this._statements, chunk.length),
+    }));
+
+    // Um único statement, sem busca posterior, não precisa de transação.
+    if (queries.length === 1 && !queries[0].fetch) {
+      const result = await this.client.query(queries[0].sql, queries[0].bindings, this._timeout);
+      return this._statements.returning ? result.rows : result;
+    }
+
+    // Dialetos sem RETURNING buscam as linhas depois do INSERT. O id gerado só é visível
+    // na mesma conexão, então as consultas rodam juntas em uma transação.
+    return this.client.transaction(async (trx) => {
+      const results = [];
+      for (const { sql, bindings, fetch } of queries) {
+        const result = await trx.query(sql, bindings, this._timeout);
+        results.push(fetch ? { ...result, rows: await trx.query(fetch.sql, fetch.bindings, this._timeout) } : result);
+      }
+
+      const rows = results.flatMap(result => result.rows);
+      if (this._statements.returning) return rows;
+
+      return {
+        rowCount: results.reduce((total, result) => total + result.rowCount, 0),
+        insertId: results[0].insertId,
+        rows,
+      };
+    });
+  }
+
+  /**
+   * @private
+   * Converte o resultado de um UPDATE ou DELETE no valor retornado ao usuário.
+   */
+  _writeResult(result) {
+    return this._statements.returning ? result.rows : result.rowCount;
+  }
+
+  /**
+   * @private
+   * Garante que `merge()` e `ignore()` sejam chamados após `onConflict()`.
+   */
+  _assertOnConflict(method) {
+    if (!this._statements.onConflict) {
+      throw new Error(`O método ${method}() deve ser chamado após onConflict().`);
+    }
+  }
+
+  /**
+   * @private
+   * Registra um JOIN. As colunas da condição podem ser expressões Raw.
+   */
+  _addJoin(type, table, first, operator, second) {
+    this._statements.joins.push({ type, table, first, operator, second });
+    return this;
+  }
+
+  /**
+   * @private
+   * Registra uma condição WHERE com o operador booleano e a negação informados.
+   * Centraliza o tratamento das diferentes formas de chamada de `where()`.
+   */
+  _addWhere(boolean, not, column, operator, value) {
+    // Suporte para where(db.raw('a = ? or b = ?', [1, 2]))
+    if (column instanceof Raw) {
+      this._statements.wheres.push({ type: 'raw', raw: column, boolean, not });
+      return this;
+    }
+
+    // Suporte para where(query => query.where(...).orWhere(...))
+    if (typeof column === 'function') {
+      return this._addNestedWhere(boolean, not, column);
+    }
+
+    // --- MELHORIA: Suporte a Subqueries ---
+    if (column instanceof QueryBuilder) {
+      this._statements.wheres.push({ type: 'sub', query: column._statements, boolean, not });
+      return this;
+    }
+
+    // Suporte para where({ 'id': 1, 'active': true })
+    if (column !== null && typeof column === 'object') {
+      const entries = Object.entries(column);
+      // Um simples AND pode ser achatado; OR e NOT precisam de parênteses.
+      if (boolean === 'and' && !not) {
+        entries.forEach(([key, val]) => this._addWhere('and', false, key, '=', val));
+        return this;
+      }
+      return this._addNestedWhere(boolean, not, (query) => {
+        entries.forEach(([key, val]) => query.where(key, '=', val));
+      });
+    }
+
+    // Suporte para where('id', 1), equivalente a where('id', '=', 1)
+    if (arguments.length === 4) {
+      value = operator;
+      operator = '=';
+    }
+
+    this._statements.wheres.push({ type: 'basic', column, operator, value, boolean, not });
+    return this;
+  }
+
+  /**
+   * @private
+   * Executa a closure em um builder auxiliar e registra suas condições
+   * como um grupo entre parênteses.
+   */
+  _addNestedWhere(boolean, not, callback) {
+    const query = new QueryBuilder(this.client, this.grammar);
+    callback(query);
+
+    // Um grupo vazio não gera SQL nenhum.
+    if (query._statements.wheres.length === 0) {
+      return this;
+    }
+
+    this._statements.wheres.push({ type: 'nested', wheres: query._statements.wheres, boolean, not });
+    return this;
+  }
+
+  /**
+   * @private
+   * Registra uma cláusula IN com uma lista de valores ou uma subquery.
+   */
+  _addWhereIn(boolean, not, column, values) {
+    if (values instanceof QueryBuilder || typeof values === 'function') {
+      this._statements.wheres.push({ type: 'inSub', column, query: this._subqueryStatements(values), boolean, not });
+      return this;
+    }
+
+    if (!Array.isArray(values)) {
+      throw new Error(`O método whereIn espera um array ou uma subquery para a coluna "${column}".`);
+    }
+
+    this._statements.wheres.push({ type: 'in', column, values, boolean, not });
+    return this;
+  }
+
+  /**
+   * @private
+   * Registra uma cláusula BETWEEN.
+   */
+  _addWhereBetween(boolean, not, column, values) {
+    if (!Array.isArray(values) || values.length !== 2) {
+      throw new Error(`O método whereBetween espera um array com exatamente dois valores para a coluna "${column}".`);
+    }
+
+    this._statements.wheres.push({ type: 'between', column, values, boolean, not });
+    return this;
+  }
+
+  /**
+   * @private
+   * Registra uma cláusula IS NULL.
+   */
+  _addWhereNull(boolean, not, column) {
+    this._statements.wheres.push({ type: 'null', column, boolean, not });
+    return this;
+  }
+
+  /**
+   * @private
+   * Registra uma cláusula EXISTS.
+   */
+  _addWhereExists(boolean, not, query) {
+    this._statements.wheres.push({ type: 'exists', query: this._subqueryStatements(query), boolean, not });
+    return this;
+  }
+
+  /**
+   * @private
+   * Retorna os statements de uma subquery recebida como QueryBuilder ou como closure.
+   * A closure recebe um builder vazio, que deve definir a própria tabela com `from()`.
+   * A subquery é compilada junto com a consulta externa, pela gramática desta.
+   */
+  _subqueryStatements(query) {
+    if (typeof query === 'function') {
+      const subquery = new QueryBuilder(this.client, this.grammar);
+      query(subquery);
+      return subquery._statements;
+    }
+    return query._statements;
   }
 
   /**
@@ -189,9 +529,7 @@ class QueryBuilder {
    * @returns {{sql: string, bindings: Array}}
    */
   toSql() {
-    const sql = this.grammar.compileSelect(this._statements);
-    const bindings = [...this._bindings.where, ...this._bindings.having];
-    return { sql, bindings };
+    return this.grammar.compileSelect(this._statements);
   }
 }
 
@@ -0,0 +1,87 @@
+// lib/query/function-helper.js
+
+'use strict';
+
+const Raw = require('./raw');
+
+/**
+ * @class FunctionHelper
+ *
+ * Implementa os helpers expostos em `db.fn`. Cada helper devolve uma instância de Raw
+ * com o SQL correto para o dialeto da gramática, podendo ser usado em qualquer ponto
+ * do Query Builder (select, where, order by, insert, update) ou como valor padrão no Schema Builder.
+ *
+ * Strings são tratadas como nomes de colunas; outros valores viram bindings.
+ *
+ * @example
+ * db.table('users').select(db.fn.coalesce('nickname', 'name')).orderBy(db.fn.lower('name'));
+ * db.table('users').update({ updated_at: db.fn.now() });
+ */
+class FunctionHelper {
+  /**
+   * @param {BaseGrammar} grammar - A gramática do dialeto em uso.
+   */
+  constructor(grammar) {
+    this.grammar = grammar;
+  }
+
+  /**
+   * O instante atual (ex: `now()` no PostgreSQL, `GETDATE()` no MSSQL).
+   * @returns {Raw}
+   */
+  now() {
+    return new Raw(this.grammar.compileNow());
+  }
+
+  /**
+   * Retorna o primeiro valor não nulo entre os informados.
+   * @param {...(string|Raw|*)} values - Colunas, expressões Raw ou valores literais.
+   * @returns {Raw}
+   */
+  coalesce(...values) {
+    const expressions = values.map(value => this._expression(value));
+    return new Raw(
+      `COALESCE(${expressions.map(e => e.sql).join(', ')})`,
+      expressions.flatMap(e => e.bindings)
+    );
+  }
+
+  /**
+   * Converte o valor para letras minúsculas.
+   * @param {string|Raw} value - A coluna ou expressão.
+   * @returns {Raw}
+   */
+  lower(value) {
+    const { sql, bindings } = this._expression(value);
+    return new Raw(`LOWER(${sql})`, bindings);
+  }
+
+  /**
+   * Converte o valor para outro tipo.
+   * Tipos genéricos ('integer', 'string', 'decimal', etc.) são traduzidos para o dialeto;
+   * qualquer outro tipo é emitido como foi informado.
+   * @param {string|Raw|*} value - A coluna, expressão ou valor a ser convertido.
+   * @param {string} type - O tipo de destino.
+   * @returns {Raw}
+   */
+  cast(value, type) {
+    const { sql, bindings } = this._expression(value);
+    return new Raw(`CAST(${sql} AS ${this.grammar.compileCastType(type)})`, bindings);
+  }
+
+  /**
+   * @private
+   * Converte um argumento em um fragmento SQL e seus bindings.
+   */
+  _expression(value) {
+    if (value instanceof Raw) {
+      return { sql: value.sql, bindings: value.bindings };
+    }
+    if (typeof value === 'string') {
+      return { sql: this.grammar.wrap(value), bindings: [] };
+    }
+    return { sql: '?', bindings: [value] };
+  }
+}
+
+module.exports = FunctionHelper;
@@ -2,6 +2,9 @@
 
 'use strict';
 
+const Raw = require('../raw');
+const { consoleLogger } = require('../../utils/logger');
+
 /**
  * @class BaseGrammar
  *
@@ -9,103 +12,464 @@
  * Contém a lógica de compilação SQL que é comum a todos os bancos de dados.
  * As gramáticas específicas de cada banco de dados estendem esta classe
  * para sobrescrever ou adicionar comportamentos específicos.
+ *
+ * Contrato de compilação (implementado por todos os dialetos):
+ * - `compileSelect(statements)`
+ * - `compileInsert(statements, data)`
+ * - `compileUpdate(statements, data)`
+ * - `compileDelete(statements)`
+ *
+ * Todos recebem o objeto `_statements` do QueryBuilder e retornam `{ sql, bindings }`,
+ * com placeholders '?' (convertidos para o formato do driver pelo ParameterHandler).
+ *
+ * Os métodos de cláusula (`compileWheres`, `compileJoins`, etc.) retornam apenas o
+ * fragmento SQL e acumulam os seus valores no array `bindings` recebido, na mesma
+ * ordem em que os placeholders aparecem. Assim, uma gramática pode reordenar ou
+ * reescrever cláusulas sem quebrar a correspondência entre SQL e bindings.
  */
 class BaseGrammar {
+  constructor() {
+    // Tipos genéricos aceitos por `db.fn.cast()`, traduzidos para o dialeto.
+    // Tipos fora desta lista são emitidos literalmente.
+    this.castTypes = {
+      integer: 'INTEGER',
+      bigInteger: 'BIGINT',
+      string: 'VARCHAR(255)',
+      text: 'TEXT',
+      decimal: 'DECIMAL',
+      boolean: 'BOOLEAN',
+      date: 'DATE',
+      timestamp: 'TIMESTAMP',
+    };
+
+    // Limites usados para dividir inserts em lote em vários statements.
+    // `maxBindings` é o número máximo de parâmetros que o driver aceita em uma consulta;
+    // `maxInsertRows` é o número máximo de linhas em um único VALUES, e `maxInsertColumns`, o
+    // número máximo de colunas-alvo (linhas × colunas) em um único statement.
+    this.maxBindings = 65535;
+    this.maxInsertRows = Infinity;
+    this.maxInsertColumns = Infinity;
+
+    // Versão do servidor, detectada em `connect()` ou informada em `config.version`.
+    // Os dialetos usam `versionAtLeast()` para ligar recursos que dependem dela.
+    this.serverVersion = null;
+
+    // Logger dos avisos de compilação; o cliente o substitui pelo de `config.log`.
+    this.log = consoleLogger;
+
+    // Níveis de isolamento aceitos pela opção `isolationLevel` de `db.transaction()`.
+    this.isolationLevels = ['READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'];
+
+    // Se o dialeto aceita transações preparadas (two-phase commit), com a opção `xid`.
+    this.supportsPreparedTransactions = false;
+  }
+
+  // --- Versão do Servidor ---
+
+  /**
+   * Retorna a consulta que lê a versão do servidor em uma coluna 'version',
+   * ou `null` se o dialeto não depende da versão.
+   * @returns {string|null}
+   */
+  compileServerVersion() {
+    return null;
+  }
+
+  /**
+   * Define a versão do servidor a partir do texto retornado pelo banco
+   * (ex: '10.11.6-MariaDB', 'CockroachDB CCL v23.1.11').
+   * @param {string|null} version - O texto da versão.
+   */
+  setServerVersion(version) {
+    const match = version ? String(version).match(/\d+(\.\d+)*/) : null;
+    this.serverVersion = match ? match[0] : null;
+  }
+
+  /**
+   * Verifica se a versão do servidor é igual ou superior à informada.
+   * Sem uma versão conhecida, assume que não é, para que só os recursos comuns sejam usados.
+   * @param {string} minimum - A versão mínima (ex: '10.5').
+   * @returns {boolean}
+   */
+  versionAtLeast(minimum) {
+    if (!this.serverVersion) return false;
+
+    const current = this.serverVersion.split('.').map(Number);
+    const required = minimum.split('.').map(Number);
+    for (let i = 0; i < required.length; i++) {
+      const part = current[i] || 0;
+      if (part !== required[i]) return part > required[i];
+    }
+    return true;
+  }
+
+  // --- Identificadores e Parâmetros ---
+
+  /**
+   * Protege um identificador (nome de tabela ou coluna).
+   * Identificadores qualificados têm cada segmento protegido ("users"."id"),
+   * e aliases no formato 'coluna as apelido' são preservados.
+   * Expressões Raw são emitidas literalmente.
+   * @param {string|Raw} value - O valor a ser protegido.
+   * @param {Array} [bindings] - Se informado, recebe os bindings de uma expressão Raw.
+   * @returns {string} O valor protegido (ex: "users"."id" AS "user_id").
+   */
+  wrap(value, bindings) {
+    if (value instanceof Raw) {
+      if (bindings) bindings.push(...value.bindings);
+      return value.sql;
+    }
+
+    const [name, alias] = this.splitAlias(value);
+    if (alias) {
+      return `${this.wrap(name)} AS ${this.wrapSegment(alias)}`;
+    }
+
+    return name.split('.').map(segment => this.wrapSegment(segment)).join('.');
+  }
+
+  /**
+   * Protege um nome de tabela, aceitando um alias no formato 'tabela as apelido'.
+   * @param {string|Raw} table - O nome da tabela.
+   * @param {Array} [bindings] - Se informado, recebe os bindings de uma expressão Raw.
+   * @returns {string} A tabela protegida (ex: "users" AS "u").
+   */
+  wrapTable(table, bindings) {
+    return this.wrap(table, bindings);
+  }
+
+  /**
+   * Protege um único segmento de um identificador com o caractere do dialeto.
+   * Aspas já existentes são removidas para evitar duplicação.
+   * @param {string} segment - O segmento (ex: 'users').
+   * @returns {string} O segmento protegido (ex: "users").
+   */
+  wrapSegment(segment) {
+    if (segment === '*') {
+      return segment;
+    }
+    return `"${segment.trim().replace(/"/g, '')}"`;
+  }
+
+  /**
+   * Separa um identificador do seu alias ('users.name as n' => ['users.name', 'n']).
+   * @param {string} value - O identificador.
+   * @returns {Array<string>} O identificador e o alias (ou undefined, se não houver).
+   */
+  splitAlias(value) {
+    const match = String(value).match(/^(.+?)\s+as\s+(\S+)$/i);
+    return match ? [match[1].trim(), match[2]] : [String(value).trim(), undefined];
+  }
+
   /**
-   * Protege um identificador (nome de tabela ou coluna) com aspas duplas.
-   * @param {string} value - O valor a ser protegido.
-   * @returns {string} O valor protegido (ex: "users").
+   * Retorna o placeholder de um valor e acumula o seu binding.
+   * Valores comuns viram '?'; expressões Raw são emitidas com os seus próprios bindings.
+   * @param {*} value - O valor a ser vinculado.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
    */
-  wrap(value) {
-    if (value === '*') {
-      return value;
+  parameter(value, bindings) {
+    if (value instanceof Raw) {
+      bindings.push(...value.bindings);
+      return value.sql;
     }
-    // Remove quaisquer aspas duplas existentes para evitar duplicação e as adiciona novamente.
-    return `"${value.replace(/"/g, '')}"`;
+    bindings.push(value);
+    return '?';
+  }
+
+  /**
+   * Retorna os placeholders de uma lista de valores, separados por vírgula.
+   * @param {Array} values - Os valores a serem vinculados.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  parameterize(values, bindings) {
+    return values.map(value => this.parameter(value, bindings)).join(', ');
+  }
+
+  /**
+   * Retorna a expressão SQL do instante atual, usada por `db.fn.now()`.
+   * @returns {string}
+   */
+  compileNow() {
+    return 'CURRENT_TIMESTAMP';
+  }
+
+  /**
+   * Traduz um tipo genérico de `db.fn.cast()` para o tipo do dialeto.
+   * @param {string} type - O tipo genérico (ex: 'integer') ou um tipo nativo.
+   * @returns {string}
+   */
+  compileCastType(type) {
+    return this.castTypes[type] || type;
   }
 
+  // --- Cláusulas ---
+
   /**
    * Compila uma lista de colunas para a cláusula SELECT.
-   * @param {string[]} columns - Array de nomes de colunas.
+   * @param {Array<string|Raw>} columns - Array de nomes de colunas.
+   * @param {Array} bindings - O acumulador de bindings.
    * @returns {string} A string SQL para as colunas.
    */
-  compileColumns(columns) {
-    return columns.map(col => this.wrap(col)).join(', ');
+  compileColumns(columns, bindings) {
+    return columns.map(col => this.wrap(col, bindings)).join(', ');
+  }
+
+  /**
+   * Compila a lista do SELECT, que pode ser substituída por uma função de agregação.
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileSelectColumns(statements, bindings) {
+    if (!statements.aggregate) {
+      return this.compileColumns(statements.select, bindings);
+    }
+
+    // Um alias informado na coluna ('batch as last_batch') é descartado, pois o resultado é sempre 'aggregate'.
+    const column = statements.aggregate.column instanceof Raw
+      ? statements.aggregate.column
+      : this.splitAlias(statements.aggregate.column)[0];
+    return `${statements.aggregate.func.toUpperCase()}(${this.wrap(column, bindings)}) AS aggregate`;
   }
 
   /**
    * Compila a cláusula FROM.
-   * @param {string} tableName - O nome da tabela.
+   * @param {string|Raw} tableName - O nome da tabela.
+   * @param {Array} bindings - O acumulador de bindings.
    * @returns {string} A string SQL para a cláusula FROM.
    */
-  compileFrom(tableName) {
-    return `FROM ${this.wrap(tableName)}`;
+  compileFrom(tableName, bindings) {
+    return `FROM ${this.wrapTable(tableName, bindings)}`;
   }
 
   /**
    * Compila a cláusula WHERE.
    * @param {object[]} wheres - Array de objetos where.
+   * @param {Array} bindings - O acumulador de bindings.
    * @returns {string} A string SQL para a cláusula WHERE.
    */
-  compileWheres(wheres) {
+  compileWheres(wheres, bindings) {
     if (wheres.length === 0) return '';
+    return `WHERE ${this.compileWhereConditions(wheres, bindings)}`;
+  }
 
-    const compiled = wheres.map(where => {
-      if (where.type === 'sub') {
-        return `(${where.sql})`;
-      }
-      return `${this.wrap(where.column)} ${where.operator} ?`;
-    });
+  /**
+   * Compila uma lista de condições, unindo cada uma pelo seu próprio operador booleano.
+   * O operador da primeira condição é descartado, pois não há nada à sua esquerda.
+   * @param {object[]} wheres - Array de objetos where.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string} As condições compiladas, sem a palavra-chave WHERE.
+   */
+  compileWhereConditions(wheres, bindings) {
+    return wheres.map((where, index) => {
+      const sql = this.compileWhere(where, bindings);
+      return index === 0 ? sql : `${where.boolean.toUpperCase()} ${sql}`;
+    }).join(' ');
+  }
+
+  /**
+   * Compila uma única condição WHERE de acordo com o seu tipo.
+   * Cada tipo é responsável por aplicar a própria negação (`where.not`),
+   * usando a forma nativa do SQL quando existir (NOT IN, IS NOT NULL, etc.).
+   * @param {object} where - O objeto where.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileWhere(where, bindings) {
+    switch (where.type) {
+      case 'nested':
+        return this.compileWhereNested(where, bindings);
+      case 'sub':
+        return this.compileWhereSub(where, bindings);
+      case 'in':
+        return this.compileWhereIn(where, bindings);
+      case 'inSub':
+        return this.compileWhereInSub(where, bindings);
+      case 'between':
+        return this.compileWhereBetween(where, bindings);
+      case 'null':
+        return this.compileWhereNull(where, bindings);
+      case 'exists':
+        return this.compileWhereExists(where, bindings);
+      case 'raw':
+        return this.compileWhereRaw(where, bindings);
+      default:
+        return this.compileWhereBasic(where, bindings);
+    }
+  }
+
+  /**
+   * Compila uma comparação simples (`coluna operador ?`).
+   * A negação é envolvida em parênteses para que o NOT se aplique à
+   * comparação inteira em qualquer dialeto.
+   * @param {object} where - O objeto where.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileWhereBasic(where, bindings) {
+    const sql = `${this.wrap(where.column, bindings)} ${where.operator} ${this.parameter(where.value, bindings)}`;
+    return where.not ? `NOT (${sql})` : sql;
+  }
+
+  /**
+   * Compila uma condição escrita como expressão Raw.
+   * @param {object} where - O objeto where com a expressão em `raw`.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileWhereRaw(where, bindings) {
+    const sql = this.wrap(where.raw, bindings);
+    return where.not ? `NOT (${sql})` : sql;
+  }
 
-    return `WHERE ${compiled.join(` ${wheres[0].boolean} `)}`;
+  /**
+   * Compila um grupo de condições entre parênteses.
+   * @param {object} where - O objeto where com a lista `wheres` do grupo.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileWhereNested(where, bindings) {
+    const sql = `(${this.compileWhereConditions(where.wheres, bindings)})`;
+    return where.not ? `NOT ${sql}` : sql;
+  }
+
+  /**
+   * Compila uma subquery usada diretamente como condição.
+   * @param {object} where - O objeto where com os statements da subquery em `query`.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileWhereSub(where, bindings) {
+    const sql = `(${this.compileSubquery(where.query, bindings)})`;
+    return where.not ? `NOT ${sql}` : sql;
+  }
+
+  /**
+   * Compila uma cláusula `IN` com uma lista de valores.
+   * Uma lista vazia nunca casa com nenhuma linha, então é compilada como uma
+   * condição sempre falsa (ou sempre verdadeira, no caso de NOT IN).
+   * @param {object} where - O objeto where com a lista `values`.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileWhereIn(where, bindings) {
+    if (where.values.length === 0) {
+      return where.not ? '1 = 1' : '1 = 0';
+    }
+    return `${this.wrap(where.column, bindings)} ${where.not ? 'NOT IN' : 'IN'} (${this.parameterize(where.values, bindings)})`;
+  }
+
+  /**
+   * Compila uma cláusula `IN` com uma subquery.
+   * @param {object} where - O objeto where com os statements da subquery em `query`.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileWhereInSub(where, bindings) {
+    const column = this.wrap(where.column, bindings);
+    return `${column} ${where.not ? 'NOT IN' : 'IN'} (${this.compileSubquery(where.query, bindings)})`;
+  }
+
+  /**
+   * Compila uma cláusula `BETWEEN ? AND ?`.
+   * @param {object} where - O objeto where.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileWhereBetween(where, bindings) {
+    const [min, max] = where.values;
+    const column = this.wrap(where.column, bindings);
+    return `${column} ${where.not ? 'NOT BETWEEN' : 'BETWEEN'} ${this.parameter(min, bindings)} AND ${this.parameter(max, bindings)}`;
+  }
+
+  /**
+   * Compila uma cláusula `IS NULL` / `IS NOT NULL`.
+   * @param {object} where - O objeto where.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileWhereNull(where, bindings) {
+    return `${this.wrap(where.column, bindings)} ${where.not ? 'IS NOT NULL' : 'IS NULL'}`;
+  }
+
+  /**
+   * Compila uma cláusula `EXISTS (subquery)`.
+   * @param {object} where - O objeto where com os statements da subquery em `query`.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileWhereExists(where, bindings) {
+    return `${where.not ? 'NOT EXISTS' : 'EXISTS'} (${this.compileSubquery(where.query, bindings)})`;
+  }
+
+  /**
+   * Compila os statements de uma subquery com esta mesma gramática,
+   * garantindo que ela siga o dialeto da consulta externa.
+   * @param {object} statements - Os statements da subquery.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileSubquery(statements, bindings) {
+    const { sql, bindings: subBindings } = this.compileSelect(statements);
+    bindings.push(...subBindings);
+    return sql;
   }
 
   /**
    * Compila a cláusula JOIN.
    * @param {object[]} joins - Array de objetos join.
+   * @param {Array} bindings - O acumulador de bindings.
    * @returns {string} A string SQL para a cláusula JOIN.
    */
-  compileJoins(joins) {
+  compileJoins(joins, bindings) {
     if (joins.length === 0) return '';
 
     return joins.map(join => {
-      return `${join.type.toUpperCase()} JOIN ${this.wrap(join.table)} ON ${this.wrap(join.first)} ${join.operator} ${this.wrap(join.second)}`;
+      const table = this.wrapTable(join.table, bindings);
+      const first = this.wrap(join.first, bindings);
+      const second = this.wrap(join.second, bindings);
+      return `${join.type.toUpperCase()} JOIN ${table} ON ${first} ${join.operator} ${second}`;
     }).join(' ');
   }
 
   /**
    * Compila a cláusula GROUP BY.
-   * @param {string[]} groups - Array de colunas para agrupar.
+   * @param {Array<string|Raw>} groups - Array de colunas para agrupar.
+   * @param {Array} bindings - O acumulador de bindings.
    * @returns {string} A string SQL para a cláusula GROUP BY.
    */
-  compileGroups(groups) {
+  compileGroups(groups, bindings) {
     if (groups.length === 0) return '';
-    return `GROUP BY ${groups.map(col => this.wrap(col)).join(', ')}`;
+    return `GROUP BY ${groups.map(col => this.wrap(col, bindings)).join(', ')}`;
   }
 
   /**
    * Compila a cláusula HAVING.
    * @param {object[]} havings - Array de objetos having.
+   * @param {Array} bindings - O acumulador de bindings.
    * @returns {string} A string SQL para a cláusula HAVING.
    */
-  compileHavings(havings) {
+  compileHavings(havings, bindings) {
     if (havings.length === 0) return '';
 
     const compiled = havings.map(having => {
-      return `${this.wrap(having.column)} ${having.operator} ?`;
+      return `${this.wrap(having.column, bindings)} ${having.operator} ${this.parameter(having.value, bindings)}`;
     });
 
-    return `HAVING ${compiled.join(` ${havings[0].boolean} `)}`;
+    return `HAVING ${compiled.join(` ${havings[0].boolean.toUpperCase()} `)}`;
   }
 
   /**
    * Compila a cláusula ORDER BY.
    * @param {object[]} orders - Array de objetos order.
+   * @param {Array} bindings - O acumulador de bindings.
    * @returns {string} A string SQL para a cláusula ORDER BY.
    */
-  compileOrders(orders) {
+  compileOrders(orders, bindings) {
     if (orders.length === 0) return '';
-    return `ORDER BY ${orders.map(order => `${this.wrap(order.column)} ${order.direction.toUpperCase()}`).join(', ')}`;
+    return `ORDER BY ${orders.map(order => `${this.wrap(order.column, bindings)} ${order.direction.toUpperCase()}`).join(', ')}`;
   }
 
   /**
@@ -114,7 +478,7 @@ class BaseGrammar {
    * @returns {string} A string SQL para a cláusula LIMIT.
    */
   compileLimit(limit) {
-    return limit ? `LIMIT ${limit}` : '';
+    return limit ? `LIMIT ${parseInt(limit, 10)}` : '';
   }
 
   /**
@@ -123,74 +487,389 @@ class BaseGrammar {
    * @returns {string} A string SQL para a cláusula OFFSET.
    */
   compileOffset(offset) {
-    return offset ? `OFFSET ${offset}` : '';
+    return offset ? `OFFSET ${parseInt(offset, 10)}` : '';
   }
 
+  // --- Consultas Completas ---
+
   /**
    * Compila uma consulta SELECT completa.
    * @param {object} statements - O objeto de estado do QueryBuilder.
-   * @returns {string} A string SQL compilada.
+   * @returns {{sql: string, bindings: Array}}
    */
   compileSelect(statements) {
-    let sql = 'SELECT ';
+    const bindings = [];
+
+    const parts = [
+      `SELECT ${this.compileSelectColumns(statements, bindings)}`,
+      this.compileFrom(statements.from, bindings),
+      this.compileJoins(statements.joins, bindings),
+      this.compileWheres(statements.wheres, bindings),
+      this.compileGroups(statements.groups, bindings),
+      this.compileHavings(statements.havings, bindings),
+      this.compileOrders(statements.orders, bindings),
+      this.compileLimit(statements.limit),
+      this.compileOffset(statements.offset),
+    ];
+
+    return { sql: this.concatenate(parts), bindings };
+  }
+
+  /**
+   * Compila uma consulta INSERT de uma ou mais linhas.
+   * As colunas são a união das chaves de todas as linhas; uma coluna ausente
+   * em uma linha recebe o valor padrão da tabela (veja `compileInsertDefault`).
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {object|Array<object>} data - Os dados a serem inseridos.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileInsert(statements, data) {
+    const rows = Array.isArray(data) ? data : [data];
+    const columns = this.insertColumns(rows);
+    const bindings = [];
+    const table = this.wrapTable(statements.from, bindings);
+    const values = rows.map(row => `(${this.compileInsertRow(row, columns, bindings)})`).join(', ');
+    const sql = `INSERT INTO ${table} (${this.compileInsertColumns(columns)}) VALUES ${values}`;
+    return { sql: this.concatenate([sql, this.compileOnConflict(statements.onConflict, columns, bindings)]), bindings };
+  }
+
+  /**
+   * Compila a cláusula `ON CONFLICT` de um upsert (sintaxe do PostgreSQL e do SQLite).
+   * @param {object|null} onConflict - As opções de `onConflict()`: `{ columns, action, merge }`.
+   * @param {string[]} columns - As colunas do INSERT.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileOnConflict(onConflict, columns, bindings) {
+    if (!onConflict) return '';
+    // Sem um alvo, o ON CONFLICT só aceita DO NOTHING.
+    if (onConflict.action === 'merge' && onConflict.columns.length === 0) {
+      throw new Error('O ON CONFLICT ... DO UPDATE exige as colunas de conflito em onConflict(). Sem elas, use ignore().');
+    }
+
+    const target = onConflict.columns.length > 0 ? ` (${this.compileInsertColumns(onConflict.columns)})` : '';
+    const updates = this.compileUpsertUpdates(onConflict, columns, bindings, col => `EXCLUDED.${this.wrap(col)}`);
 
-    if (statements.aggregate) {
-      sql += `${statements.aggregate.func.toUpperCase()}(${this.wrap(statements.aggregate.column)}) AS aggregate`;
-    } else {
-      sql += this.compileColumns(statements.select);
+    if (updates.length === 0) {
+      return `ON CONFLICT${target} DO NOTHING`;
     }
+    return `ON CONFLICT${target} DO UPDATE SET ${updates.join(', ')}`;
+  }
+
+  /**
+   * Compila as atribuições de um upsert para as linhas que já existem.
+   * `merge()` sem argumentos atualiza todas as colunas inseridas, exceto as de conflito;
+   * um array limita as colunas atualizadas; um objeto define valores explícitos.
+   * Com `ignore()`, nenhuma atribuição é gerada.
+   * @param {object} onConflict - As opções de `onConflict()`.
+   * @param {string[]} columns - As colunas do INSERT.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @param {function(string): string} source - Retorna a expressão do valor proposto para uma coluna.
+   * @param {function(string): string} [target] - Retorna a coluna de destino protegida.
+   * @returns {string[]}
+   */
+  compileUpsertUpdates(onConflict, columns, bindings, source, target = col => this.wrap(col)) {
+    if (onConflict.action === 'ignore') return [];
 
-    sql += ` ${this.compileFrom(statements.from)}`;
-    sql += ` ${this.compileJoins(statements.joins)}`;
-    sql += ` ${this.compileWheres(statements.wheres)}`;
-    sql += ` ${this.compileGroups(statements.groups)}`;
-    sql += ` ${this.compileHavings(statements.havings)}`;
-    sql += ` ${this.compileOrders(statements.orders)}`;
-    sql += ` ${this.compileLimit(statements.limit)}`;
-    sql += ` ${this.compileOffset(statements.offset)}`;
+    const { merge } = onConflict;
+    if (merge && !Array.isArray(merge)) {
+      return Object.entries(merge).map(([col, value]) => `${target(col)} = ${this.parameter(value, bindings)}`);
+    }
 
-    return sql.trim();
+    const updated = merge || columns.filter(col => !onConflict.columns.includes(col));
+    return updated.map(col => `${target(col)} = ${source(col)}`);
   }
 
   /**
-   * Compila uma consulta INSERT.
-   * @param {string} tableName - O nome da tabela.
-   * @param {object} data - Os dados a serem inseridos.
-   * @returns {{sql: string, bindings: Array}}
+   * Retorna a união das chaves das linhas, na ordem em que aparecem.
+   * @param {Array<object>} rows - As linhas a serem inseridas.
+   * @returns {string[]}
+   */
+  insertColumns(rows) {
+    const columns = new Set();
+    rows.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+    return [...columns];
+  }
+
+  /**
+   * Compila a lista de colunas de um INSERT.
+   * @param {string[]} columns - As colunas.
+   * @returns {string}
+   */
+  compileInsertColumns(columns) {
+    return columns.map(col => this.wrap(col)).join(', ');
+  }
+
+  /**
+   * Compila os valores de uma linha de um INSERT, na ordem das colunas informadas.
+   * @param {object} row - A linha.
+   * @param {string[]} columns - As colunas do INSERT.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @param {string} [missing] - O valor usado para colunas ausentes na linha.
+   * @returns {string}
+   */
+  compileInsertRow(row, columns, bindings, missing = this.compileInsertDefault()) {
+    return columns.map(column => {
+      return row[column] === undefined ? missing : this.parameter(row[column], bindings);
+    }).join(', ');
+  }
+
+  /**
+   * Retorna o valor usado para uma coluna ausente em uma linha de um insert em lote.
+   * @returns {string}
    */
-  compileInsert(tableName, data) {
-    const columns = Object.keys(data).map(col => this.wrap(col)).join(', ');
-    const placeholders = Object.keys(data).map(() => '?').join(', ');
-    const bindings = Object.values(data);
-    const sql = `INSERT INTO ${this.wrap(tableName)} (${columns}) VALUES (${placeholders})`;
-    return { sql, bindings };
+  compileInsertDefault() {
+    return 'DEFAULT';
+  }
+
+  /**
+   * Divide as linhas de um insert em lotes que respeitam `maxBindings`, `maxInsertRows` e `maxInsertColumns`.
+   * Cada lote é compilado e executado como um statement separado. Os bindings que cada
+   * statement tem além dos das linhas (ex: os valores de `merge({...})`) contam para `maxBindings`.
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {Array<object>} rows - As linhas a serem inseridas.
+   * @returns {Array<Array<object>>}
+   */
+  chunkInsertRows(statements, rows) {
+    if (rows.length === 0) return [];
+    const columns = this.insertColumns(rows);
+    const maxRows = Math.min(this.maxInsertRows, Math.max(1, Math.floor(this.maxInsertColumns / columns.length)));
+    const rowSize = row => columns.reduce((total, column) => total + this._bindingCount(row[column]), 0);
+    // Compila a primeira linha sozinha para descontar os bindings que não vêm das linhas.
+    const statementSize = this.compileInsert(statements, [rows[0]]).bindings.length - rowSize(rows[0]);
+    const chunks = [];
+    let chunk = [];
+    let size = statementSize;
+
+    for (const row of rows) {
+      if (chunk.length > 0 && (size + rowSize(row) > this.maxBindings || chunk.length >= maxRows)) {
+        chunks.push(chunk);
+        chunk = [];
+        size = statementSize;
+      }
+      chunk.push(row);
+      size += rowSize(row);
+    }
+
+    if (chunk.length > 0) chunks.push(chunk);
+    return chunks;
   }
 
   /**
    * Compila uma consulta UPDATE.
    * @param {object} statements - O objeto de estado do QueryBuilder.
    * @param {object} data - Os dados a serem atualizados.
-   * @param {Array} whereBindings - Bindings da cláusula WHERE.
    * @returns {{sql: string, bindings: Array}}
    */
-  compileUpdate(statements, data, whereBindings) {
-    const setClauses = Object.keys(data).map(col => `${this.wrap(col)} = ?`).join(', ');
-    const dataBindings = Object.values(data);
-    const sql = `UPDATE ${this.wrap(statements.from)} SET ${setClauses} ${this.compileWheres(statements.wheres)}`;
-    const bindings = [...dataBindings, ...whereBindings];
-    return { sql, bindings };
+  compileUpdate(statements, data) {
+    const bindings = [];
+    const table = this.wrapTable(statements.from, bindings);
+    const setClauses = Object.entries(data)
+      .map(([col, value]) => `${this.wrap(col)} = ${this.parameter(value, bindings)}`)
+      .join(', ');
+    const wheres = this.compileWheres(statements.wheres, bindings);
+    return { sql: this.concatenate([`UPDATE ${table} SET ${setClauses}`, wheres]), bindings };
   }
 
   /**
    * Compila uma consulta DELETE.
    * @param {object} statements - O objeto de estado do QueryBuilder.
-   * @param {Array} whereBindings - Bindings da cláusula WHERE.
    * @returns {{sql: string, bindings: Array}}
    */
-  compileDelete(statements, whereBindings) {
-    const sql = `DELETE FROM ${this.wrap(statements.from)} ${this.compileWheres(statements.wheres)}`;
-    const bindings = [...whereBindings];
-    return { sql, bindings };
+  compileDelete(statements) {
+    const bindings = [];
+    const table = this.wrapTable(statements.from, bindings);
+    const wheres = this.compileWheres(statements.wheres, bindings);
+    return { sql: this.concatenate([`DELETE FROM ${table}`, wheres]), bindings };
+  }
+
+  /**
+   * Adiciona a cláusula RETURNING, se especificada no builder.
+   * Usada pelos dialetos que a suportam; os demais não a chamam ou a sobrescrevem.
+   * @param {string} sql - O SQL já compilado.
+   * @param {Array<string|Raw>} [returning] - As colunas a serem retornadas.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileReturning(sql, returning, bindings) {
+    if (!returning) return sql;
+    return `${sql} RETURNING ${this.compileColumns(returning, bindings)}`;
+  }
+
+  /**
+   * Compila a consulta que busca as linhas de `returning()` após um INSERT,
+   * para dialetos que não conseguem retorná-las no próprio statement.
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {number} count - O número de linhas inseridas pelo INSERT.
+   * @returns {{sql: string, bindings: Array}|null} `null` quando o INSERT já retorna as linhas.
+   */
+  compileReturningFetch(statements, count) {
+    return null;
+  }
+
+  // --- Transações ---
+
+  /**
+   * Compila os statements que iniciam uma transação, na ordem em que são executados.
+   * Os dialetos sobrescrevem este método para aplicar as opções de `db.transaction()`.
+   * @param {object} [options={}] - As opções da transação (ver `transactionOptions()`).
+   * @returns {string[]}
+   */
+  compileBeginTransaction(options = {}) {
+    this.transactionOptions(options);
+    return ['BEGIN'];
+  }
+
+  /**
+   * Compila o statement que confirma a transação.
+   * @returns {string}
+   */
+  compileCommit() {
+    return 'COMMIT';
+  }
+
+  /**
+   * Compila o statement que desfaz a transação.
+   * @returns {string}
+   */
+  compileRollback() {
+    return 'ROLLBACK';
+  }
+
+  /**
+   * Compila o statement que cria um savepoint, usado pelas transações aninhadas.
+   * @param {string} name - O nome do savepoint, gerado pela Transaction.
+   * @returns {string}
+   */
+  compileSavepoint(name) {
+    return `SAVEPOINT ${name}`;
+  }
+
+  /**
+   * Compila o statement que desfaz a transação até um savepoint, mantendo-a ativa.
+   * @param {string} name - O nome do savepoint.
+   * @returns {string}
+   */
+  compileRollbackToSavepoint(name) {
+    return `ROLLBACK TO SAVEPOINT ${name}`;
+  }
+
+  /**
+   * Compila o statement que descarta um savepoint após a transação aninhada terminar com
+   * sucesso, ou `null` se o dialeto não tem um (o savepoint dura até o fim da transação).
+   * @param {string} name - O nome do savepoint.
+   * @returns {string|null}
+   */
+  compileReleaseSavepoint(name) {
+    return `RELEASE SAVEPOINT ${name}`;
+  }
+
+  /**
+   * Compila os statements que restauram a sessão após o COMMIT ou o ROLLBACK, para os
+   * dialetos em que uma opção da transação continua valendo na conexão devolvida ao pool.
+   * @param {object} [options={}] - As opções com que a transação foi iniciada.
+   * @returns {string[]}
+   */
+  compileEndTransaction(options = {}) {
+    return [];
+  }
+
+  /**
+   * Compila os statements que preparam uma transação distribuída (a primeira fase do
+   * two-phase commit). Depois deles, a transação só pode ser confirmada ou desfeita.
+   * @param {string} xid - O identificador da transação, validado por `transactionOptions()`.
+   * @returns {string[]}
+   */
+  compilePrepareTransaction(xid) {
+    throw this._preparedTransactionsError();
+  }
+
+  /**
+   * Compila o statement que confirma uma transação preparada. Pode ser executado em
+   * qualquer conexão, inclusive após uma queda da aplicação.
+   * @param {string} xid - O identificador da transação.
+   * @returns {string}
+   */
+  compileCommitPrepared(xid) {
+    throw this._preparedTransactionsError();
+  }
+
+  /**
+   * Compila o statement que desfaz uma transação preparada.
+   * @param {string} xid - O identificador da transação.
+   * @returns {string}
+   */
+  compileRollbackPrepared(xid) {
+    throw this._preparedTransactionsError();
+  }
+
+  /**
+   * Compila os statements que desfazem uma transação distribuída que ainda não foi preparada.
+   * @param {string} xid - O identificador da transação.
+   * @param {object} [state={}]
+   * @param {boolean} [state.prepareStarted=false] - Parte dos statements de
+   *   `compilePrepareTransaction()` já foi executada antes de a preparação falhar.
+   * @returns {string[]}
+   */
+  compileRollbackBeforePrepare(xid, state = {}) {
+    throw this._preparedTransactionsError();
+  }
+
+  /**
+   * Valida e normaliza as opções de `db.transaction()`.
+   * @param {object} [options={}]
+   * @param {string} [options.isolationLevel] - O nível de isolamento (ex: 'repeatable read').
+   * @param {boolean} [options.readOnly=false] - Rejeita escritas na transação.
+   * @param {boolean} [options.deferrable=false] - Espera por um snapshot que dispense as verificações
+   *   de serialização (transações SERIALIZABLE READ ONLY no PostgreSQL).
+   * @param {string} [options.xid] - O identificador de uma transação distribuída, que poderá ser
+   *   preparada (two-phase commit): até 64 letras, números, '_', '.', ':' ou '-'.
+   * @returns {{isolationLevel: (string|null), readOnly: boolean, deferrable: boolean, xid: (string|null)}}
+   *   O nível em maiúsculas (ex: 'REPEATABLE READ'), ou `null` para usar o padrão do banco.
+   */
+  transactionOptions({ isolationLevel = null, readOnly = false, deferrable = false, xid = null } = {}) {
+    let level = null;
+    if (isolationLevel !== null && isolationLevel !== undefined) {
+      level = String(isolationLevel).trim().toUpperCase().replace(/[_\s]+/g, ' ');
+      if (!this.isolationLevels.includes(level)) {
+        const supported = this.isolationLevels.map(name => `'${name.toLowerCase()}'`).join(', ');
+        throw new Error(`O nível de isolamento "${isolationLevel}" não é suportado. Use ${supported}.`);
+      }
+    }
+    if (xid !== null && xid !== undefined) {
+      if (!this.supportsPreparedTransactions) throw this._preparedTransactionsError();
+      // O xid é interpolado nos statements, então só aceita caracteres seguros.
+      if (typeof xid !== 'string' || !/^[\w.:-]{1,64}$/.test(xid)) {
+        throw new Error(`O xid "${xid}" é inválido. Use até 64 letras, números, '_', '.', ':' ou '-'.`);
+      }
+    }
+    return { isolationLevel: level, readOnly: Boolean(readOnly), deferrable: Boolean(deferrable), xid: xid || null };
+  }
+
+  /**
+   * @private
+   */
+  _preparedTransactionsError() {
+    return new Error('Este dialeto não suporta transações preparadas (two-phase commit). Use o PostgreSQL, o MySQL ou o MariaDB.');
+  }
+
+  /**
+   * Concatena as partes de uma consulta SQL, descartando as vazias
+   * para não deixar espaços duplicados.
+   * @param {string[]} parts - As partes da consulta.
+   * @returns {string}
+   */
+  concatenate(parts) {
+    return parts.filter(part => part).join(' ');
+  }
+
+  /**
+   * @private
+   * Retorna quantos bindings um valor de insert gera.
+   */
+  _bindingCount(value) {
+    if (value === undefined) return 0;
+    return value instanceof Raw ? value.bindings.length : 1;
   }
 }
 
@@ -0,0 +1,45 @@
+// lib/query/grammars/cockroachdb-grammar.js
+
+'use strict';
+
+const PostgresGrammar = require('./postgres-grammar');
+
+/**
+ * @class CockroachDbGrammar
+ * @extends PostgresGrammar
+ *
+ * Fornece a lógica de compilação de SQL específica para o CockroachDB, que usa o
+ * protocolo e a sintaxe do PostgreSQL.
+ *
+ * Principais diferenças em relação à PostgresGrammar:
+ * - Um upsert com `merge()` completo e sem colunas em `onConflict()` compila para
+ *   `UPSERT INTO`, que resolve o conflito pela chave primária.
+ * - Não suporta transações preparadas (two-phase commit).
+ */
+class CockroachDbGrammar extends PostgresGrammar {
+  constructor() {
+    super();
+    // O CockroachDB não implementa PREPARE TRANSACTION.
+    this.supportsPreparedTransactions = false;
+  }
+
+  /**
+   * Compila um statement INSERT. `onConflict().merge()` sem colunas de conflito usa
+   * o `UPSERT` nativo; os demais upserts usam `ON CONFLICT`, como no PostgreSQL.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {object|Array<object>} data - Os dados a serem inseridos.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileInsert(statements, data) {
+    const { onConflict } = statements;
+    if (!onConflict || onConflict.action !== 'merge' || onConflict.columns.length > 0 || onConflict.merge) {
+      return super.compileInsert(statements, data);
+    }
+
+    const { sql, bindings } = super.compileInsert({ ...statements, onConflict: null }, data);
+    return { sql: sql.replace(/^INSERT INTO/, 'UPSERT INTO'), bindings };
+  }
+}
+
+module.exports = CockroachDbGrammar;
@@ -0,0 +1,85 @@
+// lib/query/grammars/mariadb-grammar.js
+
+'use strict';
+
+const MySqlGrammar = require('./mysql-grammar');
+
+/**
+ * @class MariaDbGrammar
+ * @extends MySqlGrammar
+ *
+ * Fornece a lógica de compilação de SQL específica para o MariaDB.
+ *
+ * Principais diferenças em relação à MySqlGrammar:
+ * - `returning()` compila para `RETURNING` no INSERT (MariaDB 10.5+) e no DELETE (10.0+).
+ *   Em versões anteriores, o INSERT volta a usar a consulta de `LAST_INSERT_ID()`.
+ * - O upsert continua usando `VALUES()`, pois o MariaDB não aceita o alias da linha inserida.
+ */
+class MariaDbGrammar extends MySqlGrammar {
+  /**
+   * O MariaDB não aceita `VALUES (...) AS alias` no upsert.
+   * @override
+   * @returns {boolean}
+   */
+  supportsInsertAlias() {
+    return false;
+  }
+
+  /**
+   * Indica se o servidor aceita `INSERT ... RETURNING`.
+   * @returns {boolean}
+   */
+  supportsInsertReturning() {
+    return this.versionAtLeast('10.5');
+  }
+
+  /**
+   * Compila um statement INSERT, com `RETURNING` quando o servidor o suporta.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {object|Array<object>} data - Os dados a serem inseridos.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileInsert(statements, data) {
+    const { sql, bindings } = super.compileInsert(statements, data);
+    if (!this.supportsInsertReturning()) return { sql, bindings };
+    return { sql: this.compileReturning(sql, statements.returning, bindings), bindings };
+  }
+
+  /**
+   * Compila um statement DELETE, com `RETURNING` a partir do MariaDB 10.0.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileDelete(statements) {
+    if (!statements.returning || !this.versionAtLeast('10.0')) {
+      return super.compileDelete(statements);
+    }
+    const { sql, bindings } = super.compileDelete({ ...statements, returning: null });
+    return { sql: this.compileReturning(sql, statements.returning, bindings), bindings };
+  }
+
+  /**
+   * Com `INSERT ... RETURNING`, as linhas já vêm no próprio INSERT.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {number} count - O número de linhas inseridas.
+   * @returns {{sql: string, bindings: Array}|null}
+   */
+  compileReturningFetch(statements, count) {
+    return this.supportsInsertReturning() ? null : super.compileReturningFetch(statements, count);
+  }
+
+  /**
+   * @private
+   * Lança um erro se a consulta pede colunas de retorno que o MariaDB não consegue fornecer.
+   */
+  _assertNoReturning(statements, method) {
+    if (statements.returning) {
+      throw new Error(`Esta versão do MariaDB não suporta returning() em ${method}(). Use returning() com insert() ou, a partir do 10.0, com delete().`);
+    }
+  }
+}
+
+module.exports = MariaDbGrammar;
@@ -8,56 +8,265 @@ const BaseGrammar = require('./base-grammar');
  * @class MssqlGrammar
  *
  * A gramática específica para Microsoft SQL Server.
- * Sobrescreve a lógica de compilação para paginação (LIMIT/OFFSET)
- * e a forma de proteger identificadores.
+ * Sobrescreve a lógica de compilação para paginação (LIMIT/OFFSET),
+ * a forma de proteger identificadores e os comandos de transação
+ * (BEGIN TRANSACTION, SAVE TRANSACTION, ROLLBACK TRANSACTION).
  */
 class MssqlGrammar extends BaseGrammar {
+  constructor() {
+    super();
+    Object.assign(this.castTypes, {
+      string: 'NVARCHAR(255)',
+      text: 'NVARCHAR(MAX)',
+      boolean: 'BIT',
+      timestamp: 'DATETIME2',
+    });
+
+    // O SQL Server aceita no máximo 2100 parâmetros por consulta, dos quais o sp_executesql
+    // reserva 2 (o SQL e a declaração dos parâmetros), e 1000 linhas por VALUES.
+    this.maxBindings = 2098;
+    this.maxInsertRows = 1000;
+
+    // O SQL Server também oferece o isolamento SNAPSHOT.
+    this.isolationLevels = [...this.isolationLevels, 'SNAPSHOT'];
+  }
+
   /**
    * Compila uma consulta SELECT completa para MSSQL.
-   * A principal diferença é a sintaxe `OFFSET ... FETCH NEXT ...` para paginação.
+   * Um limite isolado vira `SELECT TOP n`; com offset, é usada a sintaxe `OFFSET ... FETCH NEXT ...`.
+   * @override
    * @param {object} statements - O objeto de estado do QueryBuilder.
-   * @returns {string} A string SQL compilada.
+   * @returns {{sql: string, bindings: Array}}
    */
   compileSelect(statements) {
-    // Se não houver paginação, podemos usar a lógica da gramática base.
-    if (!statements.limit && !statements.offset) {
-      return super.compileSelect(statements);
-    }
+    // O MSSQL não conhece LIMIT/OFFSET, então a gramática base compila a consulta sem eles.
+    const result = super.compileSelect({ ...statements, limit: null, offset: null });
 
-    // Se houver paginação, precisamos construir a query com a sintaxe do MSSQL.
-    // Primeiro, compilamos a parte principal da query usando a lógica da classe pai.
-    let sql = super.compileSelect(statements);
+    if (!statements.offset) {
+      if (statements.limit) {
+        result.sql = result.sql.replace(/^SELECT /, `SELECT TOP ${parseInt(statements.limit, 10)} `);
+      }
+      return result;
+    }
 
     // A cláusula ORDER BY é OBRIGATÓRIA para usar OFFSET no MSSQL.
     // Se não for fornecida, ordenamos pela primeira coluna para evitar um erro de sintaxe.
-    if (!statements.orders || statements.orders.length === 0) {
-      // Tenta pegar a primeira coluna do select, ou usa '(SELECT NULL)' como último recurso.
-      const firstColumn = statements.select[0] !== '*' ? statements.select[0] : '(SELECT NULL)';
-      sql += ` ORDER BY ${this.wrap(firstColumn)}`;
-      console.warn('Aviso: A paginação no MSSQL requer uma cláusula ORDER BY. Uma ordenação padrão foi adicionada para evitar erros.');
+    if (statements.orders.length === 0) {
+      // Tenta pegar a primeira coluna do select (sem alias), ou usa '(SELECT NULL)' como último recurso.
+      const firstColumn = statements.select[0];
+      const orderColumn = typeof firstColumn === 'string' && !firstColumn.endsWith('*') && !statements.aggregate
+        ? this.wrap(this.splitAlias(firstColumn)[0])
+        : '(SELECT NULL)';
+      result.sql += ` ORDER BY ${orderColumn}`;
+      this.log.warn('A paginação no MSSQL requer uma cláusula ORDER BY. Uma ordenação padrão foi adicionada para evitar erros.');
     }
 
-    const offset = statements.offset || 0;
-    sql += ` OFFSET ${offset} ROWS`;
+    result.sql += ` OFFSET ${parseInt(statements.offset, 10)} ROWS`;
 
     if (statements.limit) {
-      sql += ` FETCH NEXT ${statements.limit} ROWS ONLY`;
+      result.sql += ` FETCH NEXT ${parseInt(statements.limit, 10)} ROWS ONLY`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Compila um statement INSERT para MSSQL.
+   * A cláusula `OUTPUT INSERTED.*` fica entre a lista de colunas e o VALUES.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {object|Array<object>} data - Os dados a serem inseridos.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileInsert(statements, data) {
+    const rows = Array.isArray(data) ? data : [data];
+    if (statements.onConflict) {
+      return this.compileMerge(statements, rows);
     }
 
-    return sql;
+    const columns = this.insertColumns(rows);
+    const bindings = [];
+    const table = this.wrapTable(statements.from, bindings);
+    const output = this.compileOutput(statements.returning, 'INSERTED');
+    const values = rows.map(row => `(${this.compileInsertRow(row, columns, bindings)})`).join(', ');
+    return {
+      sql: this.concatenate([`INSERT INTO ${table} (${this.compileInsertColumns(columns)})`, output, `VALUES ${values}`]),
+      bindings,
+    };
   }
 
   /**
-   * Protege um identificador (nome de tabela ou coluna) para MSSQL.
-   * @param {string} value - O valor a ser protegido.
-   * @returns {string} O valor protegido com colchetes (ex: [users]).
+   * Compila um upsert como um statement MERGE, usando as linhas como tabela de origem.
+   * Colunas ausentes em uma linha recebem NULL, pois DEFAULT não é aceito na origem do MERGE.
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {Array<object>} rows - As linhas a serem inseridas ou atualizadas.
+   * @returns {{sql: string, bindings: Array}}
    */
-  wrap(value) {
-    if (value === '*') {
-      return value;
+  compileMerge(statements, rows) {
+    const { onConflict } = statements;
+    if (onConflict.columns.length === 0) {
+      throw new Error('O MSSQL exige as colunas de conflito em onConflict() para compilar o MERGE.');
+    }
+
+    const columns = this.insertColumns(rows);
+    const wrapped = this.compileInsertColumns(columns);
+    const source = col => `source.${this.wrap(col)}`;
+    const bindings = [];
+
+    const table = this.wrapTable(statements.from, bindings);
+    const values = rows.map(row => `(${this.compileInsertRow(row, columns, bindings, 'NULL')})`).join(', ');
+    const on = onConflict.columns.map(col => `target.${this.wrap(col)} = ${source(col)}`).join(' AND ');
+    const updates = this.compileUpsertUpdates(onConflict, columns, bindings, source, col => `target.${this.wrap(col)}`);
+
+    const parts = [
+      `MERGE INTO ${table} AS target USING (VALUES ${values}) AS source (${wrapped}) ON ${on}`,
+      updates.length > 0 ? `WHEN MATCHED THEN UPDATE SET ${updates.join(', ')}` : '',
+      `WHEN NOT MATCHED THEN INSERT (${wrapped}) VALUES (${columns.map(source).join(', ')})`,
+      this.compileOutput(statements.returning, 'INSERTED'),
+    ];
+
+    // O SQL Server exige que o MERGE termine com ponto e vírgula.
+    return { sql: `${this.concatenate(parts)};`, bindings };
+  }
+
+  /**
+   * Compila um statement UPDATE para MSSQL, com a cláusula `OUTPUT INSERTED.*` antes do WHERE.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {object} data - Os dados a serem atualizados.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileUpdate(statements, data) {
+    const bindings = [];
+    const table = this.wrapTable(statements.from, bindings);
+    const setClauses = Object.entries(data)
+      .map(([col, value]) => `${this.wrap(col)} = ${this.parameter(value, bindings)}`)
+      .join(', ');
+    const output = this.compileOutput(statements.returning, 'INSERTED');
+    const wheres = this.compileWheres(statements.wheres, bindings);
+    return { sql: this.concatenate([`UPDATE ${table} SET ${setClauses}`, output, wheres]), bindings };
+  }
+
+  /**
+   * Compila um statement DELETE para MSSQL, com a cláusula `OUTPUT DELETED.*` antes do WHERE.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileDelete(statements) {
+    const bindings = [];
+    const table = this.wrapTable(statements.from, bindings);
+    const output = this.compileOutput(statements.returning, 'DELETED');
+    const wheres = this.compileWheres(statements.wheres, bindings);
+    return { sql: this.concatenate([`DELETE FROM ${table}`, output, wheres]), bindings };
+  }
+
+  /**
+   * Compila a cláusula OUTPUT, equivalente ao RETURNING de outros bancos.
+   * @param {Array<string>} [returning] - As colunas a serem retornadas.
+   * @param {string} source - A pseudo-tabela de origem ('INSERTED' ou 'DELETED').
+   * @returns {string}
+   */
+  compileOutput(returning, source) {
+    if (!returning) return '';
+    return `OUTPUT ${returning.map(column => `${source}.${this.wrap(column)}`).join(', ')}`;
+  }
+
+  /**
+   * Lê a versão do servidor.
+   * @override
+   * @returns {string}
+   */
+  compileServerVersion() {
+    return 'SELECT CAST(SERVERPROPERTY(\'ProductVersion\') AS NVARCHAR(128)) AS version';
+  }
+
+  /**
+   * Retorna a expressão do instante atual no MSSQL.
+   * @override
+   * @returns {string}
+   */
+  compileNow() {
+    return 'GETDATE()';
+  }
+
+  /**
+   * Protege um segmento de identificador (nome de tabela ou coluna) para MSSQL.
+   * @override
+   * @param {string} segment - O segmento a ser protegido.
+   * @returns {string} O segmento protegido com colchetes (ex: [users]).
+   */
+  wrapSegment(segment) {
+    if (segment === '*') {
+      return segment;
     }
     // Remove quaisquer colchetes existentes para evitar duplicação e os adiciona novamente.
-    return `[${value.replace(/\[|\]/g, '')}]`;
+    return `[${segment.trim().replace(/\[|\]/g, '')}]`;
+  }
+
+  /**
+   * Define o nível de isolamento com `SET TRANSACTION ISOLATION LEVEL` antes do BEGIN TRANSACTION.
+   * O SQL Server não tem transações somente leitura, então `readOnly` e `deferrable` são ignorados.
+   *
+   * O MssqlAdapter inicia, confirma e desfaz as transações pela API do driver, que fixa a
+   * conexão; estes statements servem às conexões que executam o T-SQL diretamente.
+   * @override
+   * @param {object} [options={}] - As opções de `db.transaction()`.
+   * @returns {string[]}
+   */
+  compileBeginTransaction(options = {}) {
+    const { isolationLevel, readOnly, deferrable } = this.transactionOptions(options);
+    if (readOnly || deferrable) {
+      this.log.warn('O SQL Server não suporta transações READ ONLY ou DEFERRABLE. As opções foram ignoradas.');
+    }
+
+    const statements = isolationLevel ? [`SET TRANSACTION ISOLATION LEVEL ${isolationLevel}`] : [];
+    statements.push('BEGIN TRANSACTION');
+    return statements;
+  }
+
+  /**
+   * @override
+   * @returns {string}
+   */
+  compileCommit() {
+    return 'COMMIT TRANSACTION';
+  }
+
+  /**
+   * @override
+   * @returns {string}
+   */
+  compileRollback() {
+    return 'ROLLBACK TRANSACTION';
+  }
+
+  /**
+   * No T-SQL, o savepoint é criado com `SAVE TRANSACTION`.
+   * @override
+   * @param {string} name - O nome do savepoint.
+   * @returns {string}
+   */
+  compileSavepoint(name) {
+    return `SAVE TRANSACTION ${name}`;
+  }
+
+  /**
+   * @override
+   * @param {string} name - O nome do savepoint.
+   * @returns {string}
+   */
+  compileRollbackToSavepoint(name) {
+    return `ROLLBACK TRANSACTION ${name}`;
+  }
+
+  /**
+   * O SQL Server não descarta savepoints; eles duram até o fim da transação.
+   * @override
+   * @returns {null}
+   */
+  compileReleaseSavepoint(name) {
+    return null;
   }
 }
 
@@ -12,8 +12,10 @@ const BaseGrammar = require('./base-grammar');
  *
  * Principais diferenças em relação à BaseGrammar:
  * - Usa crases (`) como caractere de proteção para identificadores.
- * - Implementa a sintaxe de paginação com `LIMIT ... OFFSET ...`.
- * - Suporta a sintaxe `INSERT ... ON DUPLICATE KEY UPDATE`.
+ * - Implementa a sintaxe de paginação com `LIMIT ... OFFSET ...`, exigindo LIMIT quando há OFFSET.
+ * - Compila upserts com `INSERT ... ON DUPLICATE KEY UPDATE` e `INSERT IGNORE`; a partir do
+ *   MySQL 8.0.19, os valores propostos são lidos de um alias da linha em vez de `VALUES()`.
+ * - Emula `returning()` no INSERT com uma consulta de `LAST_INSERT_ID()`.
  * - Usa uma sintaxe de `UPDATE` com `JOIN`.
  */
 class MySqlGrammar extends BaseGrammar {
@@ -21,89 +23,222 @@ class MySqlGrammar extends BaseGrammar {
     super();
     // MySQL usa crases (backticks) para envolver identificadores.
     this.wrapper = '`';
+
+    // O CAST do MySQL aceita apenas um conjunto restrito de tipos.
+    Object.assign(this.castTypes, {
+      integer: 'SIGNED',
+      bigInteger: 'SIGNED',
+      string: 'CHAR(255)',
+      text: 'CHAR',
+      boolean: 'UNSIGNED',
+      timestamp: 'DATETIME',
+    });
+
+    // Transações distribuídas com os comandos XA.
+    this.supportsPreparedTransactions = true;
+  }
+
+  /**
+   * Lê a versão do servidor, que define a sintaxe do upsert.
+   * @override
+   * @returns {string}
+   */
+  compileServerVersion() {
+    return 'SELECT VERSION() AS version';
   }
 
   /**
-   * Envolve um identificador com as crases de proteção do MySQL.
+   * Indica se o servidor aceita um alias para a linha inserida (`VALUES (...) AS excluded`),
+   * que substitui a função `VALUES()`, obsoleta desde o MySQL 8.0.20.
+   * @returns {boolean}
+   */
+  supportsInsertAlias() {
+    return this.versionAtLeast('8.0.19');
+  }
+
+  /**
+   * Envolve um segmento de identificador com as crases de proteção do MySQL.
    * @override
-   * @param {string} value
+   * @param {string} segment
    * @returns {string}
    */
-  wrap(value) {
-    // A lógica da BaseGrammar já funciona, só precisamos garantir que o wrapper correto seja usado.
-    // No entanto, podemos otimizar para não precisar de um wrapper de fechamento.
-    if (value === '*') return value;
-    const parts = value.split('.');
-    return parts.map(part => `${this.wrapper}${part}${this.wrapper}`).join('.');
+  wrapSegment(segment) {
+    if (segment === '*') return segment;
+    return `${this.wrapper}${segment.trim().replace(/`/g, '')}${this.wrapper}`;
   }
 
   /**
    * Compila uma consulta SELECT completa.
-   * A ordem das cláusulas no MySQL é SELECT, FROM, WHERE, ORDER BY, LIMIT, OFFSET.
+   * O MySQL não aceita OFFSET sem LIMIT, então um offset isolado recebe o maior limite possível.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileSelect(statements) {
+    if (statements.offset && !statements.limit) {
+      return super.compileSelect({ ...statements, limit: Number.MAX_SAFE_INTEGER });
+    }
+    return super.compileSelect(statements);
+  }
+
+  /**
+   * Compila um statement INSERT. Um upsert com `ignore()` usa `INSERT IGNORE`.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {object|Array<object>} data - Os dados a serem inseridos.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileInsert(statements, data) {
+    const result = super.compileInsert(statements, data);
+    if (statements.onConflict && statements.onConflict.action === 'ignore') {
+      result.sql = result.sql.replace(/^INSERT INTO/, 'INSERT IGNORE INTO');
+    }
+    return result;
+  }
+
+  /**
+   * Compila a cláusula `ON DUPLICATE KEY UPDATE` de um upsert.
+   * O MySQL detecta o conflito por qualquer chave única, então as colunas de `onConflict()`
+   * servem apenas para excluí-las das colunas atualizadas.
    * @override
-   * @param {QueryBuilder} builder - A instância do Query Builder com os statements.
-   * @returns {string} A string SQL compilada.
+   * @param {object|null} onConflict - As opções de `onConflict()`.
+   * @param {string[]} columns - As colunas do INSERT.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
    */
-  compileSelect(builder) {
-    const statements = builder._statements;
+  compileOnConflict(onConflict, columns, bindings) {
+    if (!onConflict || onConflict.action === 'ignore') return '';
 
-    const parts = [
-      this.compileSelectCore(statements.select),
-      this.compileFrom(statements.from),
-      // Adicionar joins aqui no futuro
-      this.compileWheres(statements.where),
-      // Adicionar group by aqui no futuro
-      this.compileOrderBy(statements.orderBy),
-      this.compileLimit(statements.limit),   // A ordem de LIMIT/OFFSET é importante
-      this.compileOffset(statements.offset),
-    ];
+    const alias = this.supportsInsertAlias() ? this.wrap('excluded') : null;
+    const source = alias ? col => `${alias}.${this.wrap(col)}` : col => `VALUES(${this.wrap(col)})`;
+    const updates = this.compileUpsertUpdates(onConflict, columns, bindings, source);
+    // Sem colunas a atualizar, uma atribuição neutra mantém a linha existente intacta.
+    if (updates.length === 0) {
+      updates.push(`${this.wrap(columns[0])} = ${this.wrap(columns[0])}`);
+    }
+    return this.concatenate([alias && `AS ${alias}`, `ON DUPLICATE KEY UPDATE ${updates.join(', ')}`]);
+  }
 
-    return parts.filter(part => part).join(' ');
+  /**
+   * Compila um statement UPDATE. O MySQL não tem RETURNING, então `returning()` é rejeitado.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {object} data - Os dados a serem atualizados.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileUpdate(statements, data) {
+    this._assertNoReturning(statements, 'update');
+    return super.compileUpdate(statements, data);
   }
 
   /**
-   * Compila a cláusula 'limit' para MySQL.
+   * Compila um statement DELETE. O MySQL não tem RETURNING, então `returning()` é rejeitado.
    * @override
-   * @param {number} limit - O número de linhas a serem retornadas.
-   * @returns {string|null}
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @returns {{sql: string, bindings: Array}}
    */
-  compileLimit(limit) {
-    if (limit) {
-      return `limit ${parseInt(limit, 10)}`;
+  compileDelete(statements) {
+    this._assertNoReturning(statements, 'delete');
+    return super.compileDelete(statements);
+  }
+
+  /**
+   * Busca a linha de `returning()` após um INSERT, usando o id gerado por `LAST_INSERT_ID()`.
+   * A tabela precisa de uma chave primária auto-incremento chamada 'id'. Só há suporte a
+   * inserts de uma linha: com `innodb_autoinc_lock_mode = 2` (o padrão do MySQL 8), os ids
+   * de um insert de várias linhas podem se intercalar com os de outras sessões.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {number} count - O número de linhas inseridas.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileReturningFetch(statements, count) {
+    if (statements.onConflict) {
+      throw new Error('O MySQL não suporta returning() em um upsert (onConflict()).');
+    }
+    if (count > 1) {
+      throw new Error('O MySQL só suporta returning() em um insert de uma linha. Insira as linhas uma a uma.');
+    }
+
+    const bindings = [];
+    const columns = this.compileColumns(statements.returning, bindings);
+    const table = this.wrapTable(statements.from, bindings);
+    return { sql: `SELECT ${columns} FROM ${table} WHERE ${this.wrap('id')} = LAST_INSERT_ID()`, bindings };
+  }
+
+  /**
+   * @private
+   * Lança um erro se a consulta pede colunas de retorno que o MySQL não consegue fornecer.
+   */
+  _assertNoReturning(statements, method) {
+    if (statements.returning) {
+      throw new Error(`O MySQL não suporta returning() em ${method}(). Use returning() apenas com insert().`);
     }
-    return null;
   }
 
   /**
-   * Compila a cláusula 'offset' para MySQL.
+   * Define o nível de isolamento da próxima transação com `SET TRANSACTION`, que vale apenas
+   * para ela, e a inicia com `START TRANSACTION READ ONLY` quando `readOnly` é informado.
    * @override
-   * @param {number} offset - O número de linhas a serem puladas.
-   * @returns {string|null}
+   * @param {object} [options={}] - As opções de `db.transaction()`.
+   * @returns {string[]}
    */
-  compileOffset(offset) {
-    if (offset) {
-      return `offset ${parseInt(offset, 10)}`;
+  compileBeginTransaction(options = {}) {
+    const { isolationLevel, readOnly, deferrable, xid } = this.transactionOptions(options);
+    if (deferrable) {
+      this.log.warn('O MySQL não suporta transações DEFERRABLE. A opção foi ignorada.');
+    }
+
+    // O XA START não aceita modos, então o READ ONLY de uma transação distribuída vai no SET TRANSACTION.
+    if (xid) {
+      const modes = [isolationLevel && `ISOLATION LEVEL ${isolationLevel}`, readOnly && 'READ ONLY'].filter(Boolean);
+      return [...(modes.length > 0 ? [`SET TRANSACTION ${modes.join(', ')}`] : []), `XA START '${xid}'`];
     }
-    return null;
+
+    const statements = isolationLevel ? [`SET TRANSACTION ISOLATION LEVEL ${isolationLevel}`] : [];
+    statements.push(readOnly ? 'START TRANSACTION READ ONLY' : 'BEGIN');
+    return statements;
   }
 
   /**
-   * Compila um statement UPDATE para MySQL.
-   * A sintaxe do MySQL permite joins diretamente no update.
+   * Encerra o trecho da transação XA e a prepara.
    * @override
-   * @param {QueryBuilder} builder - A instância do Query Builder.
-   * @param {object} data - Os dados a serem atualizados.
+   * @param {string} xid - O identificador da transação.
+   * @returns {string[]}
+   */
+  compilePrepareTransaction(xid) {
+    return [`XA END '${xid}'`, `XA PREPARE '${xid}'`];
+  }
+
+  /**
+   * @override
+   * @param {string} xid - O identificador da transação.
    * @returns {string}
    */
-  compileUpdate(builder, data) {
-    const table = this.wrapTable(builder._statements.from);
-    const columns = Object.keys(data).map(key => `${this.wrap(key)} = ?`).join(', ');
-    
-    // A sintaxe do MySQL para ORDER BY e LIMIT em updates é peculiar.
-    // Por enquanto, vamos focar no update com WHERE.
-    const wheres = this.compileWheres(builder._statements.where);
-
-    return `update ${table} set ${columns} ${wheres}`;
+  compileCommitPrepared(xid) {
+    return `XA COMMIT '${xid}'`;
+  }
+
+  /**
+   * @override
+   * @param {string} xid - O identificador da transação.
+   * @returns {string}
+   */
+  compileRollbackPrepared(xid) {
+    return `XA ROLLBACK '${xid}'`;
+  }
+
+  /**
+   * O XA ROLLBACK exige a transação encerrada: o XA END só é executado se a preparação não
+   * chegou a executá-lo, pois repeti-lo falharia e impediria o ROLLBACK.
+   * @override
+   * @param {string} xid - O identificador da transação.
+   * @param {object} [state={}]
+   * @param {boolean} [state.prepareStarted=false] - O XA END da preparação já foi executado.
+   * @returns {string[]}
+   */
+  compileRollbackBeforePrepare(xid, { prepareStarted = false } = {}) {
+    return [...(prepareStarted ? [] : [`XA END '${xid}'`]), `XA ROLLBACK '${xid}'`];
   }
 }
 
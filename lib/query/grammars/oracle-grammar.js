@@ -3,6 +3,7 @@
 'use strict';
 
 const BaseGrammar = require('./base-grammar');
+const Raw = require('../raw');
 
 /**
  * @class OracleGrammar
@@ -14,123 +15,307 @@ const BaseGrammar = require('./base-grammar');
  * - Usa aspas duplas `"` para identificadores, mas o tratamento de maiúsculas/minúsculas é rigoroso.
  * - Implementa a sintaxe de paginação moderna (12c+) com `OFFSET ... FETCH`.
  * - Não possui um `LIMIT` simples para `UPDATE` ou `DELETE`.
- * - Usa a cláusula `RETURNING ... INTO ...` para obter o ID após um `INSERT`.
+ * - Insere várias linhas com `INSERT ALL ... SELECT 1 FROM DUAL` e compila upserts como MERGE.
+ * - Usa a cláusula `RETURNING ... INTO ...` (com out-binds) para obter valores após INSERT, UPDATE ou DELETE.
+ * - Inicia as transações implicitamente, sem BEGIN, e aceita apenas os isolamentos READ COMMITTED e SERIALIZABLE.
  */
 class OracleGrammar extends BaseGrammar {
   constructor() {
     super();
     // Oracle usa aspas duplas, que já é o padrão da BaseGrammar.
+
+    // O Oracle não possui INTEGER/BOOLEAN/TEXT como tipos de CAST; tudo é NUMBER ou VARCHAR2.
+    Object.assign(this.castTypes, {
+      integer: 'NUMBER(10)',
+      bigInteger: 'NUMBER(19)',
+      string: 'VARCHAR2(255)',
+      text: 'VARCHAR2(4000)',
+      decimal: 'NUMBER',
+      boolean: 'NUMBER(1)',
+    });
+
+    this.isolationLevels = ['READ COMMITTED', 'SERIALIZABLE'];
+
+    // Um INSERT ALL aceita no máximo 999 colunas-alvo no total (ORA-24335), contadas como linhas × colunas.
+    this.maxInsertColumns = 999;
   }
 
   /**
-   * Compila uma consulta SELECT completa, adicionando a lógica de paginação do Oracle 12c+.
+   * Lê a versão do servidor.
    * @override
-   * @param {QueryBuilder} builder - A instância do Query Builder com os statements.
-   * @returns {string} A string SQL compilada.
+   * @returns {string}
    */
-  compileSelect(builder) {
-    const statements = builder._statements;
+  compileServerVersion() {
+    return 'SELECT version AS "version" FROM product_component_version WHERE ROWNUM = 1';
+  }
 
+  /**
+   * Compila uma consulta SELECT completa, adicionando a lógica de paginação do Oracle 12c+.
+   * No Oracle, o OFFSET precede o FETCH, ao contrário do LIMIT/OFFSET da gramática base.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileSelect(statements) {
     // A sintaxe de paginação do Oracle requer uma cláusula ORDER BY.
     // Se não for fornecida, a consulta pode falhar ou retornar resultados inconsistentes.
     // Diferente do MSSQL, não adicionaremos uma ordenação padrão para forçar o usuário a ser explícito.
-    if ((statements.offset || statements.limit) && statements.orderBy.length === 0) {
-        // Lançar um erro ou um aviso pode ser uma boa prática aqui.
-        console.warn('A paginação no Oracle sem uma cláusula ORDER BY pode resultar em uma ordem de linhas inconsistente.');
+    if ((statements.offset || statements.limit) && statements.orders.length === 0) {
+      this.log.warn('A paginação no Oracle sem uma cláusula ORDER BY pode resultar em uma ordem de linhas inconsistente.');
     }
 
-    const parts = [
-      this.compileSelectCore(statements.select),
-      this.compileFrom(statements.from),
-      // Adicionar joins aqui no futuro
-      this.compileWheres(statements.where),
-      // Adicionar group by aqui no futuro
-      this.compileOrderBy(statements.orderBy),
-      this.compileOffset(statements.offset),
-      this.compileLimit(statements.limit),
-    ];
+    const { sql, bindings } = super.compileSelect({ ...statements, limit: null, offset: null });
+    const parts = [sql, this.compileOffset(statements.offset), this.compileLimit(statements.limit)];
 
-    return parts.filter(part => part).join(' ');
+    return { sql: this.concatenate(parts), bindings };
+  }
+
+  /**
+   * Protege um nome de tabela com alias.
+   * O Oracle não aceita a palavra-chave AS entre a tabela e o seu alias.
+   * @override
+   * @param {string|Raw} table - O nome da tabela (ex: 'users as u').
+   * @param {Array} [bindings] - Se informado, recebe os bindings de uma expressão Raw.
+   * @returns {string} A tabela protegida (ex: "users" "u").
+   */
+  wrapTable(table, bindings) {
+    if (table instanceof Raw) {
+      return this.wrap(table, bindings);
+    }
+    const [name, alias] = this.splitAlias(table);
+    return alias ? `${this.wrap(name)} ${this.wrapSegment(alias)}` : this.wrap(name);
+  }
+
+  /**
+   * Compila uma cláusula `IN` respeitando o limite do Oracle de 1000 itens por lista (ORA-01795).
+   * Listas maiores são divididas em várias cláusulas unidas por OR (ou AND, no caso de NOT IN).
+   * A ordem dos placeholders é preservada, então os bindings não precisam ser reorganizados.
+   * @override
+   * @param {object} where - O objeto where com a lista `values`.
+   * @param {Array} bindings - O acumulador de bindings.
+   * @returns {string}
+   */
+  compileWhereIn(where, bindings) {
+    if (where.values.length <= OracleGrammar.MAX_IN_LIST_SIZE) {
+      return super.compileWhereIn(where, bindings);
+    }
+
+    const chunks = [];
+    for (let i = 0; i < where.values.length; i += OracleGrammar.MAX_IN_LIST_SIZE) {
+      const values = where.values.slice(i, i + OracleGrammar.MAX_IN_LIST_SIZE);
+      chunks.push(super.compileWhereIn({ ...where, values }, bindings));
+    }
+
+    return `(${chunks.join(where.not ? ' AND ' : ' OR ')})`;
   }
 
   /**
    * Compila a cláusula 'offset' para Oracle.
+   * @override
    * @param {number} offset - O número de linhas a serem puladas.
-   * @returns {string|null}
+   * @returns {string}
    */
   compileOffset(offset) {
-    if (offset) {
-      return `offset ${parseInt(offset, 10)} rows`;
-    }
-    return null;
+    return offset ? `OFFSET ${parseInt(offset, 10)} ROWS` : '';
   }
 
   /**
    * Compila a cláusula 'limit' (FETCH) para Oracle.
    * @override
    * @param {number} limit - O número de linhas a serem retornadas.
-   * @returns {string|null}
+   * @returns {string}
    */
   compileLimit(limit) {
-    if (limit) {
-      return `fetch next ${parseInt(limit, 10)} rows only`;
+    return limit ? `FETCH NEXT ${parseInt(limit, 10)} ROWS ONLY` : '';
+  }
+
+  /**
+   * Compila um statement INSERT para Oracle, com a cláusula `RETURNING ... INTO`
+   * quando o builder define colunas de retorno.
+   * Várias linhas são inseridas com `INSERT ALL`, que não aceita RETURNING.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {object|Array<object>} data - Os dados a serem inseridos.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileInsert(statements, data) {
+    const rows = Array.isArray(data) ? data : [data];
+
+    if (statements.onConflict) {
+      return this.compileMerge(statements, rows);
     }
-    return null;
+
+    if (rows.length === 1) {
+      const { sql, bindings } = super.compileInsert(statements, rows);
+      return { sql: this.compileReturning(sql, statements.returning, bindings), bindings };
+    }
+
+    if (statements.returning) {
+      throw new Error('O Oracle não suporta returning() em um INSERT ALL. Insira as linhas uma a uma.');
+    }
+
+    const columns = this.insertColumns(rows);
+    const bindings = [];
+    const intos = rows.map(row => {
+      const table = this.wrapTable(statements.from, bindings);
+      return `INTO ${table} (${this.compileInsertColumns(columns)}) VALUES (${this.compileInsertRow(row, columns, bindings)})`;
+    });
+    return { sql: `INSERT ALL ${intos.join(' ')} SELECT 1 FROM DUAL`, bindings };
   }
 
   /**
-   * Compila um statement INSERT para Oracle.
-   * Esta implementação é básica. Uma versão avançada lidaria com a cláusula RETURNING.
+   * Compila um upsert como um statement MERGE, usando as linhas (selecionadas de DUAL) como origem.
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {Array<object>} rows - As linhas a serem inseridas ou atualizadas.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileMerge(statements, rows) {
+    const { onConflict } = statements;
+    if (onConflict.columns.length === 0) {
+      throw new Error('O Oracle exige as colunas de conflito em onConflict() para compilar o MERGE.');
+    }
+    if (statements.returning) {
+      throw new Error('O Oracle não suporta returning() em um upsert (MERGE).');
+    }
+
+    const columns = this.insertColumns(rows);
+    const source = col => `source.${this.wrap(col)}`;
+    const bindings = [];
+
+    const table = this.wrapTable(statements.from, bindings);
+    const selects = rows.map(row => {
+      const values = columns.map(col => {
+        const value = row[col] === undefined ? 'NULL' : this.parameter(row[col], bindings);
+        return `${value} AS ${this.wrap(col)}`;
+      });
+      return `SELECT ${values.join(', ')} FROM DUAL`;
+    });
+    const on = onConflict.columns.map(col => `target.${this.wrap(col)} = ${source(col)}`).join(' AND ');
+    // O Oracle não permite atualizar as colunas usadas na cláusula ON.
+    const updates = this.compileUpsertUpdates(onConflict, columns, bindings, source, col => `target.${this.wrap(col)}`);
+
+    const parts = [
+      `MERGE INTO ${table} target USING (${selects.join(' UNION ALL ')}) source ON (${on})`,
+      updates.length > 0 ? `WHEN MATCHED THEN UPDATE SET ${updates.join(', ')}` : '',
+      `WHEN NOT MATCHED THEN INSERT (${this.compileInsertColumns(columns)}) VALUES (${columns.map(source).join(', ')})`,
+    ];
+
+    return { sql: this.concatenate(parts), bindings };
+  }
+
+  /**
+   * O Oracle não aceita DEFAULT dentro de um INSERT ALL, então colunas ausentes recebem NULL.
    * @override
-   * @param {string} table - O nome da tabela.
-   * @param {object} data - Os dados a serem inseridos.
    * @returns {string}
    */
-  compileInsert(table, data) {
-    const columns = this.columnize(Object.keys(data));
-    // No Oracle, os placeholders são nomeados (:1, :2, etc.)
-    const placeholders = Object.keys(data).map((_, i) => `:${i + 1}`).join(', ');
-    return `insert into ${this.wrapTable(table)} (${columns}) values (${placeholders})`;
+  compileInsertDefault() {
+    return 'NULL';
+  }
+
+  /**
+   * Divide as linhas de um insert em lotes.
+   * Com `returning()`, cada linha é inserida por um statement próprio, pois o INSERT ALL não suporta RETURNING.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {Array<object>} rows - As linhas a serem inseridas.
+   * @returns {Array<Array<object>>}
+   */
+  chunkInsertRows(statements, rows) {
+    if (statements.returning) {
+      return rows.map(row => [row]);
+    }
+    return super.chunkInsertRows(statements, rows);
+  }
+
+  /**
+   * Compila um statement UPDATE para Oracle, com a cláusula `RETURNING ... INTO`.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {object} data - Os dados a serem atualizados.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileUpdate(statements, data) {
+    const { sql, bindings } = super.compileUpdate(statements, data);
+    return { sql: this.compileReturning(sql, statements.returning, bindings), bindings };
   }
 
   /**
-   * Compila um statement INSERT com a cláusula RETURNING.
-   * Este é um método customizado para o Oracle.
-   * @param {string} table - O nome da tabela.
+   * Compila um statement DELETE para Oracle, com a cláusula `RETURNING ... INTO`.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileDelete(statements) {
+    const { sql, bindings } = super.compileDelete(statements);
+    return { sql: this.compileReturning(sql, statements.returning, bindings), bindings };
+  }
+
+  /**
+   * Compila um statement INSERT que retorna uma única coluna (ex: o id gerado).
+   * @param {object} statements - O objeto de estado do QueryBuilder.
    * @param {object} data - Os dados a serem inseridos.
    * @param {string} returningColumn - A coluna a ser retornada (ex: 'id').
-   * @returns {string}
+   * @returns {{sql: string, bindings: Array}}
    */
-  compileInsertWithReturning(table, data, returningColumn) {
-    const insertSql = this.compileInsert(table, data);
-    // O placeholder para o valor retornado é o último na lista de bindings.
-    const returningPlaceholder = `:${Object.keys(data).length + 1}`;
-    return `${insertSql} returning ${this.wrap(returningColumn)} into ${returningPlaceholder}`;
+  compileInsertWithReturning(statements, data, returningColumn) {
+    return this.compileInsert({ ...statements, returning: [returningColumn] }, data);
   }
 
   /**
-   * Compila um statement UPDATE para Oracle.
-   * Oracle não suporta `ORDER BY` ou `LIMIT` em um `UPDATE` padrão.
+   * Adiciona a cláusula `RETURNING ... INTO`, se especificada no builder.
+   * Cada coluna retornada ocupa um placeholder de saída; o binding correspondente
+   * é um marcador `{ dir: 'out', column }`, que o driver converte em um out-bind.
    * @override
-   * @param {QueryBuilder} builder - A instância do Query Builder.
-   * @param {object} data - Os dados a serem atualizados.
+   * @param {string} sql - O SQL já compilado.
+   * @param {Array<string>} [returning] - As colunas a serem retornadas.
+   * @param {Array} bindings - O acumulador de bindings.
    * @returns {string}
    */
-  compileUpdate(builder, data) {
-    const table = this.wrapTable(builder._statements.from);
-    // Placeholders nomeados para a parte SET
-    const columns = Object.keys(data).map((key, i) => `${this.wrap(key)} = :${i + 1}`).join(', ');
-    
-    // A lógica de WHERE precisa ser ajustada para continuar a numeração dos placeholders.
-    const whereClauses = (builder._statements.where || []).map((where, i) => {
-        const placeholderIndex = Object.keys(data).length + i + 1;
-        return `${this.wrap(where.column)} ${where.operator} :${placeholderIndex}`;
-    }).join(' and ');
+  compileReturning(sql, returning, bindings) {
+    if (!returning) return sql;
 
-    const wheres = whereClauses ? `where ${whereClauses}` : '';
+    const columns = returning.map(column => this.wrap(column)).join(', ');
+    const placeholders = returning.map(column => this.parameter({ dir: 'out', column }, bindings)).join(', ');
+    return `${sql} RETURNING ${columns} INTO ${placeholders}`;
+  }
 
-    return `update ${table} set ${columns} ${wheres}`;
+  /**
+   * No Oracle, a transação começa implicitamente no primeiro statement, então não há BEGIN.
+   * As opções são aplicadas com `SET TRANSACTION`, que precisa ser esse primeiro statement.
+   * Uma transação READ ONLY já lê um snapshot consistente, e não aceita outro nível de isolamento.
+   * @override
+   * @param {object} [options={}] - As opções de `db.transaction()`.
+   * @returns {string[]}
+   */
+  compileBeginTransaction(options = {}) {
+    const { isolationLevel, readOnly, deferrable } = this.transactionOptions(options);
+    if (deferrable) {
+      this.log.warn('O Oracle não suporta transações DEFERRABLE. A opção foi ignorada.');
+    }
+
+    if (readOnly) {
+      if (isolationLevel) {
+        this.log.warn('O Oracle não aceita um nível de isolamento em transações READ ONLY. O nível foi ignorado.');
+      }
+      return ['SET TRANSACTION READ ONLY'];
+    }
+    return isolationLevel ? [`SET TRANSACTION ISOLATION LEVEL ${isolationLevel}`] : [];
+  }
+
+  /**
+   * O Oracle não descarta savepoints; eles duram até o fim da transação.
+   * @override
+   * @returns {null}
+   */
+  compileReleaseSavepoint(name) {
+    return null;
   }
 }
 
+/**
+ * Número máximo de expressões aceitas pelo Oracle em uma lista IN.
+ * @type {number}
+ */
+OracleGrammar.MAX_IN_LIST_SIZE = 1000;
+
 module.exports = OracleGrammar;
@@ -11,153 +11,128 @@ const BaseGrammar = require('./base-grammar');
  * Fornece a lógica de compilação de SQL específica para o PostgreSQL.
  *
  * Principais diferenças em relação à BaseGrammar:
- * - Usa placeholders posicionais ($1, $2, ...).
+ * - Usa placeholders posicionais ($1, $2, ...), convertidos pelo ParameterHandler.
  * - Suporte robusto para a cláusula `RETURNING`.
- * - Usa a sintaxe padrão `LIMIT` e `OFFSET` para paginação.
+ * - Usa a sintaxe padrão `LIMIT` e `OFFSET` para paginação, já implementada na BaseGrammar.
+ * - Aceita o nível de isolamento, READ ONLY e DEFERRABLE no próprio `BEGIN`.
  */
 class PostgresGrammar extends BaseGrammar {
   constructor() {
     super();
     // PostgreSQL usa aspas duplas para identificadores, que já é o padrão da BaseGrammar.
+    // PREPARE TRANSACTION exige `max_prepared_transactions` maior que zero no servidor.
+    this.supportsPreparedTransactions = true;
   }
 
   /**
-   * Compila uma consulta SELECT completa.
-   * A ordem das cláusulas no PostgreSQL é SELECT, FROM, WHERE, ORDER BY, LIMIT, OFFSET.
+   * Lê a versão do servidor.
    * @override
-   * @param {QueryBuilder} builder - A instância do Query Builder com os statements.
-   * @returns {string} A string SQL compilada.
-   */
-  compileSelect(builder) {
-    const statements = builder._statements;
-
-    const parts = [
-      this.compileSelectCore(statements.select),
-      this.compileFrom(statements.from),
-      // Adicionar joins aqui no futuro
-      this.compileWheres(statements.where),
-      // Adicionar group by aqui no futuro
-      this.compileOrderBy(statements.orderBy),
-      this.compileLimit(statements.limit),
-      this.compileOffset(statements.offset),
-    ];
-
-    return this.concatenate(parts).trim();
-  }
-
-  /**
-   * Compila a cláusula 'limit' para PostgreSQL.
-   * @override
-   * @param {number} limit - O número de linhas a serem retornadas.
-   * @returns {string|null}
+   * @returns {string}
    */
-  compileLimit(limit) {
-    if (limit) {
-      return `limit ${parseInt(limit, 10)}`;
-    }
-    return null;
+  compileServerVersion() {
+    return 'SELECT version() AS version';
   }
 
   /**
-   * Compila a cláusula 'offset' para PostgreSQL.
+   * Retorna a expressão do instante atual no PostgreSQL.
    * @override
-   * @param {number} offset - O número de linhas a serem puladas.
-   * @returns {string|null}
+   * @returns {string}
    */
-  compileOffset(offset) {
-    if (offset) {
-      return `offset ${parseInt(offset, 10)}`;
-    }
-    return null;
+  compileNow() {
+    return 'now()';
   }
 
   /**
    * Compila um statement INSERT para PostgreSQL.
    * Adiciona suporte para a cláusula `RETURNING`.
    * @override
-   * @param {QueryBuilder} builder - A instância do Query Builder.
+   * @param {object} statements - O objeto de estado do QueryBuilder.
    * @param {object} data - Os dados a serem inseridos.
-   * @returns {string}
+   * @returns {{sql: string, bindings: Array}}
    */
-  compileInsert(builder, data) {
-    const table = this.wrapTable(builder._statements.from);
-    const columns = this.columnize(Object.keys(data));
-    const placeholders = this.parameterize(data);
-
-    let sql = `insert into ${table} (${columns}) values (${placeholders})`;
-
-    // Adiciona a cláusula RETURNING se especificada no builder
-    const returning = builder._statements.returning;
-    if (returning) {
-      sql += ` returning ${this.columnize(returning)}`;
-    }
-
-    return sql;
+  compileInsert(statements, data) {
+    const { sql, bindings } = super.compileInsert(statements, data);
+    return { sql: this.compileReturning(sql, statements.returning, bindings), bindings };
   }
 
   /**
    * Compila um statement UPDATE para PostgreSQL.
    * Adiciona suporte para a cláusula `RETURNING`.
    * @override
-   * @param {QueryBuilder} builder - A instância do Query Builder.
+   * @param {object} statements - O objeto de estado do QueryBuilder.
    * @param {object} data - Os dados a serem atualizados.
-   * @returns {string}
+   * @returns {{sql: string, bindings: Array}}
    */
-  compileUpdate(builder, data) {
-    const table = this.wrapTable(builder._statements.from);
-    const columns = Object.keys(data).map(key => `${this.wrap(key)} = ?`).join(', ');
-    const wheres = this.compileWheres(builder._statements.where);
-
-    let sql = `update ${table} set ${columns} ${wheres}`;
-
-    const returning = builder._statements.returning;
-    if (returning) {
-      sql += ` returning ${this.columnize(returning)}`;
-    }
-
-    return sql;
+  compileUpdate(statements, data) {
+    const { sql, bindings } = super.compileUpdate(statements, data);
+    return { sql: this.compileReturning(sql, statements.returning, bindings), bindings };
   }
 
   /**
    * Compila um statement DELETE para PostgreSQL.
    * Adiciona suporte para a cláusula `RETURNING`.
    * @override
-   * @param {QueryBuilder} builder - A instância do Query Builder.
-   * @returns {string}
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @returns {{sql: string, bindings: Array}}
    */
-  compileDelete(builder) {
-    const table = this.wrapTable(builder._statements.from);
-    const wheres = this.compileWheres(builder._statements.where);
-
-    let sql = `delete from ${table} ${wheres}`;
+  compileDelete(statements) {
+    const { sql, bindings } = super.compileDelete(statements);
+    return { sql: this.compileReturning(sql, statements.returning, bindings), bindings };
+  }
 
-    const returning = builder._statements.returning;
-    if (returning) {
-      sql += ` returning ${this.columnize(returning)}`;
-    }
+  /**
+   * Inicia a transação com as opções no próprio BEGIN
+   * (ex: `BEGIN ISOLATION LEVEL SERIALIZABLE, READ ONLY, DEFERRABLE`).
+   * @override
+   * @param {object} [options={}] - As opções de `db.transaction()`.
+   * @returns {string[]}
+   */
+  compileBeginTransaction(options = {}) {
+    const { isolationLevel, readOnly, deferrable } = this.transactionOptions(options);
+    const modes = [
+      isolationLevel && `ISOLATION LEVEL ${isolationLevel}`,
+      readOnly && 'READ ONLY',
+      deferrable && 'DEFERRABLE',
+    ].filter(Boolean);
+    return [this.concatenate(['BEGIN', modes.join(', ')])];
+  }
 
-    return sql;
+  /**
+   * A transação distribuída começa com um BEGIN comum e é preparada com `PREPARE TRANSACTION`,
+   * que a desassocia da sessão.
+   * @override
+   * @param {string} xid - O identificador da transação.
+   * @returns {string[]}
+   */
+  compilePrepareTransaction(xid) {
+    return [`PREPARE TRANSACTION '${xid}'`];
   }
 
   /**
-   * Substitui os placeholders '?' pelos placeholders posicionais '$n' do PostgreSQL.
-   * Este método é chamado antes de enviar a query final para o driver.
-   * @param {string} sql - A string SQL com placeholders '?'.
-   * @returns {string} A string SQL com placeholders '$n'.
+   * @override
+   * @param {string} xid - O identificador da transação.
+   * @returns {string}
    */
-  prepareBindings(sql) {
-    let index = 0;
-    return sql.replace(/\?/g, () => `$${++index}`);
+  compileCommitPrepared(xid) {
+    return `COMMIT PREPARED '${xid}'`;
   }
 
   /**
-   * Concatena as partes de uma consulta SQL.
-   * @private
-   * @param {string[]} parts - As partes da consulta.
+   * @override
+   * @param {string} xid - O identificador da transação.
    * @returns {string}
    */
-  concatenate(parts) {
-    return parts.filter(part => part).join(' ');
+  compileRollbackPrepared(xid) {
+    return `ROLLBACK PREPARED '${xid}'`;
+  }
+
+  /**
+   * @override
+   * @param {string} xid - O identificador da transação.
+   * @returns {string[]}
+   */
+  compileRollbackBeforePrepare(xid) {
+    return [this.compileRollback()];
   }
 }
 
@@ -0,0 +1,134 @@
+// lib/query/grammars/sqlite-grammar.js
+
+'use strict';
+
+const BaseGrammar = require('./base-grammar');
+
+/**
+ * @class SqliteGrammar
+ * @extends BaseGrammar
+ *
+ * Fornece a lógica de compilação de SQL específica para o SQLite (3.35+).
+ *
+ * Principais diferenças em relação à BaseGrammar:
+ * - Suporte para a cláusula `RETURNING` em INSERT, UPDATE e DELETE.
+ * - Exige LIMIT quando há OFFSET; um offset isolado recebe `LIMIT -1` (sem limite).
+ * - Não aceita DEFAULT dentro de VALUES, então colunas ausentes em inserts em lote recebem NULL.
+ * - Upserts usam a sintaxe `ON CONFLICT` da BaseGrammar.
+ * - Transações são sempre SERIALIZABLE; `readOnly` usa o `PRAGMA query_only`.
+ */
+class SqliteGrammar extends BaseGrammar {
+  constructor() {
+    super();
+
+    // O SQLite tem tipagem dinâmica; o CAST converte para uma das classes de armazenamento.
+    Object.assign(this.castTypes, {
+      bigInteger: 'INTEGER',
+      string: 'TEXT',
+      decimal: 'NUMERIC',
+      boolean: 'INTEGER',
+      date: 'TEXT',
+      timestamp: 'TEXT',
+    });
+
+    // SQLITE_MAX_VARIABLE_NUMBER padrão desde o SQLite 3.32.
+    this.maxBindings = 32766;
+  }
+
+  /**
+   * Lê a versão do servidor (a versão da biblioteca SQLite do driver).
+   * @override
+   * @returns {string}
+   */
+  compileServerVersion() {
+    return 'SELECT sqlite_version() AS version';
+  }
+
+  /**
+   * Compila uma consulta SELECT completa.
+   * O SQLite não aceita OFFSET sem LIMIT; `LIMIT -1` significa "sem limite".
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileSelect(statements) {
+    if (statements.offset && !statements.limit) {
+      return super.compileSelect({ ...statements, limit: -1 });
+    }
+    return super.compileSelect(statements);
+  }
+
+  /**
+   * Compila um statement INSERT para SQLite.
+   * Adiciona suporte para a cláusula `RETURNING`.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {object|Array<object>} data - Os dados a serem inseridos.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileInsert(statements, data) {
+    const { sql, bindings } = super.compileInsert(statements, data);
+    return { sql: this.compileReturning(sql, statements.returning, bindings), bindings };
+  }
+
+  /**
+   * Compila um statement UPDATE para SQLite.
+   * Adiciona suporte para a cláusula `RETURNING`.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @param {object} data - Os dados a serem atualizados.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileUpdate(statements, data) {
+    const { sql, bindings } = super.compileUpdate(statements, data);
+    return { sql: this.compileReturning(sql, statements.returning, bindings), bindings };
+  }
+
+  /**
+   * Compila um statement DELETE para SQLite.
+   * Adiciona suporte para a cláusula `RETURNING`.
+   * @override
+   * @param {object} statements - O objeto de estado do QueryBuilder.
+   * @returns {{sql: string, bindings: Array}}
+   */
+  compileDelete(statements) {
+    const { sql, bindings } = super.compileDelete(statements);
+    return { sql: this.compileReturning(sql, statements.returning, bindings), bindings };
+  }
+
+  /**
+   * O SQLite não aceita DEFAULT dentro de VALUES, então colunas ausentes recebem NULL.
+   * @override
+   * @returns {string}
+   */
+  compileInsertDefault() {
+    return 'NULL';
+  }
+
+  /**
+   * As transações do SQLite são sempre SERIALIZABLE, o que atende a qualquer nível de
+   * isolamento pedido. `readOnly` liga o `PRAGMA query_only` da conexão durante a transação.
+   * @override
+   * @param {object} [options={}] - As opções de `db.transaction()`.
+   * @returns {string[]}
+   */
+  compileBeginTransaction(options = {}) {
+    const { readOnly, deferrable } = this.transactionOptions(options);
+    if (deferrable) {
+      this.log.warn('O SQLite não suporta transações DEFERRABLE. A opção foi ignorada.');
+    }
+    return readOnly ? ['PRAGMA query_only = ON', 'BEGIN'] : ['BEGIN'];
+  }
+
+  /**
+   * Desliga o `PRAGMA query_only` de uma transação somente leitura.
+   * @override
+   * @param {object} [options={}] - As opções com que a transação foi iniciada.
+   * @returns {string[]}
+   */
+  compileEndTransaction(options = {}) {
+    return options.readOnly ? ['PRAGMA query_only = OFF'] : [];
+  }
+}
+
+module.exports = SqliteGrammar;
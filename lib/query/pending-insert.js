@@ -0,0 +1,86 @@
+// lib/query/pending-insert.js
+
+'use strict';
+
+/**
+ * @class PendingInsert
+ *
+ * O insert preparado por `QueryBuilder#insert()`, executado quando é aguardado. Isso permite
+ * encadear `onConflict()`, `merge()`, `ignore()`, `returning()` e `timeout()` depois do insert.
+ * Os métodos configuram o QueryBuilder de origem e retornam o próprio insert.
+ *
+ * O insert roda uma única vez, mesmo que seja aguardado mais de uma vez.
+ *
+ * @example
+ * await db.table('users').insert(rows).onConflict(['email']).merge(['name']);
+ */
+class PendingInsert {
+  /**
+   * @param {QueryBuilder} builder - O builder da tabela, com as opções do insert.
+   * @param {object|Array<object>} data - Os dados a serem inseridos.
+   */
+  constructor(builder, data) {
+    this._builder = builder;
+    this._data = data;
+    this._promise = null;
+  }
+
+  /**
+   * Ver `QueryBuilder#onConflict()`.
+   */
+  onConflict(columns) {
+    this._builder.onConflict(columns);
+    return this;
+  }
+
+  /**
+   * Ver `QueryBuilder#merge()`.
+   */
+  merge(updates) {
+    this._builder.merge(updates);
+    return this;
+  }
+
+  /**
+   * Ver `QueryBuilder#ignore()`.
+   */
+  ignore() {
+    this._builder.ignore();
+    return this;
+  }
+
+  /**
+   * Ver `QueryBuilder#returning()`.
+   */
+  returning(...columns) {
+    this._builder.returning(...columns);
+    return this;
+  }
+
+  /**
+   * Ver `QueryBuilder#timeout()`.
+   */
+  timeout(ms, options) {
+    this._builder.timeout(ms, options);
+    return this;
+  }
+
+  /**
+   * Executa o insert. Resolve para `{ rowCount, insertId, rows }` ou, com `returning()`,
+   * para o array de linhas inseridas.
+   */
+  then(onFulfilled, onRejected) {
+    if (!this._promise) this._promise = this._builder._executeInsert(this._data);
+    return this._promise.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.then(undefined, onRejected);
+  }
+
+  finally(onFinally) {
+    return this.then().finally(onFinally);
+  }
+}
+
+module.exports = PendingInsert;
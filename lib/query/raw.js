@@ -0,0 +1,54 @@
+// lib/query/raw.js
+
+'use strict';
+
+/**
+ * @class Raw
+ *
+ * Representa um fragmento de SQL que deve ser emitido literalmente pelas gramáticas,
+ * sem ser protegido como identificador nem substituído por um placeholder.
+ *
+ * Os placeholders '?' do fragmento são preenchidos pelos `bindings` informados,
+ * que são inseridos na posição correta da lista final de bindings da consulta.
+ *
+ * @example
+ * db.table('users').select(db.raw('count(*) as total')).where('created_at', '<', db.raw('now() - ?::interval', ['1 day']));
+ */
+class Raw {
+  /**
+   * @param {string} sql - O fragmento SQL.
+   * @param {Array} [bindings=[]] - Os valores para os placeholders '?' do fragmento.
+   */
+  constructor(sql, bindings = []) {
+    this.sql = sql;
+    this.bindings = Array.isArray(bindings) ? bindings : [bindings];
+  }
+
+  /**
+   * Permite interpolar o fragmento diretamente em strings SQL.
+   * @returns {string}
+   */
+  toString() {
+    return this.sql;
+  }
+
+  /**
+   * Converte uma lista de valores na lista de bindings correspondente.
+   * Valores comuns viram um binding cada; instâncias de Raw contribuem com os seus próprios bindings.
+   * @param {Array} values - Os valores a serem convertidos.
+   * @returns {Array}
+   */
+  static bindingsOf(values) {
+    const bindings = [];
+    for (const value of values) {
+      if (value instanceof Raw) {
+        bindings.push(...value.bindings);
+      } else {
+        bindings.push(value);
+      }
+    }
+    return bindings;
+  }
+}
+
+module.exports = Raw;
@@ -29,7 +29,7 @@ class SchemaBuilder {
    * @returns {Promise<void>}
    */
   async createTable(tableName, callback) {
-    const tableBuilder = new TableBuilder('create', tableName);
+    const tableBuilder = new TableBuilder('create', tableName, this.client);
     callback(tableBuilder);
 
     const sqlCommands = this.grammar.compileCreateTable(tableBuilder);
@@ -43,9 +43,14 @@ class SchemaBuilder {
    * @returns {Promise<void>}
    */
   async alterTable(tableName, callback) {
-    const tableBuilder = new TableBuilder('alter', tableName);
+    const tableBuilder = new TableBuilder('alter', tableName, this.client);
     callback(tableBuilder);
 
+    // Alterações que o ALTER TABLE do dialeto não suporta são aplicadas recriando a tabela (SQLite).
+    if (this.grammar.requiresRebuild && this.grammar.requiresRebuild(tableBuilder)) {
+      await this._rebuildTable(tableBuilder);
+    }
+
     const sqlCommands = this.grammar.compileAlterTable(tableBuilder);
     await this._runSql(sqlCommands);
   }
@@ -92,6 +97,56 @@ class SchemaBuilder {
     await this._runSql(sql);
   }
 
+  /**
+   * @private
+   * Recria a tabela com as alterações do TableBuilder. A definição atual é lida do banco,
+   * a cópia roda em uma transação (ou savepoint) e é desfeita se violar chaves estrangeiras.
+   *
+   * Os statements de `before` (desligar as chaves estrangeiras) não têm efeito dentro de uma
+   * transação, e sem eles remover a tabela antiga dispararia o ON DELETE das tabelas filhas.
+   * Por isso, quando são necessários, a recriação é recusada dentro de uma transação.
+   * @param {TableBuilder} tableBuilder - A instância do TableBuilder com as alterações.
+   */
+  async _rebuildTable(tableBuilder) {
+    const definition = {};
+    for (const [key, sql] of Object.entries(this.grammar.compileTableDefinition(tableBuilder.tableName))) {
+      definition[key] = await this.client.query(sql);
+    }
+
+    const { before, statements, check, after } = this.grammar.compileRebuildTable(tableBuilder, definition);
+    if (before.length > 0 && this._inTransaction()) {
+      throw new Error(
+        `A alteração da tabela "${tableBuilder.tableName}" exige recriá-la, o que não pode ser feito dentro de uma transação `
+        + 'com as chaves estrangeiras ligadas: remover a tabela antiga dispararia o ON DELETE das tabelas filhas. '
+        + 'Execute a alteração fora da transação.',
+      );
+    }
+    await this._runSql(before);
+    try {
+      await this.client.transaction(async (trx) => {
+        for (const sql of statements) {
+          await trx.query(sql);
+        }
+        const violations = await trx.query(check);
+        if (violations.length > 0) {
+          throw new Error(`A alteração da tabela "${tableBuilder.tableName}" viola ${violations.length} chave(s) estrangeira(s).`);
+        }
+      }, { propagation: 'NESTED' });
+    } finally {
+      await this._runSql(after);
+    }
+  }
+
+  /**
+   * @private
+   * Indica se os comandos rodam em uma transação: a de `trx.schema` ou a ativa no contexto
+   * (ver `config.implicitTransactions`).
+   */
+  _inTransaction() {
+    if (typeof this.client.isCompleted === 'function') return true;
+    return Boolean(this.client._activeTransaction());
+  }
+
   /**
    * @private
    * Executa um ou mais comandos SQL.
@@ -0,0 +1,31 @@
+// lib/schema/grammars/cockroachdb-schema-grammar.js
+
+'use strict';
+
+const PostgresSchemaGrammar = require('./postgres-schema-grammar');
+
+/**
+ * @class CockroachDbSchemaGrammar
+ * @extends PostgresSchemaGrammar
+ *
+ * Compila as definições de esquema do TableBuilder para a sintaxe DDL do CockroachDB.
+ *
+ * O CockroachDB não tem `serial` de verdade: colunas de auto-incremento recebem
+ * `unique_rowid()`, que gera ids únicos e crescentes, mas não sequenciais. Os ids são
+ * INT8, que o driver `pg` retorna como strings.
+ */
+class CockroachDbSchemaGrammar extends PostgresSchemaGrammar {
+  /**
+   * @private
+   * @override
+   * Declara as colunas de auto-incremento explicitamente com `unique_rowid()`.
+   */
+  _getType(column) {
+    if (column.type === 'increments' || column.type === 'bigIncrements') {
+      return 'int8 default unique_rowid()';
+    }
+    return super._getType(column);
+  }
+}
+
+module.exports = CockroachDbSchemaGrammar;
@@ -0,0 +1,27 @@
+// lib/schema/grammars/mariadb-schema-grammar.js
+
+'use strict';
+
+const MySqlSchemaGrammar = require('./mysql-schema-grammar');
+
+/**
+ * @class MariaDbSchemaGrammar
+ * @extends MySqlSchemaGrammar
+ *
+ * Compila as definições de esquema do TableBuilder para a sintaxe DDL do MariaDB.
+ * A única diferença em relação ao MySQL está no catálogo: o information_schema do
+ * MariaDB também lista sequências e tabelas versionadas em `tables`.
+ */
+class MariaDbSchemaGrammar extends MySqlSchemaGrammar {
+  /**
+   * Compila um comando para verificar se uma tabela existe, ignorando sequências.
+   * @override
+   * @param {string} tableName - O nome da tabela.
+   * @returns {string}
+   */
+  compileHasTable(tableName) {
+    return `${super.compileHasTable(tableName)} and table_type in ('BASE TABLE', 'SYSTEM VERSIONED')`;
+  }
+}
+
+module.exports = MariaDbSchemaGrammar;
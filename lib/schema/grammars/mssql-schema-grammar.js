@@ -2,6 +2,8 @@
 
 'use strict';
 
+const Raw = require('../../query/raw');
+
 /**
  * @class MssqlSchemaGrammar
  *
@@ -130,6 +132,10 @@ class MssqlSchemaGrammar {
    * Formata o valor padrão para ser inserido na string SQL.
    */
   _formatDefaultValue(value) {
+    // Expressões Raw (como db.fn.now()) já estão no dialeto correto.
+    if (value instanceof Raw) {
+      return value.sql;
+    }
     if (typeof value === 'string') {
       return `'${value}'`;
     }
@@ -2,6 +2,8 @@
 
 'use strict';
 
+const Raw = require('../../query/raw');
+
 /**
  * @class MySqlSchemaGrammar
  *
@@ -53,9 +55,8 @@ class MySqlSchemaGrammar {
    * @returns {string}
    */
   compileHasTable(tableName) {
-    // A consulta ao information_schema é a forma padrão de verificar.
-    // O '?' será substituído pelo nome do banco de dados pelo client.
-    return `select * from information_schema.tables where table_schema = ? and table_name = '${tableName}'`;
+    // A consulta ao information_schema é a forma padrão de verificar, no banco da conexão.
+    return `select * from information_schema.tables where table_schema = database() and table_name = '${tableName}'`;
   }
 
   /**
@@ -137,7 +138,7 @@ class MySqlSchemaGrammar {
       sql += ` default ${this._formatDefaultValue(column.defaultValue)}`;
     }
     // Lógica para ON UPDATE CURRENT_TIMESTAMP
-    if (column.name === 'updated_at' && column.defaultValue.toString().includes('now()')) {
+    if (column.name === 'updated_at' && column.defaultValue !== undefined && /now\(\)|current_timestamp/i.test(column.defaultValue.toString())) {
         sql += ' on update current_timestamp';
     }
     return sql;
@@ -148,6 +149,10 @@ class MySqlSchemaGrammar {
    * Formata o valor padrão para ser inserido na string SQL.
    */
   _formatDefaultValue(value) {
+    // Expressões Raw (como db.fn.now()) já estão no dialeto correto.
+    if (value instanceof Raw) {
+      return value.sql;
+    }
     if (typeof value === 'string') {
       return `'${value}'`;
     }
@@ -2,6 +2,8 @@
 
 'use strict';
 
+const Raw = require('../../query/raw');
+
 /**
  * @class OracleSchemaGrammar
  *
@@ -149,6 +151,10 @@ class OracleSchemaGrammar {
    * Formata o valor padrão para ser inserido na string SQL.
    */
   _formatDefaultValue(value) {
+    // Expressões Raw (como db.fn.now()) já estão no dialeto correto.
+    if (value instanceof Raw) {
+      return value.sql;
+    }
     if (typeof value === 'string') {
       return `'${value}'`;
     }
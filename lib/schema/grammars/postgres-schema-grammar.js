@@ -2,6 +2,8 @@
 
 'use strict';
 
+const Raw = require('../../query/raw');
+
 /**
  * @class PostgresSchemaGrammar
  *
@@ -131,6 +133,10 @@ class PostgresSchemaGrammar {
    * Formata o valor padrão para ser inserido na string SQL.
    */
   _formatDefaultValue(value) {
+    // Expressões Raw (como db.fn.now()) já estão no dialeto correto.
+    if (value instanceof Raw) {
+      return value.sql;
+    }
     if (typeof value === 'string') {
       return `'${value}'`;
     }
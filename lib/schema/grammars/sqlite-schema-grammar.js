@@ -0,0 +1,397 @@
+// lib/schema/grammars/sqlite-schema-grammar.js
+
+'use strict';
+
+const Raw = require('../../query/raw');
+
+// Comandos de alteração que o ALTER TABLE do SQLite não suporta e exigem recriar a tabela.
+const REBUILD_COMMANDS = ['dropColumn', 'primary', 'foreign', 'dropForeign'];
+
+/**
+ * @class SqliteSchemaGrammar
+ *
+ * Compila as definições de esquema do TableBuilder para a sintaxe DDL do SQLite.
+ *
+ * O ALTER TABLE do SQLite só adiciona e renomeia colunas. As demais alterações (remover
+ * colunas, mudar a chave primária ou as chaves estrangeiras, adicionar colunas com constraints)
+ * são feitas recriando a tabela: veja `requiresRebuild()` e `compileRebuildTable()`.
+ */
+class SqliteSchemaGrammar {
+  constructor() {
+    this.wrapper = '"'; // SQLite usa aspas duplas, como o padrão SQL
+  }
+
+  /**
+   * Compila um comando 'create table'.
+   * Chaves estrangeiras são declaradas na própria tabela, pois o SQLite não permite adicioná-las depois.
+   * @param {TableBuilder} tableBuilder - A instância do TableBuilder com as definições.
+   * @returns {string[]} Um array de comandos SQL para criar a tabela e seus índices.
+   */
+  compileCreateTable(tableBuilder) {
+    const tableName = this.wrapTable(tableBuilder.tableName);
+    const columns = this._getColumns(tableBuilder).join(', ');
+
+    return [`create table ${tableName} (${columns})`, ...this._compileIndexes(tableBuilder)];
+  }
+
+  /**
+   * Compila as alterações que o ALTER TABLE do SQLite executa diretamente: novas colunas
+   * sem constraints, renomeação de colunas e criação/remoção de índices.
+   * As demais alterações são aplicadas antes, por `compileRebuildTable()`.
+   * @param {TableBuilder} tableBuilder - A instância do TableBuilder com as definições.
+   * @returns {string[]}
+   */
+  compileAlterTable(tableBuilder) {
+    const tableName = this.wrapTable(tableBuilder.tableName);
+
+    const columns = tableBuilder._columns
+      .filter(column => this._canAddColumn(column))
+      .map(column => `alter table ${tableName} add column ${this._compileColumn(column)}`);
+
+    const commands = tableBuilder._commands.map(command => {
+      if (command.type === 'renameColumn') {
+        return `alter table ${tableName} rename column ${this.wrap(command.from)} to ${this.wrap(command.to)}`;
+      }
+      if (command.type === 'dropIndex') {
+        return `drop index ${this.wrap(this._indexName(tableBuilder.tableName, command.columns))}`;
+      }
+    });
+
+    return [...columns, ...commands, ...this._compileIndexes(tableBuilder)].filter(c => c);
+  }
+
+  /**
+   * Indica se as alterações exigem recriar a tabela.
+   * @param {TableBuilder} tableBuilder - A instância do TableBuilder com as definições.
+   * @returns {boolean}
+   */
+  requiresRebuild(tableBuilder) {
+    return tableBuilder._commands.some(command => REBUILD_COMMANDS.includes(command.type))
+      || tableBuilder._columns.some(column => !this._canAddColumn(column));
+  }
+
+  /**
+   * Compila as consultas que leem a definição atual de uma tabela, usada para recriá-la.
+   * Cada chave do objeto retornado recebe as linhas da consulta correspondente.
+   * @param {string} tableName - O nome da tabela.
+   * @returns {{table: string, columns: string, foreignKeys: string, indexes: string, foreignKeysEnabled: string}}
+   */
+  compileTableDefinition(tableName) {
+    const name = this.wrapValue(tableName);
+    return {
+      table: `select sql from sqlite_master where type = 'table' and name = ${name}`,
+      columns: `select * from pragma_table_info(${name})`,
+      foreignKeys: `select * from pragma_foreign_key_list(${name}) order by id, seq`,
+      indexes: 'select il.name, il.origin, ii.name as column_name, m.sql ' +
+        `from pragma_index_list(${name}) il join pragma_index_info(il.name) ii ` +
+        'left join sqlite_master m on m.type = \'index\' and m.name = il.name ' +
+        'order by il.seq, ii.seqno',
+      foreignKeysEnabled: 'pragma foreign_keys',
+    };
+  }
+
+  /**
+   * Compila a recriação de uma tabela, seguindo o procedimento recomendado pelo SQLite:
+   * cria uma tabela com a nova definição, copia os dados, remove a tabela antiga, renomeia
+   * a nova e recria os índices. Colunas, chaves primárias, constraints UNIQUE, chaves
+   * estrangeiras e índices são preservados; constraints CHECK, triggers e views não são.
+   *
+   * `statements` devem rodar em uma transação, seguidos de `check`, que retorna as chaves
+   * estrangeiras violadas. `before` e `after` desligam e religam as chaves estrangeiras fora
+   * da transação, para que remover a tabela antiga não dispare ações em cascata.
+   *
+   * @param {TableBuilder} tableBuilder - A instância do TableBuilder com as alterações.
+   * @param {object} definition - As linhas das consultas de `compileTableDefinition()`.
+   * @returns {{before: string[], statements: string[], check: string, after: string[]}}
+   */
+  compileRebuildTable(tableBuilder, definition) {
+    const { tableName } = tableBuilder;
+    if (definition.columns.length === 0) {
+      throw new Error(`A tabela "${tableName}" não existe.`);
+    }
+
+    const commands = type => tableBuilder._commands.filter(c => c.type === type);
+    const dropped = commands('dropColumn').map(c => c.column);
+    const droppedForeign = commands('dropForeign').map(c => c.columns.join(','));
+    const keeps = columns => !columns.some(column => dropped.includes(column));
+
+    const columns = definition.columns.filter(column => !dropped.includes(column.name));
+    const [primaryCommand] = commands('primary');
+    const primaryKey = primaryCommand
+      ? primaryCommand.columns
+      : columns.filter(column => column.pk > 0).sort((a, b) => a.pk - b.pk).map(column => column.name);
+    const autoincrement = !primaryCommand && /\bautoincrement\b/i.test(definition.table[0]?.sql || '');
+
+    const definitions = columns.map(column => {
+      const inlinePrimary = primaryKey.length === 1 && primaryKey[0] === column.name;
+      return this._compileExistingColumn(column, inlinePrimary, autoincrement);
+    });
+    tableBuilder._columns
+      .filter(column => !this._canAddColumn(column))
+      .forEach(column => definitions.push(this._compileColumn(column)));
+
+    if (primaryKey.length > 1) {
+      definitions.push(`primary key (${this.columnize(primaryKey)})`);
+    }
+
+    this._groupBy(definition.indexes.filter(index => index.origin === 'u'), 'name')
+      .map(rows => rows.map(row => row.column_name))
+      .filter(keeps)
+      .forEach(unique => definitions.push(`unique (${this.columnize(unique)})`));
+
+    this._groupBy(definition.foreignKeys, 'id')
+      .filter(rows => keeps(rows.map(row => row.from)))
+      .filter(rows => !droppedForeign.includes(rows.map(row => row.from).join(',')))
+      .forEach(rows => definitions.push(this._compileExistingForeign(rows)));
+    commands('foreign').forEach(command => definitions.push(this._compileForeign(command)));
+
+    const temporary = `_easydbg_tmp_${tableName}`;
+    const copied = this.columnize(columns.map(column => column.name));
+    const indexes = this._groupBy(definition.indexes.filter(index => index.origin === 'c' && index.sql), 'name')
+      .filter(rows => keeps(rows.map(row => row.column_name)))
+      .map(rows => rows[0].sql);
+
+    const foreignKeysEnabled = Boolean(definition.foreignKeysEnabled[0]?.foreign_keys);
+
+    return {
+      before: foreignKeysEnabled ? ['pragma foreign_keys = off'] : [],
+      statements: [
+        `create table ${this.wrapTable(temporary)} (${definitions.join(', ')})`,
+        `insert into ${this.wrapTable(temporary)} (${copied}) select ${copied} from ${this.wrapTable(tableName)}`,
+        `drop table ${this.wrapTable(tableName)}`,
+        `alter table ${this.wrapTable(temporary)} rename to ${this.wrapTable(tableName)}`,
+        ...indexes,
+      ],
+      check: `pragma foreign_key_check(${this.wrapTable(tableName)})`,
+      after: foreignKeysEnabled ? ['pragma foreign_keys = on'] : [],
+    };
+  }
+
+  /**
+   * Compila um comando 'drop table'.
+   * @param {string} tableName - O nome da tabela.
+   * @returns {string}
+   */
+  compileDropTable(tableName) {
+    return `drop table ${this.wrapTable(tableName)}`;
+  }
+
+  /**
+   * Compila um comando 'drop table if exists'.
+   * @param {string} tableName - O nome da tabela.
+   * @returns {string}
+   */
+  compileDropTableIfExists(tableName) {
+    return `drop table if exists ${this.wrapTable(tableName)}`;
+  }
+
+  /**
+   * Compila um comando para verificar se uma tabela existe.
+   * @param {string} tableName - O nome da tabela.
+   * @returns {string}
+   */
+  compileHasTable(tableName) {
+    // O catálogo do SQLite fica na tabela sqlite_master.
+    return `select * from sqlite_master where type = 'table' and name = ${this.wrapValue(tableName)}`;
+  }
+
+  /**
+   * Compila um comando para renomear uma tabela.
+   * @param {string} from - O nome atual da tabela.
+   * @param {string} to - O novo nome da tabela.
+   * @returns {string}
+   */
+  compileRenameTable(from, to) {
+    return `alter table ${this.wrapTable(from)} rename to ${this.wrapTable(to)}`;
+  }
+
+  /**
+   * @private
+   * Compila as colunas e as constraints de tabela (chave primária composta e chaves estrangeiras).
+   */
+  _getColumns(tableBuilder) {
+    const columns = tableBuilder._columns.map(column => this._compileColumn(column));
+
+    tableBuilder._commands.forEach(command => {
+      if (command.type === 'primary') {
+        columns.push(`primary key (${this.columnize(command.columns)})`);
+      } else if (command.type === 'foreign') {
+        columns.push(this._compileForeign(command));
+      }
+    });
+
+    return columns;
+  }
+
+  /**
+   * @private
+   * Compila a definição de uma nova coluna.
+   */
+  _compileColumn(column) {
+    return `${this.wrap(column.name)} ${this._getType(column)}${this._getModifiers(column)}`;
+  }
+
+  /**
+   * @private
+   * Compila uma coluna existente a partir de uma linha de `pragma_table_info`.
+   */
+  _compileExistingColumn(column, inlinePrimary, autoincrement) {
+    let sql = this.wrap(column.name);
+    if (column.type) sql += ` ${column.type}`;
+    if (column.notnull) sql += ' not null';
+    if (column.dflt_value !== null) sql += ` default ${column.dflt_value}`;
+    if (inlinePrimary) sql += autoincrement ? ' primary key autoincrement' : ' primary key';
+    return sql;
+  }
+
+  /**
+   * @private
+   * Converte um tipo de coluna genérico para o tipo do SQLite.
+   * O SQLite aceita qualquer nome de tipo e deriva dele a afinidade da coluna.
+   */
+  _getType(column) {
+    switch (column.type) {
+      case 'increments':
+      case 'bigIncrements':
+        return 'integer'; // Apenas 'integer primary key' vira um alias do rowid
+      case 'string':
+        return `varchar(${column.length})`;
+      case 'text':
+        return 'text';
+      case 'integer':
+        return 'integer';
+      case 'bigInteger':
+        return 'bigint';
+      case 'boolean':
+        return 'boolean';
+      case 'decimal':
+        return `decimal(${column.precision}, ${column.scale})`;
+      case 'timestamp':
+      case 'timestamptz':
+        return 'datetime';
+      case 'json':
+      case 'jsonb':
+        return 'text'; // Um tipo 'json' teria afinidade NUMERIC e converteria strings numéricas
+      default:
+        throw new Error(`Tipo de coluna não suportado para SQLite: ${column.type}`);
+    }
+  }
+
+  /**
+   * @private
+   * Compila os modificadores (constraints) para uma coluna.
+   */
+  _getModifiers(column) {
+    let sql = '';
+    if (column.isNullable === false) sql += ' not null';
+    if (column.isPrimary && (column.type === 'increments' || column.type === 'bigIncrements')) {
+      sql += ' primary key autoincrement';
+    } else if (column.isPrimary) {
+      sql += ' primary key';
+    }
+    if (column.isUnique) sql += ' unique';
+    if (column.defaultValue !== undefined) {
+      sql += ` default ${this._formatDefaultValue(column.defaultValue)}`;
+    }
+    return sql;
+  }
+
+  /**
+   * @private
+   * Formata o valor padrão para ser inserido na string SQL.
+   */
+  _formatDefaultValue(value) {
+    // Expressões precisam de parênteses no DEFAULT do SQLite.
+    if (value instanceof Raw) {
+      return `(${value.sql})`;
+    }
+    if (typeof value === 'string') {
+      return this.wrapValue(value);
+    }
+    if (typeof value === 'boolean') {
+      return value ? '1' : '0';
+    }
+    if (value === null) {
+      return 'null';
+    }
+    return value;
+  }
+
+  /**
+   * @private
+   * Indica se uma nova coluna pode ser adicionada com ALTER TABLE. O SQLite não adiciona
+   * colunas com PRIMARY KEY, UNIQUE, NOT NULL sem valor padrão ou padrão calculado por expressão.
+   */
+  _canAddColumn(column) {
+    if (column.isPrimary || column.isUnique || column.defaultValue instanceof Raw) return false;
+    return column.isNullable !== false || (column.defaultValue !== undefined && column.defaultValue !== null);
+  }
+
+  /**
+   * @private
+   * Compila uma constraint de chave estrangeira.
+   */
+  _compileForeign(command) {
+    const references = [].concat(command.references);
+    let sql = `foreign key (${this.columnize(command.columns)}) references ${this.wrapTable(command.onTable)} (${this.columnize(references)})`;
+    if (command.onDelete) sql += ` on delete ${command.onDelete}`;
+    if (command.onUpdate) sql += ` on update ${command.onUpdate}`;
+    return sql;
+  }
+
+  /**
+   * @private
+   * Compila uma chave estrangeira existente a partir das linhas de `pragma_foreign_key_list`.
+   */
+  _compileExistingForeign(rows) {
+    const [first] = rows;
+    // 'to' é nulo quando a chave referencia implicitamente a chave primária da outra tabela.
+    const references = first.to === null ? '' : ` (${this.columnize(rows.map(row => row.to))})`;
+    let sql = `foreign key (${this.columnize(rows.map(row => row.from))}) references ${this.wrapTable(first.table)}${references}`;
+    if (first.on_delete !== 'NO ACTION') sql += ` on delete ${first.on_delete}`;
+    if (first.on_update !== 'NO ACTION') sql += ` on update ${first.on_update}`;
+    return sql;
+  }
+
+  /**
+   * @private
+   * Compila os comandos de criação de índices.
+   */
+  _compileIndexes(tableBuilder) {
+    return tableBuilder._commands
+      .filter(command => command.type === 'index')
+      .map(command => {
+        const indexName = this.wrap(command.indexName || this._indexName(tableBuilder.tableName, command.columns));
+        return `create index ${indexName} on ${this.wrapTable(tableBuilder.tableName)} (${this.columnize(command.columns)})`;
+      });
+  }
+
+  /**
+   * @private
+   * Retorna o nome padrão de um índice.
+   */
+  _indexName(tableName, columns) {
+    return `${tableName}_${columns.join('_')}_index`;
+  }
+
+  /**
+   * @private
+   * Agrupa as linhas pelo valor de uma chave, preservando a ordem em que aparecem.
+   */
+  _groupBy(rows, key) {
+    const groups = new Map();
+    rows.forEach(row => {
+      if (!groups.has(row[key])) groups.set(row[key], []);
+      groups.get(row[key]).push(row);
+    });
+    return [...groups.values()];
+  }
+
+  // --- Métodos de Helper para Envolver Identificadores ---
+  wrap(value) { return `"${value}"`; }
+  wrapTable(table) { return this.wrap(table); }
+  wrapValue(value) { return `'${String(value).replace(/'/g, '\'\'')}'`; }
+  columnize(columns) { return columns.map(c => this.wrap(c)).join(', '); }
+}
+
+module.exports = SqliteSchemaGrammar;
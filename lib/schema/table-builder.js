@@ -41,10 +41,12 @@ class TableBuilder {
   /**
    * @param {string} type - O tipo de operação ('create' ou 'alter').
    * @param {string} tableName - O nome da tabela.
+   * @param {EasyDBGClient|Transaction} [client] - O cliente, usado por helpers como `timestamps()`.
    */
-  constructor(type, tableName) {
+  constructor(type, tableName, client) {
     this.type = type;
     this.tableName = tableName;
+    this.client = client;
     this._columns = [];   // Definições de novas colunas
     this._commands = [];  // Comandos de nível de tabela (índices, chaves estrangeiras, etc.)
   }
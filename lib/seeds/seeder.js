@@ -70,7 +70,7 @@ class Seeder {
         const seedModule = require(filepath);
 
         if (typeof seedModule.seed !== 'function') {
-          console.warn(`Aviso: O arquivo de seed "${file}" não exporta uma função "seed" e será ignorado.`);
+          this.db.log.warn(`O arquivo de seed "${file}" não exporta uma função "seed" e será ignorado.`);
           continue;
         }
 
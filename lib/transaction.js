@@ -2,9 +2,11 @@
 
 'use strict';
 
+const { performance } = require('perf_hooks');
 const QueryBuilder = require('./query/builder');
 const SchemaBuilder = require('./schema/builder');
 const TransactionError = require('./errors/TransactionError');
+const { redactError } = require('./utils/logger');
 
 /**
  * @class Transaction
@@ -19,14 +21,32 @@ class Transaction {
   /**
    * @param {EasyDBGClient} client - A instância do cliente principal.
    * @param {object} connection - A conexão dedicada do pool para esta transação.
+   * @param {object} [options={}] - As opções de `db.transaction()` (isolationLevel, readOnly, deferrable).
    */
-  constructor(client, connection) {
+  constructor(client, connection, options = {}) {
     this.client = client;
     this.connection = connection;
+    this.options = options;
     this.grammar = client.grammar;
     this.schemaGrammar = client.schemaGrammar;
     this.clientType = client.clientType;
     this.level = 0; // Nível de aninhamento da transação
+    this._lastSavepointId = 0;
+
+    // Callbacks do ciclo de vida, e quantos havia ao criar cada savepoint (para descartar os
+    // registrados depois dele, se ele for revertido).
+    this._callbacks = { beforeCommit: [], afterCommit: [], afterRollback: [] };
+    this._savepointMarks = new Map();
+
+    // Estado da transação: preparada (two-phase commit) e concluída (COMMIT ou ROLLBACK).
+    // `_prepareStarted` indica uma preparação que falhou no meio (ex: após o XA END do MySQL).
+    this._prepared = false;
+    this._prepareStarted = false;
+    this._completed = false;
+
+    // Identifica a transação nos eventos do cliente.
+    this.id = ++client._lastTransactionId;
+    this._startedAt = null;
 
     // Expõe o SchemaBuilder e as funções, espelhando a API do cliente.
     this.schema = new SchemaBuilder(this);
@@ -43,53 +63,194 @@ class Transaction {
     return new QueryBuilder(this, this.grammar).from(tableName);
   }
 
+  /**
+   * Cria uma expressão SQL literal. Espelha `db.raw()`.
+   */
+  raw(sql, bindings = []) {
+    return this.client.raw(sql, bindings);
+  }
+
   /**
    * Executa uma consulta SQL crua dentro desta transação.
+   * Aceita as opções `timeout`, `cancel` e `signal` de `db.query()`; `replica` é ignorada,
+   * pois a transação sempre usa a sua conexão no primário.
    */
-  async query(sql, bindings = []) {
+  async query(sql, bindings = [], options = {}) {
+    this._assertActive('query');
     // Delega a execução para o método privado do cliente, mas passando
     // a conexão específica desta transação.
-    return this.client._executeQuery(sql, bindings, this.connection);
+    const { timeout, cancel, signal } = options;
+    return this.client._executeQuery(sql, bindings, this.connection, { transactionId: this.id, timeout, cancel, signal });
   }
 
   /**
    * Inicia uma transação aninhada (ou a transação principal se for o nível 0).
    * Delega a lógica para o cliente principal para gerenciar o aninhamento.
    */
-  transaction(callback) {
-    return this.client.transaction(callback, this);
+  transaction(callback, options = {}) {
+    return this.client.transaction(callback, options, this);
+  }
+
+  /**
+   * Registra um callback executado antes do COMMIT da transação principal, ainda dentro
+   * dela (ex: validar invariantes ou gravar um outbox). Recebe a transação; se falhar, a
+   * transação é revertida e `db.transaction()` rejeita com o erro.
+   * @param {Function} callback - Recebe a Transaction; pode retornar uma Promise.
+   */
+  beforeCommit(callback) {
+    this._registerCallback('beforeCommit', callback);
+  }
+
+  /**
+   * Registra um callback executado depois que a transação principal é confirmada e a conexão
+   * é devolvida ao pool (ex: publicar eventos ou invalidar caches). Um erro no callback é
+   * logado e não altera o resultado de `db.transaction()`, pois o COMMIT já aconteceu.
+   * @param {Function} callback - Pode retornar uma Promise, aguardada antes de `db.transaction()` resolver.
+   *
+   * @example
+   * await db.transaction(async (trx) => {
+   *   await trx.table('orders').insert(order);
+   *   trx.afterCommit(() => events.publish('order:created', order));
+   * });
+   */
+  afterCommit(callback) {
+    this._registerCallback('afterCommit', callback);
+  }
+
+  /**
+   * Registra um callback executado depois que a transação principal é revertida. Recebe o
+   * erro que causou o ROLLBACK; um erro no callback é logado e não substitui esse erro.
+   * @param {Function} callback - Recebe o erro; pode retornar uma Promise.
+   */
+  afterRollback(callback) {
+    this._registerCallback('afterRollback', callback);
+  }
+
+  /**
+   * Retorna a gramática de schema, usada pelo SchemaBuilder. Espelha o cliente.
+   */
+  getSchemaGrammar() {
+    return this.schemaGrammar;
   }
 
   // --- Métodos de Controle de Transação ---
 
   /**
-   * Inicia a transação principal.
+   * Inicia a transação principal, com os statements que a gramática compila para as opções.
+   * Quem os executa é o adaptador, que pode usar a API do driver no lugar deles (ex: o mssql).
    */
   async begin() {
-    await this.query('BEGIN');
+    const statements = this.grammar.compileBeginTransaction(this.options);
+    const options = this.grammar.transactionOptions(this.options);
+    await this.client.adapter.beginTransaction(this.connection, statements, sql => this._run(sql), options);
+    this._startedAt = performance.now();
+    this.client.emit('transaction:begin', { transactionId: this.id });
+  }
+
+  /**
+   * Prepara uma transação iniciada com a opção `xid` (a primeira fase do two-phase commit),
+   * após executar os callbacks de `beforeCommit()`. Uma transação preparada sobrevive a uma
+   * queda da aplicação e não aceita novas consultas: só pode ser confirmada ou desfeita, com
+   * `commit()` e `rollback()` ou, em qualquer conexão, `db.commitPrepared(xid)` e `db.rollbackPrepared(xid)`.
+   * Se a preparação falhar, a transação é desfeita.
+   *
+   * @example
+   * const orders = await ordersDb.beginTransaction({ xid: 'checkout-42-orders' });
+   * const stock = await stockDb.beginTransaction({ xid: 'checkout-42-stock' });
+   * // ... escritas nos dois bancos
+   * await Promise.all([orders.prepare(), stock.prepare()]);
+   * await Promise.all([orders.commit(), stock.commit()]);
+   */
+  async prepare() {
+    this._assertActive('prepare');
+    if (!this.options.xid) {
+      throw new TransactionError(null, 'Somente uma transação iniciada com a opção xid pode ser preparada.');
+    }
+    await this._beforeCommit();
+    this._prepared = true;
+    const run = this._counting(sql => this._run(sql));
+    try {
+      for (const sql of this.grammar.compilePrepareTransaction(this.options.xid)) await run(sql);
+    } catch (error) {
+      this._prepared = false;
+      this._prepareStarted = run.count > 0;
+      await this._rollbackAfter(error);
+      throw error;
+    }
   }
 
   /**
-   * Confirma a transação principal.
+   * Confirma a transação principal. Antes, executa os callbacks de `beforeCommit()`; depois,
+   * devolve a conexão ao pool e executa os de `afterCommit()`. Se o COMMIT falhar, a transação
+   * é desfeita, exceto quando já estava preparada: aí ela continua no banco, para ser concluída
+   * com `db.commitPrepared(xid)` ou `db.rollbackPrepared(xid)`.
    */
   async commit() {
-    await this.query('COMMIT');
+    this._assertNotCompleted('commit');
+    if (!this._prepared) await this._beforeCommit();
+
+    const { xid } = this.options;
+    const prepare = xid && !this._prepared ? this.grammar.compilePrepareTransaction(xid) : [];
+    const statements = xid ? [...prepare, this.grammar.compileCommitPrepared(xid)] : [this.grammar.compileCommit()];
+    const run = this._counting(sql => this._run(sql));
+    this._completed = true;
+    try {
+      await this.client.adapter.commitTransaction(this.connection, statements, run);
+    } catch (error) {
+      // Se a falha veio depois da preparação, a transação segue preparada no banco.
+      if (prepare.length > 0) {
+        this._prepared = run.count >= prepare.length;
+        this._prepareStarted = run.count > 0;
+      }
+      if (!this._prepared) {
+        await this._rollbackAfter(error);
+      } else {
+        await this.release();
+      }
+      throw error;
+    }
+    this.client.emit('transaction:commit', { transactionId: this.id, duration: this._duration() });
+    await this.release();
+    await this._runCallbacks('afterCommit');
+  }
+
+  /**
+   * Reverte a transação principal, devolve a conexão ao pool e executa os callbacks de `afterRollback()`.
+   * @param {Error} [error] - O erro que causou o ROLLBACK, repassado aos callbacks.
+   */
+  async rollback(error) {
+    this._assertNotCompleted('rollback');
+    this._completed = true;
+    await this._rollback(error);
   }
 
   /**
-   * Reverte a transação principal.
+   * Indica se a transação já foi confirmada ou revertida. Depois disso, qualquer uso dela
+   * lança um TransactionError.
+   * @returns {boolean}
    */
-  async rollback() {
-    await this.query('ROLLBACK');
+  isCompleted() {
+    return this._completed;
   }
 
   /**
    * Libera a conexão de volta para o pool.
-   * Chamado pelo cliente após a transação ser concluída (commit ou rollback).
+   * Chamado por `commit()` e `rollback()`, após a transação ser concluída.
+   * Antes, restaura as opções que continuariam valendo na conexão (ex: o `query_only` do SQLite).
    */
-  release() {
-    if (this.connection && typeof this.connection.release === 'function') {
-      this.connection.release();
+  async release() {
+    try {
+      for (const sql of this.grammar.compileEndTransaction(this.options)) {
+        await this._run(sql);
+      }
+    } catch (error) {
+      // Não mascara o resultado da transação, que já foi concluída.
+      this.client.log.warn('Não foi possível restaurar a sessão após a transação.', {
+        transactionId: this.id,
+        error: redactError(error, this.client.config.redactBindings),
+      });
+    } finally {
+      await this.client.adapter.release(this.connection);
     }
   }
 
@@ -97,11 +258,16 @@ class Transaction {
 
   /**
    * Cria um novo savepoint na transação atual.
-   * @param {string} name - O nome do savepoint.
+   * @param {string} [name] - O nome do savepoint. Por padrão, um nome único na transação,
+   *   com a profundidade do aninhamento (ex: easydbg_sp_2_5).
+   * @returns {Promise<string>} O nome do savepoint.
    */
-  async savepoint(name) {
+  async savepoint(name = `easydbg_sp_${this.level + 1}_${++this._lastSavepointId}`) {
+    this._assertActive('savepoint');
+    await this.query(this.grammar.compileSavepoint(name));
     this.level++;
-    await this.query(`SAVEPOINT ${name}`);
+    this._savepointMarks.set(name, this._callbackCounts());
+    return name;
   }
 
   /**
@@ -109,8 +275,182 @@ class Transaction {
    * @param {string} name - O nome do savepoint para o qual reverter.
    */
   async rollbackTo(name) {
-    await this.query(`ROLLBACK TO SAVEPOINT ${name}`);
-    this.level--;
+    this._assertActive('rollbackTo');
+    try {
+      await this.query(this.grammar.compileRollbackToSavepoint(name));
+    } finally {
+      this.level--;
+      // Os callbacks registrados desde o savepoint são descartados junto com as suas alterações.
+      const marks = this._savepointMarks.get(name);
+      if (marks) {
+        for (const hook of Object.keys(this._callbacks)) this._callbacks[hook].length = marks[hook];
+      }
+      this._savepointMarks.delete(name);
+    }
+  }
+
+  /**
+   * Descarta um savepoint cuja transação aninhada terminou com sucesso. As suas alterações
+   * passam a fazer parte da transação externa.
+   * @param {string} name - O nome do savepoint.
+   */
+  async releaseSavepoint(name) {
+    this._assertActive('releaseSavepoint');
+    const sql = this.grammar.compileReleaseSavepoint(name);
+    try {
+      if (sql) await this.query(sql);
+    } finally {
+      this.level--;
+      this._savepointMarks.delete(name);
+    }
+  }
+
+  /**
+   * @private
+   * Executa os callbacks de `hook` em ordem, inclusive os registrados durante a execução.
+   * Os de `beforeCommit` propagam o erro; os demais só o logam, pois a transação já terminou.
+   */
+  async _runCallbacks(hook, ...args) {
+    const callbacks = this._callbacks[hook];
+    for (let i = 0; i < callbacks.length; i++) {
+      if (hook === 'beforeCommit') {
+        await callbacks[i](...args);
+        continue;
+      }
+      try {
+        await callbacks[i](...args);
+      } catch (error) {
+        this.client.log.error(`Falha em um callback ${hook} da transação.`, {
+          transactionId: this.id,
+          error: redactError(error, this.client.config.redactBindings),
+        });
+      }
+    }
+  }
+
+  /**
+   * @private
+   * Executa os callbacks de `beforeCommit()` no contexto da transação. Se um deles falhar,
+   * a transação é desfeita.
+   */
+  async _beforeCommit() {
+    try {
+      await this.client._runInTransaction(this, () => this._runCallbacks('beforeCommit', this));
+    } catch (error) {
+      // O callback pode ter concluído a transação antes de falhar.
+      if (!this._completed) await this._rollbackAfter(error);
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   * Desfaz a transação após `error`, que quem chamou vai relançar. Uma falha do próprio
+   * ROLLBACK é apenas logada, para não mascarar o erro que causou o ROLLBACK.
+   */
+  async _rollbackAfter(error) {
+    this._completed = true;
+    try {
+      await this._rollback(error);
+    } catch (rollbackError) {
+      this.client.log.error('Não foi possível desfazer a transação após um erro.', {
+        transactionId: this.id,
+        error: redactError(rollbackError, this.client.config.redactBindings),
+      });
+    }
+  }
+
+  /**
+   * @private
+   * Executa o ROLLBACK (ou o da transação preparada), devolve a conexão e executa os
+   * callbacks de `afterRollback()`.
+   */
+  async _rollback(error) {
+    const { xid } = this.options;
+    let statements = [this.grammar.compileRollback()];
+    if (xid) {
+      statements = this._prepared
+        ? [this.grammar.compileRollbackPrepared(xid)]
+        : this.grammar.compileRollbackBeforePrepare(xid, { prepareStarted: this._prepareStarted });
+    }
+    try {
+      await this.client.adapter.rollbackTransaction(this.connection, statements, sql => this._run(sql));
+      this.client.emit('transaction:rollback', { transactionId: this.id, duration: this._duration() });
+    } finally {
+      await this.release();
+    }
+    await this._runCallbacks('afterRollback', error);
+  }
+
+  /**
+   * @private
+   * Executa um statement de controle da transação, que não passa pelas verificações de `query()`.
+   */
+  _run(sql) {
+    return this.client._executeQuery(sql, [], this.connection, { transactionId: this.id });
+  }
+
+  /**
+   * @private
+   * Envolve `run` para contar os statements executados com sucesso (em `run.count`).
+   */
+  _counting(run) {
+    const counted = async (sql) => {
+      const result = await run(sql);
+      counted.count++;
+      return result;
+    };
+    counted.count = 0;
+    return counted;
+  }
+
+  /**
+   * @private
+   * Lança um TransactionError se a transação não aceita mais consultas.
+   */
+  _assertActive(action) {
+    this._assertNotCompleted(action);
+    if (this._prepared) {
+      throw new TransactionError(null, `Não é possível executar ${action}(): a transação ${this.id} foi preparada e só pode ser confirmada ou desfeita.`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _assertNotCompleted(action) {
+    if (this._completed) {
+      throw new TransactionError(null, `Não é possível executar ${action}(): a transação ${this.id} já foi concluída.`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _registerCallback(hook, callback) {
+    this._assertActive(hook);
+    if (typeof callback !== 'function') {
+      throw new Error(`O callback de ${hook}() deve ser uma função.`);
+    }
+    this._callbacks[hook].push(callback);
+  }
+
+  /**
+   * @private
+   * Quantos callbacks de cada tipo já foram registrados.
+   */
+  _callbackCounts() {
+    const counts = {};
+    for (const hook of Object.keys(this._callbacks)) counts[hook] = this._callbacks[hook].length;
+    return counts;
+  }
+
+  /**
+   * @private
+   * Milissegundos desde o início da transação.
+   */
+  _duration() {
+    return this._startedAt === null ? 0 : performance.now() - this._startedAt;
   }
 }
 
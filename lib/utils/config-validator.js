@@ -0,0 +1,400 @@
+// lib/utils/config-validator.js
+
+'use strict';
+
+const ConfigurationError = require('../errors/ConfigurationError');
+const connectionString = require('./connection-string');
+const retryPolicy = require('./retry-policy');
+
+/**
+ * @module ConfigValidator
+ *
+ * Valida e normaliza a configuração do EasyDBGClient antes que qualquer driver seja
+ * carregado. A validação segue os schemas declarados abaixo: cada chave tem um tipo
+ * (ou uma lista de tipos aceitos) e, opcionalmente, `required`, `values` (valores
+ * aceitos), `properties` (o schema de um objeto aninhado) e `items` (a regra de cada
+ * item de um array). Chaves que não constam no schema são reportadas como desconhecidas,
+ * exceto as de `connection`: o schema de conexão lista apenas as chaves que a biblioteca
+ * interpreta, e as demais são repassadas ao driver sem validação.
+ *
+ * Todos os problemas são reunidos em um único ConfigurationError.
+ */
+
+// Dialetos suportados pelo EasyDBGClient.
+const CLIENTS = ['postgres', 'mysql', 'mariadb', 'cockroachdb', 'mssql', 'oracle', 'sqlite'];
+
+// Dialetos derivados, que aceitam as URLs e as opções de conexão do dialeto de origem.
+const FAMILIES = {
+  mariadb: 'mysql',
+  cockroachdb: 'postgres',
+};
+
+const CONFIG_SCHEMA = {
+  client: { type: 'string', required: true, values: CLIENTS },
+  // O tipo de `connection` é conferido junto com as suas chaves, em `resolveConnection()`.
+  connection: { required: true },
+  readStrategy: { type: 'string', values: ['round-robin', 'random'] },
+  version: { type: 'string' },
+  migrations: {
+    type: 'object',
+    properties: {
+      tableName: { type: 'string' },
+      directory: { type: 'string' },
+    },
+  },
+  seeds: {
+    type: 'object',
+    properties: {
+      directory: { type: 'string' },
+    },
+  },
+  pool: {
+    type: 'object',
+    properties: {
+      min: { type: 'integer' },
+      max: { type: 'integer' },
+      idleTimeoutMillis: { type: 'integer' },
+      acquireTimeoutMillis: { type: 'integer' },
+      maxLifetimeMillis: { type: 'integer' },
+      validationQuery: { type: 'string' },
+    },
+  },
+  retry: {
+    type: ['boolean', 'object'],
+    properties: {
+      maxAttempts: { type: 'integer' },
+      initialDelayMillis: { type: 'integer' },
+      maxDelayMillis: { type: 'integer' },
+      multiplier: { type: 'number' },
+      jitter: { type: 'boolean' },
+      retryOn: { type: 'array', items: { type: 'string', values: retryPolicy.CATEGORIES } },
+    },
+  },
+  // Propaga a transação ativa pelo contexto assíncrono (AsyncLocalStorage) para `db.query()`, `db.table()` e `db.schema`.
+  implicitTransactions: { type: 'boolean' },
+  debug: { type: 'boolean' },
+  // Qualquer objeto com os métodos debug/info/warn/error (ex: um logger do winston).
+  log: { type: 'object' },
+  redactBindings: { type: ['boolean', 'array'] },
+};
+
+// Chaves comuns aos dialetos com servidor acessado por host e porta.
+const SERVER_CONNECTION = {
+  host: { type: 'string' },
+  port: { type: 'integer' },
+  user: { type: 'string' },
+  password: { type: 'string' },
+  database: { type: 'string' },
+};
+
+// Schemas de `connection` por dialeto, com as chaves que a biblioteca normaliza ou exige.
+// As demais opções de cada driver (`connectionString` e `keepAlive` do pg, `charset` do
+// mysql2, etc.) são repassadas sem validação, para não barrar as opções que o driver aceita.
+const CONNECTION_SCHEMAS = {
+  postgres: {
+    ...SERVER_CONNECTION,
+    password: { type: ['string', 'function'] },
+  },
+  mysql: {
+    ...SERVER_CONNECTION,
+    ssl: { type: ['boolean', 'object', 'string'] },
+  },
+  mssql: {
+    server: { type: 'string', required: true },
+    port: { type: 'integer' },
+    user: { type: 'string' },
+    password: { type: 'string' },
+    database: { type: 'string' },
+    options: { type: 'object' },
+  },
+  oracle: {
+    ...SERVER_CONNECTION,
+    connectString: { type: 'string' },
+  },
+  sqlite: {
+    filename: { type: 'string', required: true },
+  },
+};
+
+/**
+ * Valida a configuração e retorna uma cópia normalizada:
+ * - `connection` em forma de URL é convertida em objeto, e o `client` pode ser omitido
+ *   quando a URL o indica;
+ * - com réplicas de leitura (`connection: { write, read }`), cada conexão é normalizada
+ *   e `read` vira sempre um array;
+ * - `client` em minúsculas;
+ * - chaves de conexão equivalentes unificadas (`host`/`server`, `database`/`connectString`
+ *   no Oracle, `database`/`filename` no SQLite) e `port` numérica.
+ *
+ * Uma chave de conexão desconhecida parecida com uma das conhecidas (como `hots`) não
+ * impede a configuração, mas gera um aviso em `warnings`.
+ *
+ * @param {object} config - A configuração passada para o EasyDBGClient.
+ * @param {Array<string>} [warnings=[]] - Recebe os avisos encontrados.
+ * @returns {object} A configuração normalizada.
+ * @throws {ConfigurationError} Com todos os problemas encontrados.
+ */
+function validate(config, warnings = []) {
+  if (!isPlainObject(config)) {
+    throw new ConfigurationError('Configuração inválida. É necessário passar um objeto com "client" e "connection".');
+  }
+
+  const errors = [];
+  const normalized = { ...config };
+  if (typeof normalized.client === 'string') normalized.client = normalized.client.toLowerCase();
+
+  // Sem `client`, o dialeto vem do protocolo da URL de conexão (a do primário, com réplicas).
+  const replicated = isReplicated(config.connection);
+  const primary = replicated ? config.connection.write : config.connection;
+  if (!normalized.client && typeof primary === 'string') {
+    normalized.client = clientOfUrl(primary, replicated ? 'connection.write' : 'connection', errors);
+  }
+
+  checkObject(normalized, CONFIG_SCHEMA, '', errors);
+
+  if (CLIENTS.includes(normalized.client) && config.connection !== undefined) {
+    normalized.connection = replicated
+      ? resolveReplicated(normalized.client, config.connection, errors, warnings)
+      : resolveConnection(normalized.client, config.connection, 'connection', errors, warnings);
+  }
+
+  if (errors.length > 0) {
+    const details = errors.map(error => `  - ${error}`).join('\n');
+    throw new ConfigurationError(`Configuração inválida:\n${details}`, { errors });
+  }
+  return normalized;
+}
+
+/**
+ * Indica se `connection` declara um primário e réplicas de leitura.
+ *
+ * @param {*} connection - O valor de `config.connection`.
+ * @returns {boolean}
+ */
+function isReplicated(connection) {
+  return isPlainObject(connection) && ('write' in connection || 'read' in connection);
+}
+
+/**
+ * @private
+ * Lê o dialeto indicado pelo protocolo de uma URL de conexão.
+ */
+function clientOfUrl(url, path, errors) {
+  try {
+    return connectionString.parse(url).client;
+  } catch (err) {
+    errors.push(`${path}: ${err.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * @private
+ * Converte uma conexão (objeto ou URL) para o formato do driver e confere as suas chaves.
+ */
+function resolveConnection(client, value, path, errors, warnings) {
+  let connection = value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = connectionString.parse(value);
+      if (familyOf(parsed.client) !== familyOf(client)) {
+        errors.push(`${path}: a URL é de ${parsed.client}, mas o client configurado é "${client}".`);
+      }
+      connection = parsed.connection;
+    } catch (err) {
+      errors.push(`${path}: ${err.message}`);
+      return value;
+    }
+  }
+
+  if (!isPlainObject(connection)) {
+    errors.push(`${path}: esperado object ou string, recebido ${describe(connection)}.`);
+    return value;
+  }
+
+  const normalized = normalizeConnection(client, connection);
+  checkObject(normalized, CONNECTION_SCHEMAS[familyOf(client)], path, errors, warnings);
+  return normalized;
+}
+
+/**
+ * @private
+ * Resolve o primário (`write`) e as réplicas (`read`, uma conexão ou um array delas).
+ */
+function resolveReplicated(client, { write, read = [], ...others }, errors, warnings) {
+  Object.keys(others).forEach((key) => {
+    errors.push(`connection.${key}: chave desconhecida. Com réplicas de leitura, use apenas write e read.`);
+  });
+  if (write === undefined) errors.push('connection.write: obrigatório.');
+
+  return {
+    write: write === undefined ? write : resolveConnection(client, write, 'connection.write', errors, warnings),
+    read: [].concat(read).map((replica, i) => resolveConnection(client, replica, `connection.read[${i}]`, errors, warnings)),
+  };
+}
+
+/**
+ * Unifica as chaves de conexão equivalentes para o formato esperado pelo driver.
+ *
+ * @private
+ */
+function normalizeConnection(client, connection) {
+  const normalized = { ...connection };
+  const rename = (from, to) => {
+    if (normalized[from] === undefined || normalized[to] !== undefined) return;
+    normalized[to] = normalized[from];
+    delete normalized[from];
+  };
+
+  if (typeof normalized.port === 'string' && /^\d+$/.test(normalized.port)) {
+    normalized.port = Number(normalized.port);
+  }
+
+  switch (familyOf(client)) {
+    case 'mssql':
+      rename('host', 'server');
+      break;
+    case 'oracle':
+      rename('server', 'host');
+      if (normalized.connectString === undefined && normalized.host !== undefined) {
+        const address = normalized.port ? `${normalized.host}:${normalized.port}` : normalized.host;
+        normalized.connectString = normalized.database ? `${address}/${normalized.database}` : address;
+        delete normalized.host;
+        delete normalized.port;
+        delete normalized.database;
+      }
+      break;
+    case 'sqlite':
+      rename('database', 'filename');
+      break;
+    case 'mysql':
+      rename('server', 'host');
+      // O mysql2 ativa o TLS com um objeto de opções, e não com um booleano.
+      if (normalized.ssl === true) normalized.ssl = {};
+      if (normalized.ssl === false) delete normalized.ssl;
+      break;
+    default:
+      rename('server', 'host');
+  }
+  return normalized;
+}
+
+/**
+ * Confere as chaves de um objeto contra o seu schema, acumulando os problemas em `errors`.
+ * Com `warnings`, o schema é aberto: as chaves desconhecidas são aceitas, e apenas as
+ * parecidas com uma chave conhecida geram um aviso.
+ *
+ * @private
+ */
+function checkObject(value, schema, path, errors, warnings) {
+  const pathOf = key => (path ? `${path}.${key}` : key);
+
+  for (const key of Object.keys(value)) {
+    const rule = schema[key];
+    if (!rule && warnings) {
+      const similar = Object.keys(schema).find(known => isTypo(key, known));
+      if (similar) warnings.push(`${pathOf(key)}: chave desconhecida, repassada ao driver. Seria ${similar}?`);
+    } else if (!rule) {
+      errors.push(`${pathOf(key)}: chave desconhecida. Chaves aceitas: ${Object.keys(schema).join(', ')}.`);
+    } else if (value[key] !== undefined) {
+      checkValue(value[key], rule, pathOf(key), errors);
+    }
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    if (rule.required && value[key] === undefined) {
+      errors.push(`${pathOf(key)}: obrigatório.`);
+    }
+  }
+}
+
+/**
+ * Confere o tipo e os valores aceitos de uma chave.
+ *
+ * @private
+ */
+function checkValue(value, rule, path, errors) {
+  const types = [].concat(rule.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    errors.push(`${path}: esperado ${types.join(' ou ')}, recebido ${describe(value)}.`);
+    return;
+  }
+  if (rule.values && !rule.values.includes(value)) {
+    errors.push(`${path}: "${value}" não é suportado. Use ${rule.values.map(v => `'${v}'`).join(', ')}.`);
+    return;
+  }
+  if (rule.properties && isPlainObject(value)) {
+    checkObject(value, rule.properties, path, errors);
+  }
+  if (rule.items && Array.isArray(value)) {
+    value.forEach((item, i) => checkValue(item, rule.items, `${path}[${i}]`, errors));
+  }
+}
+
+/**
+ * @private
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Indica se `key` difere de `known` por um único caractere trocado, a mais, a menos ou
+ * transposto, ou apenas pela caixa.
+ *
+ * @private
+ */
+function isTypo(key, known) {
+  const a = key.toLowerCase();
+  const b = known.toLowerCase();
+  if (a === b) return true;
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  while (a[i] === b[i]) i++;
+  return a.slice(i + 1) === b.slice(i + 1) // trocado
+    || a.slice(i + 1) === b.slice(i) // a mais
+    || a.slice(i) === b.slice(i + 1) // a menos
+    || (a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2)); // transposto
+}
+
+/**
+ * Descreve o valor recebido nas mensagens de erro, sem expor o seu conteúdo.
+ *
+ * @private
+ */
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @private
+ */
+function familyOf(client) {
+  return FAMILIES[client] || client;
+}
+
+module.exports = {
+  CLIENTS,
+  isReplicated,
+  validate,
+};
@@ -0,0 +1,288 @@
+// lib/utils/error-classifier.js
+
+'use strict';
+
+const QueryError = require('../errors/QueryError');
+const UniqueViolationError = require('../errors/UniqueViolationError');
+const ForeignKeyViolationError = require('../errors/ForeignKeyViolationError');
+const NotNullViolationError = require('../errors/NotNullViolationError');
+const CheckViolationError = require('../errors/CheckViolationError');
+const DeadlockError = require('../errors/DeadlockError');
+const UndefinedTableError = require('../errors/UndefinedTableError');
+const UndefinedColumnError = require('../errors/UndefinedColumnError');
+
+/**
+ * @module ErrorClassifier
+ *
+ * Converte o erro do driver na subclasse de QueryError correspondente, a partir do código
+ * do dialeto (SQLSTATE no PostgreSQL/CockroachDB, códigos do mysql2, números do SQL Server,
+ * erros ORA- do Oracle e códigos do SQLite), e extrai a tabela, a coluna e a constraint
+ * envolvidas. O PostgreSQL as informa em campos do erro; nos demais dialetos, elas são
+ * lidas da mensagem do driver, em inglês. Partes que o banco não informa ficam `null`.
+ */
+
+const POSTGRES_CODES = {
+  '23505': UniqueViolationError,
+  '23503': ForeignKeyViolationError,
+  '23502': NotNullViolationError,
+  '23514': CheckViolationError,
+  '40P01': DeadlockError,
+  '42P01': UndefinedTableError,
+  '42703': UndefinedColumnError,
+};
+
+const MYSQL_CODES = {
+  ER_DUP_ENTRY: UniqueViolationError,
+  ER_NO_REFERENCED_ROW: ForeignKeyViolationError,
+  ER_NO_REFERENCED_ROW_2: ForeignKeyViolationError,
+  ER_ROW_IS_REFERENCED: ForeignKeyViolationError,
+  ER_ROW_IS_REFERENCED_2: ForeignKeyViolationError,
+  ER_BAD_NULL_ERROR: NotNullViolationError,
+  ER_NO_DEFAULT_FOR_FIELD: NotNullViolationError,
+  ER_CHECK_CONSTRAINT_VIOLATED: CheckViolationError,
+  ER_CONSTRAINT_FAILED: CheckViolationError, // MariaDB
+  ER_LOCK_DEADLOCK: DeadlockError,
+  ER_NO_SUCH_TABLE: UndefinedTableError,
+  ER_BAD_FIELD_ERROR: UndefinedColumnError,
+};
+
+const MSSQL_NUMBERS = {
+  2627: UniqueViolationError,
+  2601: UniqueViolationError,
+  515: NotNullViolationError,
+  1205: DeadlockError,
+  208: UndefinedTableError,
+  207: UndefinedColumnError,
+  // 547 (FOREIGN KEY, REFERENCE ou CHECK) é resolvido pela mensagem.
+};
+
+const ORACLE_CODES = {
+  'ORA-00001': UniqueViolationError,
+  'ORA-02291': ForeignKeyViolationError,
+  'ORA-02292': ForeignKeyViolationError,
+  'ORA-01400': NotNullViolationError,
+  'ORA-01407': NotNullViolationError,
+  'ORA-02290': CheckViolationError,
+  'ORA-00060': DeadlockError,
+  'ORA-00942': UndefinedTableError,
+  'ORA-00904': UndefinedColumnError,
+};
+
+const SQLITE_CODES = {
+  SQLITE_CONSTRAINT_UNIQUE: UniqueViolationError,
+  SQLITE_CONSTRAINT_PRIMARYKEY: UniqueViolationError,
+  SQLITE_CONSTRAINT_FOREIGNKEY: ForeignKeyViolationError,
+  SQLITE_CONSTRAINT_NOTNULL: NotNullViolationError,
+  SQLITE_CONSTRAINT_CHECK: CheckViolationError,
+};
+
+/**
+ * Classifica o erro do driver de um dialeto.
+ *
+ * @param {string} clientType - O dialeto (ex: 'postgres', 'mariadb').
+ * @param {Error} error - O erro lançado pelo driver.
+ * @returns {{ErrorClass: Function, table: (string|null), column: (string|null), constraint: (string|null)}}
+ *   A classe do erro (QueryError, se o código não for reconhecido) e as partes envolvidas.
+ */
+function classify(clientType, error) {
+  const details = { ErrorClass: QueryError, table: null, column: null, constraint: null };
+  if (!error || typeof error !== 'object') return details;
+
+  const message = typeof error.message === 'string' ? error.message : '';
+  switch (clientType) {
+    case 'postgres':
+    case 'cockroachdb':
+      return Object.assign(details, classifyPostgres(error, message));
+    case 'mysql':
+    case 'mariadb':
+      return Object.assign(details, classifyMySql(error, message));
+    case 'mssql':
+      return Object.assign(details, classifyMssql(error, message));
+    case 'oracle':
+      return Object.assign(details, classifyOracle(error, message));
+    case 'sqlite':
+      return Object.assign(details, classifySqlite(error, message));
+    default:
+      return details;
+  }
+}
+
+/**
+ * O `pg` expõe `table`, `column` e `constraint` no erro; o `detail` de violações de chave
+ * (`Key (email)=(...) already exists.`) traz as colunas. O CockroachDB nem sempre preenche
+ * esses campos, então a mensagem é usada como alternativa.
+ *
+ * @private
+ */
+function classifyPostgres(error, message) {
+  const ErrorClass = POSTGRES_CODES[error.code];
+  if (!ErrorClass) return {};
+  return {
+    ErrorClass,
+    table: error.table || capture(message, /(?:relation|on table) "([^"]+)"/),
+    column: error.column || capture(error.detail, /^Key \(([^)]+)\)=/) || capture(message, /column "([^"]+)"/),
+    constraint: error.constraint || capture(message, /constraint "([^"]+)"/),
+  };
+}
+
+/**
+ * @private
+ */
+function classifyMySql(error, message) {
+  const ErrorClass = MYSQL_CODES[error.code];
+  switch (error.code) {
+    case 'ER_DUP_ENTRY': {
+      // MySQL 8: "for key 'users.users_email_unique'"; MySQL 5.7 e MariaDB: "for key 'users_email_unique'".
+      const [, table = null, constraint = null] = message.match(/for key '(?:([^'.]+)\.)?([^']+)'/) || [];
+      return { ErrorClass, table, constraint };
+    }
+    case 'ER_NO_REFERENCED_ROW':
+    case 'ER_NO_REFERENCED_ROW_2':
+    case 'ER_ROW_IS_REFERENCED':
+    case 'ER_ROW_IS_REFERENCED_2': {
+      // "a foreign key constraint fails (`db`.`orders`, CONSTRAINT `fk` FOREIGN KEY (`user_id`) REFERENCES ..."
+      const [, table = null, constraint = null, column = null] =
+        message.match(/\(`[^`]+`\.`([^`]+)`, CONSTRAINT `([^`]+)` FOREIGN KEY \(`([^`]+)`\)/) || [];
+      return { ErrorClass, table, column, constraint };
+    }
+    case 'ER_BAD_NULL_ERROR':
+    case 'ER_NO_DEFAULT_FOR_FIELD':
+      return { ErrorClass, column: capture(message, /(?:Column|Field) '([^']+)'/) };
+    case 'ER_CHECK_CONSTRAINT_VIOLATED':
+      return { ErrorClass, constraint: capture(message, /constraint '([^']+)'/i) };
+    case 'ER_CONSTRAINT_FAILED':
+      return {
+        ErrorClass,
+        table: capture(message, /failed for `[^`]+`\.`([^`]+)`/),
+        constraint: capture(message, /CONSTRAINT `([^`]+)`/),
+      };
+    case 'ER_NO_SUCH_TABLE':
+      return { ErrorClass, table: lastPart(capture(message, /Table '([^']+)'/)) };
+    case 'ER_BAD_FIELD_ERROR':
+      return { ErrorClass, column: lastPart(capture(message, /Unknown column '([^']+)'/)) };
+    default:
+      return ErrorClass ? { ErrorClass } : {};
+  }
+}
+
+/**
+ * O `mssql` informa o número do erro do SQL Server em `number`.
+ *
+ * @private
+ */
+function classifyMssql(error, message) {
+  switch (error.number) {
+    case 547: {
+      // "conflicted with the FOREIGN KEY constraint "fk" ... table "dbo.users", column 'id'." A tabela
+      // de uma FOREIGN KEY é a referenciada, e não a que recebeu a escrita, então só a constraint é usada.
+      const [, kind, constraint] = message.match(/conflicted with the (FOREIGN KEY|REFERENCE|CHECK) constraint "([^"]+)"/) || [];
+      if (kind === 'CHECK') {
+        return {
+          ErrorClass: CheckViolationError,
+          constraint,
+          table: lastPart(capture(message, /table "([^"]+)"/)),
+          column: capture(message, /column '([^']+)'/),
+        };
+      }
+      return kind ? { ErrorClass: ForeignKeyViolationError, constraint } : {};
+    }
+    case 2627:
+      return {
+        ErrorClass: UniqueViolationError,
+        constraint: capture(message, /constraint '([^']+)'/),
+        table: lastPart(capture(message, /object '([^']+)'/)),
+      };
+    case 2601:
+      return {
+        ErrorClass: UniqueViolationError,
+        constraint: capture(message, /unique index '([^']+)'/),
+        table: lastPart(capture(message, /object '([^']+)'/)),
+      };
+    case 515:
+      return {
+        ErrorClass: NotNullViolationError,
+        column: capture(message, /column '([^']+)'/),
+        table: lastPart(capture(message, /table '([^']+)'/)),
+      };
+    case 208:
+      return { ErrorClass: UndefinedTableError, table: lastPart(capture(message, /Invalid object name '([^']+)'/)) };
+    case 207:
+      return { ErrorClass: UndefinedColumnError, column: capture(message, /Invalid column name '([^']+)'/) };
+    default:
+      return MSSQL_NUMBERS[error.number] ? { ErrorClass: MSSQL_NUMBERS[error.number] } : {};
+  }
+}
+
+/**
+ * As constraints do Oracle vêm com o schema (`HR.USERS_EMAIL_UK`), que é removido.
+ *
+ * @private
+ */
+function classifyOracle(error, message) {
+  const code = capture(message, /^(ORA-\d{5})/) || error.code;
+  const ErrorClass = ORACLE_CODES[code];
+  if (!ErrorClass) return {};
+
+  switch (code) {
+    case 'ORA-01400':
+    case 'ORA-01407': {
+      // cannot insert NULL into ("HR"."USERS"."NAME")
+      const [, table = null, column = null] = message.match(/\("[^"]+"\."([^"]+)"\."([^"]+)"\)/) || [];
+      return { ErrorClass, table, column };
+    }
+    case 'ORA-00904':
+      return { ErrorClass, column: lastPart(capture(message, /"([^"]+)": invalid identifier/)) };
+    default:
+      return {
+        ErrorClass,
+        constraint: lastPart(capture(message, /constraint \(([^)]+)\)/)),
+        // Versões recentes acrescentam "on table HR.USERS columns (EMAIL)".
+        table: lastPart(capture(message, /on table (\S+)/)),
+        column: capture(message, /columns \(([^)]+)\)/),
+      };
+  }
+}
+
+/**
+ * As violações de constraint do SQLite listam as colunas como `tabela.coluna`.
+ *
+ * @private
+ */
+function classifySqlite(error, message) {
+  const ErrorClass = SQLITE_CODES[error.code];
+  if (ErrorClass === CheckViolationError) {
+    return { ErrorClass, constraint: capture(message, /CHECK constraint failed: (.+)$/) };
+  }
+  if (ErrorClass) {
+    const columns = (capture(message, /constraint failed: (.+)$/) || '').split(', ').filter(Boolean);
+    const table = columns.length > 0 && columns[0].includes('.') ? columns[0].split('.')[0] : null;
+    return { ErrorClass, table, column: columns.length > 0 ? columns.map(lastPart).join(', ') : null };
+  }
+
+  const table = capture(message, /^no such table: (\S+)/);
+  if (table) return { ErrorClass: UndefinedTableError, table: lastPart(table) };
+  const column = capture(message, /^no such column: (\S+)/);
+  if (column) return { ErrorClass: UndefinedColumnError, column: lastPart(column) };
+  return {};
+}
+
+/**
+ * @private
+ */
+function capture(text, pattern) {
+  const match = typeof text === 'string' ? text.match(pattern) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Remove o banco e o schema de um nome qualificado (ex: `db.dbo.users` → users).
+ *
+ * @private
+ */
+function lastPart(name) {
+  return name ? name.split('.').pop() : null;
+}
+
+module.exports = {
+  classify,
+};
@@ -0,0 +1,191 @@
+// lib/utils/logger.js
+
+'use strict';
+
+/**
+ * @module Logger
+ *
+ * O logger usado por todo o `lib/`, configurado em `config.log`. Qualquer objeto com os
+ * métodos `debug`, `info`, `warn` e `error` serve (ex: um logger do winston ou um adaptador
+ * para o pino). Cada método recebe `(message, context)`, onde `context` é um objeto opcional
+ * com os dados estruturados da mensagem. Os métodos ausentes usam o console.
+ *
+ * Os bindings das consultas passam por `redactBindings()` antes de serem logados, e os erros
+ * de consulta (que guardam os bindings) por `redactError()`.
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Colunas cujos valores nunca são logados, por padrão. Um nome casa se contiver um dos termos.
+const DEFAULT_REDACT = ['password', 'passwd', 'secret', 'token', 'api_key', 'apikey', 'authorization', 'credential'];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * O logger padrão, que escreve no console com o contexto serializado em JSON.
+ */
+const consoleLogger = {
+  debug: (message, context) => console.debug(format(message, context)),
+  info: (message, context) => console.info(format(message, context)),
+  warn: (message, context) => console.warn(format(message, context)),
+  error: (message, context) => console.error(format(message, context)),
+};
+
+/**
+ * Cria o logger a partir de `config.log`, completando os métodos ausentes com o console.
+ *
+ * @param {object} [log] - O logger da configuração.
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ */
+function createLogger(log) {
+  if (!log) return consoleLogger;
+
+  const logger = {};
+  for (const level of LEVELS) {
+    // Chamado como método, para loggers que dependem de `this`.
+    logger[level] = typeof log[level] === 'function'
+      ? (message, context) => log[level](message, context)
+      : consoleLogger[level];
+  }
+  return logger;
+}
+
+/**
+ * Substitui por '[REDACTED]' os bindings de colunas sensíveis, para que senhas e tokens não
+ * cheguem aos logs. A coluna de cada placeholder '?' é lida do SQL: a lista de colunas de um
+ * INSERT, ou a coluna comparada antes do placeholder (`col = ?`, `col LIKE ?`, `col IN (?, ?)`).
+ *
+ * @param {string} sql - A consulta, com placeholders '?'.
+ * @param {Array} bindings - Os valores dos placeholders.
+ * @param {boolean|Array<string|RegExp>} [redact=DEFAULT_REDACT] - `true` oculta todos os
+ *   bindings, `false` nenhum; um array lista os termos (ou RegExps) das colunas sensíveis.
+ * @returns {Array} Uma cópia dos bindings, com os valores sensíveis ocultos.
+ */
+function redactBindings(sql, bindings, redact = DEFAULT_REDACT) {
+  if (redact === false || !bindings || bindings.length === 0) return bindings;
+  if (redact === true) return bindings.map(() => REDACTED);
+
+  const columns = placeholderColumns(sql);
+  return bindings.map((value, i) => (columns[i] && isSensitive(columns[i], redact) ? REDACTED : value));
+}
+
+/**
+ * Retorna uma cópia do erro com os `bindings` (os de um QueryError e os dos erros que ele
+ * encapsula em `originalError`) ocultos por `redactBindings()`, para logá-lo sem expor os
+ * parâmetros da consulta. O erro original, que chega a quem o capturou, não é alterado.
+ *
+ * @param {*} error - O erro a ser logado.
+ * @param {boolean|Array<string|RegExp>} [redact=DEFAULT_REDACT] - Ver `redactBindings()`.
+ * @returns {*} A cópia, com o mesmo protótipo, ou o próprio erro se ele não tiver bindings.
+ */
+function redactError(error, redact = DEFAULT_REDACT) {
+  if (!error || typeof error !== 'object') return error;
+
+  const original = redactError(error.originalError, redact);
+  const hasBindings = Array.isArray(error.bindings) && error.bindings.length > 0;
+  if (!hasBindings && original === error.originalError) return error;
+
+  const copy = Object.create(Object.getPrototypeOf(error), Object.getOwnPropertyDescriptors(error));
+  if (hasBindings) copy.bindings = redactBindings(typeof error.sql === 'string' ? error.sql : '', error.bindings, redact);
+  if (original !== error.originalError) copy.originalError = original;
+  return copy;
+}
+
+/**
+ * Lista a coluna associada a cada placeholder do SQL (ou `null`, se não for possível saber).
+ * Além de '?', reconhece os placeholders já convertidos para o driver ($1, :1, @param0), como
+ * os do SQL guardado em um QueryError. Cada placeholder é lido contra o trecho desde o
+ * anterior, para que listas longas não custem uma nova leitura da consulta inteira.
+ *
+ * @private
+ */
+function placeholderColumns(sql) {
+  const insert = sql.match(/^\s*insert\s+into\s+[^(]+\(([^)]*)\)[^?(]*?\bvalues\b/i);
+  const insertColumns = insert ? insert[1].split(',').map(unwrap) : [];
+  // O VALUES vai até o primeiro trecho fora das tuplas (ex: um ON CONFLICT ... DO UPDATE).
+  let inValues = insertColumns.length > 0;
+  let depth = 0;
+
+  const columns = [];
+  let valuesIndex = 0;
+  let previous = null;
+  let segmentStart = 0;
+  let quote = false;
+  for (let i = insert ? insert[0].length : 0; i < sql.length; i++) {
+    const char = sql[i];
+    if (quote) {
+      quote = char !== '\'';
+    } else if (char === '\'') {
+      quote = true;
+    } else if (inValues && depth === 0 && !/[\s,(]/.test(char)) {
+      inValues = false;
+      segmentStart = i;
+    }
+    if (quote || char === '\'') continue;
+
+    const placeholder = char === '?' ? char : driverPlaceholder(sql, i);
+    if (char === '(') depth++;
+    else if (char === ')') depth--;
+    else if (placeholder) {
+      const segment = sql.slice(segmentStart, i);
+      let column = null;
+      if (inValues) {
+        column = insertColumns[valuesIndex++ % insertColumns.length];
+      } else if (previous && previous.list && /^\s*,\s*$/.test(segment)) {
+        column = previous.column;
+      } else {
+        const match = segment.match(/([\w$]+)["`\]]?\s*(=|<>|!=|<=|>=|<|>|\blike|\bilike|\bin\s*\()\s*$/i);
+        previous = match ? { column: match[1], list: /^in/i.test(match[2]) } : null;
+        column = match ? match[1] : null;
+      }
+      columns.push(column);
+      segmentStart = i + placeholder.length;
+      i += placeholder.length - 1;
+    }
+  }
+  return columns;
+}
+
+/**
+ * O placeholder no formato de um driver ($1, :1 ou @param0) que começa em `index`, se houver.
+ *
+ * @private
+ */
+function driverPlaceholder(sql, index) {
+  if (!'$:@'.includes(sql[index]) || /[\w$:@]/.test(sql[index - 1] || '')) return null;
+  const match = sql.slice(index, index + 16).match(/^(?:\$\d+|:\d+|@param\d+)/);
+  return match ? match[0] : null;
+}
+
+/**
+ * @private
+ */
+function isSensitive(column, redact) {
+  const name = column.toLowerCase();
+  return redact.some(term => (term instanceof RegExp ? term.test(column) : name.includes(String(term).toLowerCase())));
+}
+
+/**
+ * Remove os delimitadores de um identificador (ex: `"users"."password"` → password).
+ *
+ * @private
+ */
+function unwrap(identifier) {
+  return identifier.trim().split('.').pop().replace(/["`[\]]/g, '');
+}
+
+/**
+ * @private
+ */
+function format(message, context) {
+  if (!context) return message;
+  return `${message} ${JSON.stringify(context, (key, value) => (value instanceof Error ? value.message : value))}`;
+}
+
+module.exports = {
+  DEFAULT_REDACT,
+  consoleLogger,
+  createLogger,
+  redactBindings,
+  redactError,
+};
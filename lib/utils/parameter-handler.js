@@ -25,14 +25,17 @@
 function prepare(clientType, sql, bindings) {
   switch (clientType.toLowerCase()) {
     case 'postgres':
+    case 'cockroachdb':
       return preparePostgres(sql, bindings);
 
     case 'oracle':
       return prepareOracle(sql, bindings);
 
-    // MySQL, MSSQL e SQLite usam '?' como placeholder, então não precisam de formatação.
+    // MySQL, MariaDB, MSSQL e SQLite usam '?' como placeholder, então não precisam de formatação.
     case 'mysql':
+    case 'mariadb':
     case 'mssql':
+    case 'sqlite':
     default:
       return { sql, bindings };
   }
@@ -0,0 +1,158 @@
+// lib/utils/retry-policy.js
+
+'use strict';
+
+/**
+ * @module RetryPolicy
+ *
+ * Política de novas tentativas para erros transitórios, configurada em `config.retry`.
+ *
+ * Os erros são classificados pelos códigos de cada dialeto em:
+ * - `deadlock`: a transação foi escolhida como vítima de um deadlock (ou esperou demais por um lock);
+ * - `serialization`: conflito de serialização (isolamento SERIALIZABLE/SNAPSHOT);
+ * - `connection`: a conexão caiu ou foi recusada;
+ * - `failover`: o servidor está desligando, reiniciando ou deixou de ser o primário.
+ *
+ * Entre as tentativas, a espera cresce exponencialmente (`initialDelayMillis * multiplier^n`,
+ * limitada a `maxDelayMillis`) e, com `jitter`, é sorteada entre zero e esse valor, para que
+ * os clientes que falharam juntos não tentem de novo ao mesmo tempo.
+ */
+
+const CATEGORIES = ['deadlock', 'serialization', 'connection', 'failover'];
+
+const DEFAULTS = {
+  maxAttempts: 3,
+  initialDelayMillis: 50,
+  maxDelayMillis: 2000,
+  multiplier: 2,
+  jitter: true,
+  retryOn: CATEGORIES,
+};
+
+// Sem `config.retry`, cada operação roda uma única vez.
+const DISABLED = { ...DEFAULTS, maxAttempts: 1 };
+
+// Códigos de erro de cada categoria: SQLSTATE (PostgreSQL/CockroachDB), códigos do mysql2,
+// números do SQL Server, erros ORA/DPI/NJS do Oracle, códigos do SQLite e erros de rede do Node.
+const ERROR_CODES = {
+  deadlock: [
+    '40P01', // PostgreSQL: deadlock_detected
+    'ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT',
+    1205, // SQL Server: vítima de deadlock
+    'ORA-00060',
+    'SQLITE_BUSY', 'SQLITE_LOCKED',
+  ],
+  serialization: [
+    '40001', // PostgreSQL/CockroachDB: serialization_failure
+    3960, // SQL Server: conflito de atualização no isolamento SNAPSHOT
+    'ORA-08177',
+  ],
+  connection: [
+    'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT',
+    '08000', '08001', '08003', '08006', // PostgreSQL: connection_exception
+    'PROTOCOL_CONNECTION_LOST',
+    'ESOCKET', 'ECONNCLOSED', // mssql
+    'ORA-03113', 'ORA-03114', 'ORA-03135', 'DPI-1080', 'NJS-500', 'NJS-003',
+  ],
+  failover: [
+    '57P01', '57P02', '57P03', // PostgreSQL: admin_shutdown, crash_shutdown, cannot_connect_now
+    '25006', // PostgreSQL: read_only_sql_transaction (escrita em um primário rebaixado)
+    'ER_OPTION_PREVENTS_STATEMENT', 'ER_SERVER_SHUTDOWN', 'ER_CONNECTION_KILLED',
+    4060, 40197, 40501, 40613, 49918, 49919, 49920, // SQL Server/Azure SQL: banco indisponível ou em failover
+    'ORA-01033', 'ORA-01089', 'ORA-25408', 'ORA-12514', 'ORA-12537',
+  ],
+};
+
+// Statements que não alteram dados e, por isso, podem ser repetidos com segurança.
+const READ_STATEMENT = /^\s*(select|show|explain|pragma|values|describe|desc)\b/i;
+const CTE_STATEMENT = /^\s*with\b/i;
+const WRITE_KEYWORD = /\b(insert|upsert|update|delete|merge)\b/i;
+
+/**
+ * Normaliza `config.retry`: `true` usa os padrões e um objeto os sobrescreve.
+ *
+ * @param {boolean|object} [options] - O valor de `config.retry`.
+ * @returns {{maxAttempts: number, initialDelayMillis: number, maxDelayMillis: number,
+ *   multiplier: number, jitter: boolean, retryOn: Array<string>}}
+ */
+function normalize(options) {
+  if (!options) return DISABLED;
+  return options === true ? DEFAULTS : { ...DEFAULTS, ...options };
+}
+
+/**
+ * Classifica um erro pelas categorias de erro transitório, percorrendo os erros encapsulados
+ * (`originalError`, `cause`) até o erro do driver.
+ *
+ * @param {Error} error - O erro lançado (ex: um QueryError).
+ * @returns {string|null} A categoria, ou `null` se o erro não for transitório.
+ */
+function classify(error) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.originalError || current.cause, depth++) {
+    if (typeof current !== 'object') break;
+    // No SQL Server o código fica em `number`; no Oracle, também no início da mensagem.
+    const oracleCode = typeof current.message === 'string' && current.message.match(/^(ORA|DPI|NJS)-\d+/);
+    const codes = [current.code, current.number, oracleCode && oracleCode[0]];
+    const category = CATEGORIES.find(name => codes.some(code => code !== undefined && ERROR_CODES[name].includes(code)));
+    if (category) return category;
+  }
+  return null;
+}
+
+/**
+ * Indica se a consulta pode ser repetida sem efeitos duplicados: leituras sim, escritas não.
+ *
+ * @param {string} sql - A consulta.
+ * @returns {boolean}
+ */
+function isIdempotent(sql) {
+  return READ_STATEMENT.test(sql) || (CTE_STATEMENT.test(sql) && !WRITE_KEYWORD.test(sql));
+}
+
+/**
+ * Calcula a espera antes da tentativa seguinte à de número `attempt` (a partir de 1).
+ *
+ * @param {object} policy - A política normalizada.
+ * @param {number} attempt - A tentativa que falhou.
+ * @returns {number} A espera, em milissegundos.
+ */
+function delayFor(policy, attempt) {
+  const delay = Math.min(policy.maxDelayMillis, policy.initialDelayMillis * policy.multiplier ** (attempt - 1));
+  return policy.jitter ? Math.round(Math.random() * delay) : delay;
+}
+
+/**
+ * Executa `operation`, repetindo-a enquanto falhar com um erro transitório de uma categoria
+ * de `policy.retryOn`, até `policy.maxAttempts` tentativas.
+ *
+ * @param {object} policy - A política normalizada.
+ * @param {Function} operation - Recebe o número da tentativa e retorna uma Promise.
+ * @param {object} [options={}]
+ * @param {Function} [options.canRetry] - Recebe o erro e a categoria; `false` impede a repetição.
+ * @param {Function} [options.onRetry] - Chamado antes de cada espera com `{ attempt, delay, category, error }`.
+ * @returns {Promise<*>} O resultado da primeira tentativa bem-sucedida.
+ */
+async function run(policy, operation, { canRetry = () => true, onRetry = () => {} } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const category = classify(error);
+      const retryable = category && policy.retryOn.includes(category) && canRetry(error, category);
+      if (!retryable || attempt >= policy.maxAttempts) throw error;
+
+      const delay = delayFor(policy, attempt);
+      onRetry({ attempt, delay, category, error });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  CATEGORIES,
+  classify,
+  delayFor,
+  isIdempotent,
+  normalize,
+  run,
+};
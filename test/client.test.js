@@ -0,0 +1,913 @@
+// test/client.test.js
+
+'use strict';
+
+const EasyDBGClient = require('../lib/client');
+const QueryError = require('../lib/errors/QueryError');
+const QueryTimeoutError = require('../lib/errors/QueryTimeoutError');
+
+// --- Helpers ---
+
+// Conexões falsas que imitam o formato de resposta de cada driver.
+const fakeConnections = {
+  postgres: (result) => ({ query: jest.fn().mockResolvedValue(result) }),
+  mysql: (result) => ({ query: jest.fn().mockResolvedValue([result, []]) }),
+  mssql: (result) => {
+    const request = { input: jest.fn(), query: jest.fn().mockResolvedValue(result) };
+    return { request: () => request };
+  },
+  oracle: (result) => ({ execute: jest.fn().mockResolvedValue(result) }),
+};
+
+const execute = (clientType, sql, driverResult, bindings = []) => {
+  const db = new EasyDBGClient({ client: clientType, connection: { host: 'localhost' } });
+  return db._executeQuery(sql, bindings, fakeConnections[clientType](driverResult));
+};
+
+describe('EasyDBGClient: resultados normalizados', () => {
+  test.each([
+    ['postgres', { command: 'SELECT', rows: [{ id: 1 }], rowCount: 1 }],
+    ['mysql', [{ id: 1 }]],
+    ['mssql', { recordset: [{ id: 1 }], rowsAffected: [1] }],
+    ['oracle', { rows: [{ id: 1 }] }],
+  ])('should return the rows of a select on %s', async (clientType, driverResult) => {
+    await expect(execute(clientType, 'SELECT * FROM users', driverResult)).resolves.toEqual([{ id: 1 }]);
+  });
+
+  test.each([
+    ['postgres', { command: 'UPDATE', rows: [], rowCount: 3 }, null],
+    ['mysql', { affectedRows: 3, insertId: 0 }, null],
+    ['mssql', { recordset: undefined, rowsAffected: [3] }, null],
+    ['oracle', { rowsAffected: 3 }, null],
+  ])('should return the affected rows of a write on %s', async (clientType, driverResult, insertId) => {
+    await expect(execute(clientType, 'UPDATE users SET a = ?', driverResult, [1]))
+      .resolves.toEqual({ rowCount: 3, insertId, rows: [] });
+  });
+
+  test('should expose the MySQL insert id', async () => {
+    await expect(execute('mysql', 'INSERT INTO users (a) VALUES (?)', { affectedRows: 1, insertId: 42 }, [1]))
+      .resolves.toEqual({ rowCount: 1, insertId: 42, rows: [] });
+  });
+
+  test('should treat the CockroachDB UPSERT as a write, with and without returning', async () => {
+    const db = new EasyDBGClient({ client: 'cockroachdb', connection: {} });
+    db.pool = {};
+    db.adapter.pool = { query: jest.fn().mockResolvedValue({ command: 'INSERT', rows: [], rowCount: 1 }) };
+
+    await expect(db.table('users').insert({ id: 1, name: 'Ana' }).onConflict().merge())
+      .resolves.toEqual({ rowCount: 1, insertId: null, rows: [] });
+
+    db.adapter.pool.query.mockResolvedValue({ command: 'INSERT', rows: [{ id: 1 }], rowCount: 1 });
+    await expect(db.table('users').returning('id').insert({ id: 1, name: 'Ana' }).onConflict().merge())
+      .resolves.toEqual([{ id: 1 }]);
+    expect(db.adapter.pool.query.mock.calls.map(call => call[0])).toEqual([
+      'UPSERT INTO "users" ("id", "name") VALUES ($1, $2)',
+      'UPSERT INTO "users" ("id", "name") VALUES ($1, $2) RETURNING "id"',
+    ]);
+  });
+
+  test('should build rows from Oracle out-binds', async () => {
+    const bindings = ['Ana', { dir: 'out', column: 'id' }];
+    const result = await execute('oracle', 'INSERT INTO users (name) VALUES (?) RETURNING id INTO ?', {
+      rowsAffected: 1,
+      outBinds: [[10]],
+    }, bindings);
+
+    expect(result).toEqual({ rowCount: 1, insertId: null, rows: [{ id: 10 }] });
+  });
+});
+
+describe('Adaptadores de driver', () => {
+  const OracleAdapter = require('../lib/adapters/oracle-adapter');
+  const MssqlAdapter = require('../lib/adapters/mssql-adapter');
+
+  test('should run Oracle queries outside a transaction on a pooled connection with autocommit', async () => {
+    const connection = { execute: jest.fn().mockResolvedValue({ rowsAffected: 1 }), close: jest.fn() };
+    const adapter = new OracleAdapter({ connection: {} });
+    adapter.pool = { getConnection: jest.fn().mockResolvedValue(connection) };
+
+    await expect(adapter.execute(null, 'DELETE FROM users', [])).resolves.toEqual({ rows: [], rowCount: 1, insertId: null });
+    expect(connection.execute.mock.calls[0][2]).toMatchObject({ autoCommit: true });
+    expect(connection.close).toHaveBeenCalledTimes(1);
+  });
+
+  test('should number MSSQL parameters in order', async () => {
+    const request = { input: jest.fn(), query: jest.fn().mockResolvedValue({ recordset: [], rowsAffected: [0] }) };
+    const adapter = new MssqlAdapter({ connection: {} });
+    adapter.pool = { request: () => request };
+
+    await adapter.execute(null, 'SELECT * FROM [users] WHERE [a] = ? AND [b] = ?', [1, 2]);
+
+    expect(request.query).toHaveBeenCalledWith('SELECT * FROM [users] WHERE [a] = @param0 AND [b] = @param1');
+    expect(request.input.mock.calls).toEqual([['param0', 1], ['param1', 2]]);
+  });
+
+  test('should release the transaction connection through the adapter', async () => {
+    const db = new EasyDBGClient({ client: 'postgres', connection: {} });
+    const connection = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }), release: jest.fn() };
+    db.pool = {};
+    db.adapter.acquire = jest.fn().mockResolvedValue(connection);
+
+    await db.transaction(trx => trx.query('SELECT 1'));
+
+    expect(connection.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'SELECT 1', 'COMMIT']);
+    expect(connection.release).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Transações: comandos de cada dialeto', () => {
+  const MssqlAdapter = require('../lib/adapters/mssql-adapter');
+
+  test('should nest with unique savepoints, releasing or rolling back each one', async () => {
+    const db = new EasyDBGClient({ client: 'postgres', connection: {} });
+    const connection = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }), release: jest.fn() };
+    db.pool = {};
+    db.adapter.acquire = jest.fn().mockResolvedValue(connection);
+
+    await db.transaction(async (trx) => {
+      await trx.transaction(inner => inner.transaction(() => inner.query('SELECT 1')));
+      await trx.transaction(() => Promise.reject(new Error('falhou'))).catch(() => {});
+      expect(trx.level).toBe(0);
+    });
+
+    expect(connection.query.mock.calls.map(call => call[0])).toEqual([
+      'BEGIN',
+      'SAVEPOINT easydbg_sp_1_1', 'SAVEPOINT easydbg_sp_2_2', 'SELECT 1',
+      'RELEASE SAVEPOINT easydbg_sp_2_2', 'RELEASE SAVEPOINT easydbg_sp_1_1',
+      'SAVEPOINT easydbg_sp_1_3', 'ROLLBACK TO SAVEPOINT easydbg_sp_1_3',
+      'COMMIT',
+    ]);
+  });
+
+  test('should start Oracle transactions implicitly, without autocommit', async () => {
+    const db = new EasyDBGClient({ client: 'oracle', connection: {} });
+    const connection = { execute: jest.fn().mockResolvedValue({ rowsAffected: 0 }), close: jest.fn() };
+    db.pool = {};
+    db.adapter.acquire = jest.fn().mockResolvedValue(connection);
+
+    await db.transaction(trx => trx.transaction(() => trx.query('DELETE FROM users')));
+
+    expect(connection.execute.mock.calls.map(call => call[0])).toEqual([
+      'SAVEPOINT easydbg_sp_1_1', 'DELETE FROM users', 'COMMIT',
+    ]);
+    expect(connection.execute.mock.calls.every(call => call[2].autoCommit === false)).toBe(true);
+  });
+
+  test('should pin the MSSQL connection with the driver transaction', async () => {
+    const request = { input: jest.fn(), query: jest.fn().mockResolvedValue({ recordset: [], rowsAffected: [1] }) };
+    const transaction = {
+      begin: jest.fn().mockResolvedValue(),
+      commit: jest.fn().mockResolvedValue(),
+      rollback: jest.fn().mockResolvedValue(),
+      request: () => request,
+    };
+    const db = new EasyDBGClient({ client: 'mssql', connection: { server: 'localhost' } });
+    db.pool = {};
+    db.adapter.acquire = jest.fn().mockResolvedValue(transaction);
+
+    await db.transaction(trx => trx.transaction(() => trx.query('UPDATE [users] SET [a] = ?', [1])), { isolationLevel: 'snapshot' });
+
+    expect(transaction.begin).toHaveBeenCalledWith(5); // mssql.ISOLATION_LEVEL.SNAPSHOT
+    expect(request.query.mock.calls.map(call => call[0])).toEqual([
+      'SAVE TRANSACTION easydbg_sp_1_1', 'UPDATE [users] SET [a] = @param0', 'SET TRANSACTION ISOLATION LEVEL READ COMMITTED',
+    ]);
+    expect(transaction.commit).toHaveBeenCalledTimes(1);
+    expect(transaction.rollback).not.toHaveBeenCalled();
+  });
+
+  test('should not fail the MSSQL rollback of a transaction the server already aborted', async () => {
+    const adapter = new MssqlAdapter({ connection: {} });
+    const aborted = Object.assign(new Error('Transaction has been aborted.'), { code: 'EABORT' });
+
+    await expect(adapter.rollbackTransaction({ rollback: jest.fn().mockRejectedValue(aborted) })).resolves.toBeUndefined();
+    await expect(adapter.commitTransaction({ commit: jest.fn().mockRejectedValue(aborted) }))
+      .rejects.toMatchObject({ name: 'TransactionError', originalError: aborted });
+  });
+});
+
+describe('Transações: propagação implícita', () => {
+  // Cada transação recebe uma conexão nova; as consultas fora delas vão para o pool.
+  const client = (config = {}) => {
+    const db = new EasyDBGClient({ client: 'postgres', connection: {}, implicitTransactions: true, ...config });
+    const connections = [];
+    const fakeQuery = () => jest.fn().mockResolvedValue({ rows: [], rowCount: 1 });
+    db.pool = {};
+    db.adapter.pool = { query: fakeQuery() };
+    db.adapter.acquire = jest.fn(async () => {
+      const connection = { query: fakeQuery(), release: jest.fn() };
+      connections.push(connection);
+      return connection;
+    });
+    const sqlOf = target => target.query.mock.calls.map(call => call[0]);
+    return { db, connections, sqlOf };
+  };
+
+  test('should run db.table() and db.query() in the active transaction', async () => {
+    const { db, connections, sqlOf } = client();
+
+    await db.transaction(async () => {
+      await db.table('users').insert({ name: 'Ana' });
+      await db.query('SELECT 1');
+    });
+    await db.query('SELECT 2');
+
+    expect(sqlOf(connections[0])).toEqual(['BEGIN', 'INSERT INTO "users" ("name") VALUES ($1)', 'SELECT 1', 'COMMIT']);
+    expect(sqlOf(db.adapter.pool)).toEqual(['SELECT 2']);
+  });
+
+  test('should join, nest or start a new transaction according to the propagation', async () => {
+    const { db, connections, sqlOf } = client();
+
+    await db.transaction(async (trx) => {
+      await db.transaction(inner => {
+        expect(inner).toBe(trx);
+        return db.query('SELECT 1');
+      });
+      await db.transaction(() => Promise.reject(new Error('falhou')), { propagation: 'NESTED' }).catch(() => {});
+      await db.transaction(() => db.query('SELECT 2'), { propagation: 'REQUIRES_NEW', isolationLevel: 'serializable' });
+    });
+
+    expect(connections).toHaveLength(2);
+    expect(sqlOf(connections[0])).toEqual([
+      'BEGIN', 'SELECT 1', 'SAVEPOINT easydbg_sp_1_1', 'ROLLBACK TO SAVEPOINT easydbg_sp_1_1', 'COMMIT',
+    ]);
+    expect(sqlOf(connections[1])).toEqual(['BEGIN ISOLATION LEVEL SERIALIZABLE', 'SELECT 2', 'COMMIT']);
+  });
+
+  test('should roll back the whole transaction when a REQUIRED callback fails', async () => {
+    const { db, connections, sqlOf } = client();
+
+    await expect(db.transaction(() => db.transaction(() => Promise.reject(new Error('falhou'))))).rejects.toThrow('falhou');
+    expect(sqlOf(connections[0])).toEqual(['BEGIN', 'ROLLBACK']);
+  });
+
+  test('should escape the active transaction with withoutTransaction()', async () => {
+    const { db, connections, sqlOf } = client();
+
+    await db.transaction(async () => {
+      await db.withoutTransaction(() => db.query('INSERT INTO audit_logs DEFAULT VALUES'));
+      await db.withoutTransaction(() => db.transaction(() => db.query('SELECT 1')));
+    });
+
+    expect(sqlOf(db.adapter.pool)).toEqual(['INSERT INTO audit_logs DEFAULT VALUES']);
+    expect(sqlOf(connections[0])).toEqual(['BEGIN', 'COMMIT']);
+    expect(sqlOf(connections[1])).toEqual(['BEGIN', 'SELECT 1', 'COMMIT']);
+  });
+
+  test('should keep the explicit API unchanged when the mode is off', async () => {
+    const { db, connections, sqlOf } = client({ implicitTransactions: undefined });
+
+    await db.transaction(async () => {
+      await db.query('SELECT 1');
+      await db.transaction(() => db.query('SELECT 2'));
+    });
+
+    expect(connections).toHaveLength(2);
+    expect(sqlOf(connections[1])).toEqual(['BEGIN', 'COMMIT']);
+    expect(sqlOf(db.adapter.pool)).toEqual(['SELECT 1', 'SELECT 2']);
+    await expect(db.transaction(() => {}, { propagation: 'MANDATORY' })).rejects.toThrow(/Modo de propagação não suportado/);
+  });
+});
+
+describe('Transações: callbacks do ciclo de vida', () => {
+  const client = (log) => {
+    const db = new EasyDBGClient({ client: 'postgres', connection: {}, log });
+    const connection = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }), release: jest.fn() };
+    db.pool = {};
+    db.adapter.acquire = jest.fn().mockResolvedValue(connection);
+    return { db, connection };
+  };
+
+  test('should run beforeCommit inside the transaction and afterCommit after releasing it', async () => {
+    const { db, connection } = client();
+    const calls = [];
+    connection.query.mockImplementation(async (sql) => {
+      calls.push(sql);
+      return { rows: [], rowCount: 0 };
+    });
+    connection.release.mockImplementation(() => calls.push('release'));
+
+    const result = await db.transaction(async (trx) => {
+      trx.afterCommit(() => calls.push('afterCommit'));
+      trx.beforeCommit(inner => inner.query('INSERT INTO outbox DEFAULT VALUES'));
+      trx.afterRollback(() => calls.push('afterRollback'));
+      return 'ok';
+    });
+
+    expect(result).toBe('ok');
+    expect(calls).toEqual(['BEGIN', 'INSERT INTO outbox DEFAULT VALUES', 'COMMIT', 'release', 'afterCommit']);
+  });
+
+  test('should roll back when beforeCommit fails and pass the error to afterRollback', async () => {
+    const { db, connection } = client();
+    const failure = new Error('invariante violada');
+    const afterCommit = jest.fn();
+    const afterRollback = jest.fn();
+
+    await expect(db.transaction(async (trx) => {
+      trx.beforeCommit(() => Promise.reject(failure));
+      trx.afterCommit(afterCommit);
+      trx.afterRollback(afterRollback);
+    })).rejects.toBe(failure);
+
+    expect(connection.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'ROLLBACK']);
+    expect(afterCommit).not.toHaveBeenCalled();
+    expect(afterRollback).toHaveBeenCalledWith(failure);
+  });
+
+  test('should discard the callbacks of a rolled back savepoint', async () => {
+    const { db } = client();
+    const published = [];
+
+    await db.transaction(async (trx) => {
+      await trx.transaction(async () => {
+        trx.afterCommit(() => published.push('kept'));
+        await trx.transaction(async () => trx.afterCommit(() => published.push('released')));
+      });
+      await trx.transaction(async () => {
+        trx.afterCommit(() => published.push('discarded'));
+        throw new Error('falhou');
+      }).catch(() => {});
+    });
+
+    expect(published).toEqual(['kept', 'released']);
+  });
+
+  test('should log a failing afterCommit without failing the transaction', async () => {
+    const log = { error: jest.fn() };
+    const { db } = client(log);
+    const next = jest.fn();
+
+    await expect(db.transaction(async (trx) => {
+      trx.afterCommit(() => { throw new Error('fila indisponível'); });
+      trx.afterCommit(next);
+    })).resolves.toBeUndefined();
+
+    expect(log.error).toHaveBeenCalledWith('Falha em um callback afterCommit da transação.', expect.objectContaining({ transactionId: 1 }));
+    expect(next).toHaveBeenCalled();
+    await expect(db.transaction(trx => trx.afterCommit('publish'))).rejects.toThrow('O callback de afterCommit() deve ser uma função.');
+  });
+});
+
+describe('Transações: controle manual e two-phase commit', () => {
+  const TransactionError = require('../lib/errors/TransactionError');
+
+  const client = (clientType, result) => {
+    const db = new EasyDBGClient({ client: clientType, connection: {} });
+    const connection = { ...fakeConnections[clientType](result), release: jest.fn() };
+    db.pool = {};
+    db.adapter.pool = fakeConnections[clientType](result);
+    db.adapter.acquire = jest.fn().mockResolvedValue(connection);
+    return { db, connection };
+  };
+
+  test('should hold a transaction open until it is committed, then refuse to reuse it', async () => {
+    const { db, connection } = client('postgres', { rows: [], rowCount: 1 });
+    const afterCommit = jest.fn();
+
+    const trx = await db.beginTransaction({ isolationLevel: 'serializable' });
+    await trx.table('events').insert({ type: 'created' });
+    trx.afterCommit(afterCommit);
+    expect(trx.isCompleted()).toBe(false);
+    await trx.commit();
+
+    expect(trx.isCompleted()).toBe(true);
+    expect(afterCommit).toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalledTimes(1);
+    expect(connection.query.mock.calls.map(call => call[0])).toEqual([
+      'BEGIN ISOLATION LEVEL SERIALIZABLE', 'INSERT INTO "events" ("type") VALUES ($1)', 'COMMIT',
+    ]);
+    await expect(trx.query('SELECT 1')).rejects.toThrow(TransactionError);
+    await expect(trx.rollback()).rejects.toThrow(`Não é possível executar rollback(): a transação ${trx.id} já foi concluída.`);
+    expect(() => trx.afterRollback(() => {})).toThrow(TransactionError);
+  });
+
+  test('should skip the commit of a transaction the callback already completed', async () => {
+    const { db, connection } = client('postgres', { rows: [], rowCount: 0 });
+
+    await expect(db.transaction(trx => trx.rollback())).resolves.toBeUndefined();
+    await expect(db.transaction(async (trx) => {
+      await trx.commit();
+      throw new Error('falhou');
+    })).rejects.toThrow('falhou');
+
+    expect(connection.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'ROLLBACK', 'BEGIN', 'COMMIT']);
+  });
+
+  test('should prepare a transaction and commit it in the second phase', async () => {
+    const { db, connection } = client('postgres', { rows: [], rowCount: 1 });
+
+    const trx = await db.beginTransaction({ xid: 'checkout-42' });
+    await trx.query('UPDATE stock SET reserved = true');
+    await trx.prepare();
+    await expect(trx.query('SELECT 1')).rejects.toThrow('foi preparada e só pode ser confirmada ou desfeita');
+    await trx.commit();
+    await db.rollbackPrepared('checkout-43');
+
+    expect(connection.query.mock.calls.map(call => call[0])).toEqual([
+      'BEGIN', 'UPDATE stock SET reserved = true', 'PREPARE TRANSACTION \'checkout-42\'', 'COMMIT PREPARED \'checkout-42\'',
+    ]);
+    expect(db.adapter.pool.query).toHaveBeenCalledWith('ROLLBACK PREPARED \'checkout-43\'', []);
+  });
+
+  test('should end a MySQL XA transaction before rolling it back', async () => {
+    const { db, connection } = client('mysql', { affectedRows: 1 });
+
+    const trx = await db.beginTransaction({ xid: 'checkout-42' });
+    await trx.rollback();
+    await expect(trx.prepare()).rejects.toThrow(TransactionError);
+    await expect((await db.beginTransaction()).prepare()).rejects.toThrow('Somente uma transação iniciada com a opção xid pode ser preparada.');
+
+    expect(connection.query.mock.calls.slice(0, 3).map(call => call[0])).toEqual([
+      'XA START \'checkout-42\'', 'XA END \'checkout-42\'', 'XA ROLLBACK \'checkout-42\'',
+    ]);
+  });
+
+  describe('quando o ROLLBACK de limpeza também falha', () => {
+    // Falha os statements listados, com um erro por statement.
+    const failing = (clientType, statements) => {
+      const { db, connection } = client(clientType, clientType === 'mysql' ? { affectedRows: 0 } : { rows: [], rowCount: 0 });
+      const errors = {};
+      statements.forEach((sql) => { errors[sql] = Object.assign(new Error(`falhou: ${sql}`), { code: 'XX000' }); });
+      const succeed = connection.query.getMockImplementation();
+      connection.query.mockImplementation((sql, ...args) => (errors[sql] ? Promise.reject(errors[sql]) : succeed(sql, ...args)));
+      db.log = { warn: jest.fn(), error: jest.fn() };
+      return { db, connection, errors };
+    };
+    const sent = connection => connection.query.mock.calls.map(call => call[0]);
+
+    test('should rethrow the BEGIN error and log the ROLLBACK one', async () => {
+      const { db, connection, errors } = failing('postgres', ['BEGIN', 'ROLLBACK']);
+
+      await expect(db.beginTransaction()).rejects.toMatchObject({ originalError: errors.BEGIN });
+      expect(db.log.error).toHaveBeenCalledWith('Não foi possível desfazer a transação após um erro.', expect.objectContaining({
+        error: expect.objectContaining({ originalError: errors.ROLLBACK }),
+      }));
+      expect(connection.release).toHaveBeenCalledTimes(1);
+    });
+
+    test('should rethrow the COMMIT error, and the callback error from db.transaction()', async () => {
+      const { db, connection, errors } = failing('postgres', ['COMMIT', 'ROLLBACK']);
+
+      const trx = await db.beginTransaction();
+      await expect(trx.commit()).rejects.toMatchObject({ originalError: errors.COMMIT });
+      expect(trx.isCompleted()).toBe(true);
+
+      const failure = new Error('falhou no callback');
+      await expect(db.transaction(() => Promise.reject(failure))).rejects.toBe(failure);
+      expect(sent(connection)).toEqual(['BEGIN', 'COMMIT', 'ROLLBACK', 'BEGIN', 'ROLLBACK']);
+      expect(db.log.error).toHaveBeenCalledTimes(2);
+    });
+
+    test('should rethrow the XA PREPARE error without repeating the XA END', async () => {
+      const { db, connection, errors } = failing('mysql', ['XA PREPARE \'checkout-42\'', 'XA ROLLBACK \'checkout-42\'']);
+
+      const trx = await db.beginTransaction({ xid: 'checkout-42' });
+      await expect(trx.prepare()).rejects.toMatchObject({ originalError: errors['XA PREPARE \'checkout-42\''] });
+      expect(db.log.error).toHaveBeenCalledTimes(1);
+
+      const other = await db.beginTransaction({ xid: 'checkout-42' });
+      await expect(other.commit()).rejects.toMatchObject({ originalError: errors['XA PREPARE \'checkout-42\''] });
+
+      expect(sent(connection)).toEqual([
+        'XA START \'checkout-42\'', 'XA END \'checkout-42\'', 'XA PREPARE \'checkout-42\'', 'XA ROLLBACK \'checkout-42\'',
+        'XA START \'checkout-42\'', 'XA END \'checkout-42\'', 'XA PREPARE \'checkout-42\'', 'XA ROLLBACK \'checkout-42\'',
+      ]);
+    });
+  });
+});
+
+describe('EasyDBGClient: versão do servidor', () => {
+  const connectWith = (config, connection) => {
+    const db = new EasyDBGClient({ client: 'mariadb', connection: {}, ...config });
+    db.adapter.connect = jest.fn().mockResolvedValue({});
+    db.adapter.acquire = jest.fn().mockResolvedValue(connection);
+    db.adapter.release = jest.fn();
+    return db;
+  };
+
+  test('should detect the server version on connect', async () => {
+    const connection = fakeConnections.mysql([{ version: '10.11.6-MariaDB' }]);
+    const db = connectWith({}, connection);
+
+    await db.connect();
+
+    expect(connection.query).toHaveBeenCalledWith('SELECT VERSION() AS version', []);
+    expect(db.serverVersion).toBe('10.11.6');
+    expect(db.grammar.supportsInsertReturning()).toBe(true);
+    expect(db.adapter.release).toHaveBeenCalledWith(connection);
+  });
+
+  test('should trust the configured version without querying the server', async () => {
+    const connection = fakeConnections.mysql([]);
+    const db = connectWith({ version: '10.4' }, connection);
+
+    await db.connect();
+
+    expect(connection.query).not.toHaveBeenCalled();
+    expect(db.serverVersion).toBe('10.4');
+    expect(db.grammar.supportsInsertReturning()).toBe(false);
+  });
+});
+
+describe('Adaptadores de driver: pool', () => {
+  const PostgresAdapter = require('../lib/adapters/postgres-adapter');
+  const MySqlAdapter = require('../lib/adapters/mysql-adapter');
+
+  const pool = { min: 2, max: 8, idleTimeoutMillis: 5000, acquireTimeoutMillis: 2000, maxLifetimeMillis: 1800500 };
+
+  test('should map the pool config to the pg and mysql2 options', async () => {
+    const postgres = new PostgresAdapter({ connection: { host: 'localhost' }, pool });
+    await postgres.connect();
+    expect(postgres.pool.options).toMatchObject({
+      host: 'localhost', min: 2, max: 8, idleTimeoutMillis: 5000, connectionTimeoutMillis: 2000, maxLifetimeSeconds: 1801,
+    });
+    await postgres.close();
+
+    const mysql = new MySqlAdapter({ connection: { host: 'localhost' }, pool });
+    await mysql.connect();
+    expect(mysql.pool.pool.config).toMatchObject({ connectionLimit: 8, maxIdle: 2, idleTimeout: 5000 });
+    expect(mysql.stats()).toEqual({ used: 0, idle: 0, pending: 0 });
+    await mysql.close();
+  });
+
+  test('should replace a connection that fails the validation query', async () => {
+    const broken = { query: jest.fn().mockRejectedValue(new Error('Connection terminated')), release: jest.fn() };
+    const healthy = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }), release: jest.fn() };
+    const adapter = new PostgresAdapter({ connection: {}, pool: { validationQuery: 'SELECT 1' } });
+    adapter.pool = { connect: jest.fn().mockResolvedValueOnce(broken).mockResolvedValueOnce(healthy) };
+
+    await expect(adapter.acquire()).resolves.toBe(healthy);
+    expect(broken.release).toHaveBeenCalledWith(true);
+    expect(healthy.query).toHaveBeenCalledWith('SELECT 1', []);
+  });
+
+  test('should report the pool counters through the client', async () => {
+    const db = new EasyDBGClient({ client: 'sqlite', connection: { filename: ':memory:' } });
+    expect(db.poolStats()).toEqual({ used: 0, idle: 0, pending: 0 });
+    await db.connect();
+
+    let inside;
+    const first = db.transaction(async () => { inside = db.poolStats(); });
+    const second = db.transaction(async () => {});
+    await Promise.all([first, second]);
+
+    expect(inside).toEqual({ used: 1, idle: 0, pending: 1 });
+    expect(db.poolStats()).toEqual({ used: 0, idle: 1, pending: 0 });
+    await db.disconnect();
+  });
+});
+
+describe('EasyDBGClient: réplicas de leitura', () => {
+  let db;
+
+  // Cada banco em memória é independente, então a origem de uma leitura aparece no resultado.
+  beforeEach(async () => {
+    db = new EasyDBGClient({
+      client: 'sqlite',
+      connection: { write: 'sqlite::memory:', read: ['sqlite::memory:', { filename: ':memory:' }] },
+    });
+    await db.connect();
+    const origins = ['primary', 'replica-1', 'replica-2'];
+    await Promise.all([db.adapter, ...db.readAdapters].map(async (adapter, i) => {
+      await adapter.execute(null, 'create table origin (name text)', []);
+      await adapter.execute(null, 'insert into origin values (?)', [origins[i]]);
+    }));
+  });
+
+  afterEach(async () => {
+    await db.disconnect();
+  });
+
+  const origin = query => query.first().then(row => row.name);
+
+  test('should send reads to the replicas in turn and everything else to the primary', async () => {
+    expect(await origin(db.table('origin'))).toBe('replica-1');
+    expect(await origin(db.table('origin'))).toBe('replica-2');
+    expect(await db.table('origin').count()).toBe(1);
+    expect(await origin(db.table('origin').usePrimary())).toBe('primary');
+    expect(await db.query('select name from origin')).toEqual([{ name: 'primary' }]);
+
+    await db.table('origin').insert({ name: 'written' });
+    expect(await db.table('origin').usePrimary().count()).toBe(2);
+    expect(await db.transaction(trx => trx.table('origin').count())).toBe(2);
+    expect(await db.table('origin').count()).toBe(1);
+  });
+
+  test('should keep reads on the primary after a write in the same scope', async () => {
+    await db.scope(async () => {
+      expect(await origin(db.table('origin'))).toBe('replica-1');
+      await db.table('origin').where('name', 'primary').update({ name: 'updated' });
+      expect(await origin(db.table('origin'))).toBe('updated');
+    });
+
+    expect(await origin(db.table('origin'))).toBe('replica-2');
+  });
+
+  test('should report the pool counters of each replica', () => {
+    expect(db.poolStats()).toEqual({
+      used: 0, idle: 1, pending: 0, replicas: [{ used: 0, idle: 1, pending: 0 }, { used: 0, idle: 1, pending: 0 }],
+    });
+  });
+});
+
+describe('EasyDBGClient: eventos', () => {
+  const record = (db, names) => {
+    const events = [];
+    names.forEach(name => db.on(name, payload => events.push([name, payload])));
+    return events;
+  };
+
+  test('should emit the lifecycle of queries and transactions', async () => {
+    const db = new EasyDBGClient({ client: 'sqlite', connection: { filename: ':memory:' }, version: '3.45.0' });
+    const events = record(db, ['connect', 'query', 'query-response', 'transaction:begin', 'transaction:commit', 'disconnect']);
+
+    await db.connect();
+    await db.transaction(trx => trx.query('create table users (id integer)'));
+    await db.table('users').insert([{ id: 1 }, { id: 2 }]);
+    await db.disconnect();
+
+    expect(events.map(([name, payload]) => [name, payload.queryId, payload.transactionId])).toEqual([
+      ['connect', undefined, undefined],
+      ['query', 1, 1],
+      ['query-response', 1, 1],
+      ['transaction:begin', undefined, 1],
+      ['query', 2, 1],
+      ['query-response', 2, 1],
+      ['query', 3, 1],
+      ['query-response', 3, 1],
+      ['transaction:commit', undefined, 1],
+      ['query', 4, null],
+      ['query-response', 4, null],
+      ['disconnect', undefined, undefined],
+    ]);
+    expect(events[0][1]).toEqual({ client: 'sqlite', serverVersion: '3.45.0' });
+    expect(events[10][1]).toMatchObject({ sql: 'INSERT INTO "users" ("id") VALUES (?), (?)', bindings: [1, 2], rowCount: 2 });
+    expect(events[10][1].duration).toBeGreaterThanOrEqual(0);
+    expect(events[8][1].duration).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should emit query-error and transaction:rollback when a query fails', async () => {
+    const db = new EasyDBGClient({ client: 'sqlite', connection: { filename: ':memory:' } });
+    await db.connect();
+    const events = record(db, ['query-error', 'transaction:rollback']);
+
+    await expect(db.transaction(trx => trx.query('select * from missing'))).rejects.toThrow(QueryError);
+    await db.disconnect();
+
+    expect(events.map(([name]) => name)).toEqual(['query-error', 'transaction:rollback']);
+    expect(events[0][1]).toMatchObject({ sql: 'select * from missing', transactionId: 1 });
+    expect(events[0][1].error).toBeInstanceOf(QueryError);
+  });
+});
+
+describe('EasyDBGClient: logger', () => {
+  const capture = () => {
+    const entries = [];
+    const log = {};
+    ['debug', 'info', 'warn', 'error'].forEach((level) => {
+      log[level] = (message, context) => entries.push([level, message, context]);
+    });
+    return { log, entries };
+  };
+
+  test('should log debug queries with sensitive bindings redacted', async () => {
+    const { log, entries } = capture();
+    const db = new EasyDBGClient({ client: 'sqlite', connection: { filename: ':memory:' }, version: '3.45.0', debug: true, log });
+    await db.connect();
+    await db.query('create table users (name text, password text)');
+    await db.table('users').insert({ name: 'ana', password: 's3cret' });
+    await db.table('users').where('name', 'ana').orWhere('password', 's3cret').get();
+    await db.disconnect();
+
+    const bindings = entries.filter(([, message]) => message === 'easydbg:query').map(([, , context]) => context.bindings);
+    expect(bindings).toEqual([[], ['ana', '[REDACTED]'], ['ana', '[REDACTED]']]);
+    expect(entries[0]).toEqual(['debug', 'easydbg:query', expect.objectContaining({ queryId: 1, transactionId: null })]);
+  });
+
+  test('should hide every binding with redactBindings: true', async () => {
+    const { log, entries } = capture();
+    const db = new EasyDBGClient({ client: 'sqlite', connection: { filename: ':memory:' }, version: '3.45.0', debug: true, log, redactBindings: true });
+    await db.query('select ? as id', [1]);
+    await db.disconnect();
+
+    expect(entries[0][2].bindings).toEqual(['[REDACTED]']);
+  });
+
+  test('should redact the bindings of errors it logs', async () => {
+    const { log, entries } = capture();
+    const db = new EasyDBGClient({ client: 'postgres', connection: {}, retry: { maxAttempts: 2, initialDelayMillis: 1, jitter: false }, log });
+    db.pool = {};
+    const deadlock = Object.assign(new Error('deadlock detected'), { code: '40P01' });
+    db.adapter.execute = jest.fn()
+      .mockRejectedValueOnce(deadlock)
+      .mockResolvedValue({ rows: [], rowCount: 0, insertId: null });
+
+    await db.query('SELECT * FROM users WHERE email = ? AND password = ?', ['ana@example.com', 's3cret']);
+
+    const [[level, , context]] = entries;
+    expect(level).toBe('warn');
+    expect(context.error).toBeInstanceOf(QueryError);
+    expect(context.error.sql).toBe('SELECT * FROM users WHERE email = $1 AND password = $2');
+    expect(context.error.bindings).toEqual(['ana@example.com', '[REDACTED]']);
+    expect(context.error.originalError).toBe(deadlock);
+  });
+
+  test('should route grammar warnings to the logger', () => {
+    const { log, entries } = capture();
+    const db = new EasyDBGClient({ client: 'mssql', connection: { host: 'localhost' }, log });
+    db.table('users').offset(10).toSql();
+
+    expect(entries).toEqual([['warn', expect.stringMatching(/ORDER BY/), undefined]]);
+  });
+});
+
+describe('Consultas: tempo limite e cancelamento', () => {
+  const PostgresAdapter = require('../lib/adapters/postgres-adapter');
+  const MySqlAdapter = require('../lib/adapters/mysql-adapter');
+  const MssqlAdapter = require('../lib/adapters/mssql-adapter');
+
+  // Uma consulta que só termina quando `finish` for chamado.
+  const pending = () => {
+    let finish;
+    const promise = new Promise((resolve, reject) => { finish = reject; });
+    return { promise, finish };
+  };
+
+  test('should use statement_timeout in pg and cancel the backend on abort', async () => {
+    const timeoutError = Object.assign(new Error('canceling statement due to statement timeout'), { code: '57014' });
+    const connection = {
+      processID: 4242,
+      query: jest.fn(sql => (sql === 'SELECT pg_sleep(10)' ? Promise.reject(timeoutError) : Promise.resolve({ rows: [] }))),
+    };
+    const adapter = new PostgresAdapter({ connection: {} });
+    adapter.pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    const error = await adapter.execute(connection, 'SELECT pg_sleep(10)', [], { timeout: 50, cancel: true }).catch(e => e);
+    expect(error).toBeInstanceOf(QueryTimeoutError);
+    expect(error).toMatchObject({ reason: 'timeout', timeout: 50, originalError: timeoutError });
+    expect(connection.query.mock.calls.map(call => call[0])).toEqual([
+      'SET statement_timeout = 50', 'SELECT pg_sleep(10)', 'SET statement_timeout TO DEFAULT',
+    ]);
+
+    const query = pending();
+    connection.query = jest.fn(() => query.promise);
+    const controller = new AbortController();
+    const running = adapter.execute(connection, 'SELECT pg_sleep(10)', [], { signal: controller.signal });
+    controller.abort();
+    await new Promise(setImmediate);
+    query.finish(Object.assign(new Error('canceling statement due to user request'), { code: '57014' }));
+
+    await expect(running).rejects.toMatchObject({ name: 'QueryTimeoutError', reason: 'abort' });
+    expect(adapter.pool.query).toHaveBeenCalledWith('SELECT pg_cancel_backend($1)', [4242]);
+  });
+
+  test('should pass the timeout to mysql2 and kill the query when cancelling', async () => {
+    const timeoutError = Object.assign(new Error('Query inactivity timeout'), { code: 'PROTOCOL_SEQUENCE_TIMEOUT' });
+    const connection = { threadId: 17, query: jest.fn().mockRejectedValue(timeoutError) };
+    const adapter = new MySqlAdapter({ connection: {} });
+    adapter.pool = { query: jest.fn().mockResolvedValue([{}]) };
+
+    await expect(adapter.execute(connection, 'SELECT SLEEP(10)', [], { timeout: 50, cancel: true }))
+      .rejects.toMatchObject({ name: 'QueryTimeoutError', reason: 'timeout' });
+    expect(connection.query).toHaveBeenCalledWith({ sql: 'SELECT SLEEP(10)', timeout: 50 }, []);
+    expect(adapter.pool.query).toHaveBeenCalledWith('KILL QUERY 17');
+  });
+
+  test('should stop waiting on MSSQL without cancel, and cancel the request with it', async () => {
+    const query = pending();
+    const request = { input: jest.fn(), query: jest.fn(() => query.promise), cancel: jest.fn(() => query.finish(new Error('Canceled.'))) };
+    const adapter = new MssqlAdapter({ connection: {} });
+    adapter.pool = { request: () => request };
+
+    await expect(adapter.execute(null, 'WAITFOR DELAY \'00:00:10\'', [], { timeout: 20 })).rejects.toThrow('20ms');
+    expect(request.cancel).not.toHaveBeenCalled();
+
+    await expect(adapter.execute(null, 'WAITFOR DELAY \'00:00:10\'', [], { timeout: 20, cancel: true })).rejects.toBeInstanceOf(QueryTimeoutError);
+    expect(request.cancel).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject an already aborted signal with the failing SQL', async () => {
+    const db = new EasyDBGClient({ client: 'sqlite', connection: { filename: ':memory:' } });
+    const errors = [];
+    db.on('query-error', ({ error }) => errors.push(error));
+
+    const error = await db.query('select ? as id', [1], { signal: AbortSignal.abort() }).catch(e => e);
+    await db.disconnect();
+
+    expect(error).toBeInstanceOf(QueryError);
+    expect(error).toMatchObject({ name: 'QueryTimeoutError', reason: 'abort', sql: 'select ? as id', bindings: [1] });
+    expect(errors).toEqual([error]);
+  });
+});
+
+describe('EasyDBGClient: novas tentativas', () => {
+  const retryPolicy = require('../lib/utils/retry-policy');
+  const driverError = (code, extra = {}) => Object.assign(new Error(`erro ${code}`), { code }, extra);
+
+  const client = () => {
+    const db = new EasyDBGClient({
+      client: 'postgres', connection: {}, retry: { maxAttempts: 3, initialDelayMillis: 1, jitter: false },
+    });
+    db.pool = {};
+    db.log = { warn: jest.fn() };
+    return db;
+  };
+
+  test.each([
+    [driverError('40P01'), 'deadlock'],
+    [driverError('ER_LOCK_DEADLOCK', { errno: 1213 }), 'deadlock'],
+    [Object.assign(new Error('Transaction was deadlocked'), { code: 'EREQUEST', number: 1205 }), 'deadlock'],
+    [new Error('ORA-08177: can\'t serialize access for this transaction'), 'serialization'],
+    [new QueryError('Erro na consulta.', { originalError: driverError('ECONNRESET') }), 'connection'],
+    [driverError('57P01'), 'failover'],
+    [driverError('23505'), null],
+  ])('should classify %s', (error, category) => {
+    expect(retryPolicy.classify(error)).toBe(category);
+  });
+
+  test('should retry reads, and writes only when marked idempotent', async () => {
+    const db = client();
+    db.adapter.execute = jest.fn()
+      .mockRejectedValueOnce(driverError('40P01'))
+      .mockResolvedValue({ rows: [{ id: 1 }], rowCount: 1, insertId: null });
+
+    await expect(db.query('SELECT * FROM users')).resolves.toEqual([{ id: 1 }]);
+    expect(db.adapter.execute).toHaveBeenCalledTimes(2);
+    expect(db.log.warn).toHaveBeenCalledWith('Erro transitório (deadlock); nova tentativa em 1ms.', expect.objectContaining({ attempt: 1 }));
+
+    db.adapter.execute.mockClear().mockRejectedValueOnce(driverError('40P01'));
+    await expect(db.query('INSERT INTO users (id) VALUES (?)', [1])).rejects.toThrow(QueryError);
+    expect(db.adapter.execute).toHaveBeenCalledTimes(1);
+
+    db.adapter.execute.mockClear().mockRejectedValueOnce(driverError('40P01'));
+    await db.query('UPDATE users SET active = ?', [true], { idempotent: true });
+    expect(db.adapter.execute).toHaveBeenCalledTimes(2);
+  });
+
+  test('should rerun the whole transaction, but not a commit with an unknown outcome', async () => {
+    const db = client();
+    const connection = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }), release: jest.fn() };
+    db.adapter.acquire = jest.fn().mockResolvedValue(connection);
+    connection.query.mockResolvedValueOnce({ rows: [] }).mockRejectedValueOnce(driverError('40001'));
+    const callback = jest.fn(trx => trx.query('UPDATE accounts SET balance = balance - 1'));
+
+    await db.transaction(callback);
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(connection.query.mock.calls.map(call => call[0])).toEqual([
+      'BEGIN', 'UPDATE accounts SET balance = balance - 1', 'ROLLBACK',
+      'BEGIN', 'UPDATE accounts SET balance = balance - 1', 'COMMIT',
+    ]);
+
+    callback.mockClear();
+    connection.query.mockImplementation(sql => (sql === 'COMMIT' ? Promise.reject(driverError('ECONNRESET')) : Promise.resolve({ rows: [] })));
+    await expect(db.transaction(callback)).rejects.toThrow(QueryError);
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('EasyDBGClient: erros de consulta', () => {
+  const errorClassifier = require('../lib/utils/error-classifier');
+  const { errors } = require('../lib');
+  const driverError = (message, fields) => Object.assign(new Error(message), fields);
+
+  test.each([
+    ['postgres', driverError('duplicate key value violates unique constraint "users_email_key"', {
+      code: '23505', table: 'users', constraint: 'users_email_key', detail: 'Key (email)=(ana@x.com) already exists.',
+    }), errors.UniqueViolationError, { table: 'users', column: 'email', constraint: 'users_email_key' }],
+    ['mysql', driverError('Duplicate entry \'ana@x.com\' for key \'users.users_email_unique\'', { code: 'ER_DUP_ENTRY' }),
+      errors.UniqueViolationError, { table: 'users', column: null, constraint: 'users_email_unique' }],
+    ['mariadb', driverError('Cannot add or update a child row: a foreign key constraint fails (`app`.`orders`, CONSTRAINT '
+      + '`orders_user_id_foreign` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`))', { code: 'ER_NO_REFERENCED_ROW_2' }),
+    errors.ForeignKeyViolationError, { table: 'orders', column: 'user_id', constraint: 'orders_user_id_foreign' }],
+    ['mssql', driverError('Cannot insert the value NULL into column \'email\', table \'app.dbo.users\'; column does not allow nulls.', {
+      number: 515,
+    }), errors.NotNullViolationError, { table: 'users', column: 'email', constraint: null }],
+    ['mssql', driverError('The INSERT statement conflicted with the CHECK constraint "ck_price". The conflict occurred in '
+      + 'database "app", table "dbo.products", column \'price\'.', { number: 547 }),
+    errors.CheckViolationError, { table: 'products', column: 'price', constraint: 'ck_price' }],
+    ['oracle', driverError('ORA-00001: unique constraint (HR.USERS_EMAIL_UK) violated', {}),
+      errors.UniqueViolationError, { table: null, column: null, constraint: 'USERS_EMAIL_UK' }],
+    ['oracle', driverError('ORA-00942: table or view does not exist', {}), errors.UndefinedTableError, {}],
+    ['postgres', driverError('deadlock detected', { code: '40P01' }), errors.DeadlockError, {}],
+    ['postgres', driverError('syntax error at or near "FORM"', { code: '42601' }), errors.QueryError, {}],
+  ])('should classify a %s error', (clientType, error, ErrorClass, parts) => {
+    expect(errorClassifier.classify(clientType, error)).toEqual({
+      ErrorClass, table: null, column: null, constraint: null, ...parts,
+    });
+  });
+
+  test('should raise the subclass with the parsed parts from the client', async () => {
+    const db = new EasyDBGClient({ client: 'postgres', connection: {} });
+    db.pool = {};
+    db.adapter.execute = jest.fn().mockRejectedValue(driverError('null value in column "email" violates not-null constraint', {
+      code: '23502', table: 'users', column: 'email',
+    }));
+
+    const error = await db.query('INSERT INTO users (name) VALUES (?)', ['Ana']).catch(e => e);
+    expect(error).toBeInstanceOf(errors.NotNullViolationError);
+    expect(error).toBeInstanceOf(QueryError);
+    expect(error).toMatchObject({ name: 'NotNullViolationError', table: 'users', column: 'email', bindings: ['Ana'] });
+    expect(error.message).toContain('email');
+  });
+});
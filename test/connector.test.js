@@ -55,7 +55,10 @@ const dbConfigs = {
 // --- Suíte de Testes ---
 
 // `describe.each` do Jest é perfeito para rodar o mesmo conjunto de testes para cada banco de dados.
-describe.each(enabledDbs)('EasyDBG Connector Tests for %s', (clientType) => {
+// Como ele falha com uma lista vazia, a suíte é marcada como "skip" quando nenhum banco está habilitado.
+const describeEachDb = enabledDbs.length > 0 ? describe.each(enabledDbs) : describe.skip.each(['none']);
+
+describeEachDb('EasyDBG Connector Tests for %s', (clientType) => {
   let db;
   const testTableName = 'test_users';
 
@@ -0,0 +1,753 @@
+// test/query-builder.test.js
+
+'use strict';
+
+const QueryBuilder = require('../lib/query/builder');
+const BaseGrammar = require('../lib/query/grammars/base-grammar');
+const MySqlGrammar = require('../lib/query/grammars/mysql-grammar');
+const PostgresGrammar = require('../lib/query/grammars/postgres-grammar');
+const MssqlGrammar = require('../lib/query/grammars/mssql-grammar');
+const OracleGrammar = require('../lib/query/grammars/oracle-grammar');
+const SqliteGrammar = require('../lib/query/grammars/sqlite-grammar');
+const MariaDbGrammar = require('../lib/query/grammars/mariadb-grammar');
+const CockroachDbGrammar = require('../lib/query/grammars/cockroachdb-grammar');
+const Raw = require('../lib/query/raw');
+const FunctionHelper = require('../lib/query/function-helper');
+
+// --- Helpers ---
+
+// Estes testes verificam apenas a compilação do SQL, então nenhum cliente real é necessário.
+const builder = (grammar = new BaseGrammar()) => new QueryBuilder(null, grammar).from('users');
+
+describe('QueryBuilder: composição booleana do WHERE', () => {
+  test('should join clauses with their own boolean', () => {
+    const { sql, bindings } = builder()
+      .where('a', '=', 1)
+      .orWhere('b', '=', 2)
+      .where('c', 3)
+      .toSql();
+
+    expect(sql).toBe('SELECT * FROM "users" WHERE "a" = ? OR "b" = ? AND "c" = ?');
+    expect(bindings).toEqual([1, 2, 3]);
+  });
+
+  test('should group nested closures in parentheses', () => {
+    const { sql, bindings } = builder()
+      .where('a', 1)
+      .orWhere(q => q.where('b', 2).where('c', 3))
+      .toSql();
+
+    expect(sql).toBe('SELECT * FROM "users" WHERE "a" = ? OR ("b" = ? AND "c" = ?)');
+    expect(bindings).toEqual([1, 2, 3]);
+  });
+
+  test('should keep binding order across deeply nested groups', () => {
+    const { sql, bindings } = builder()
+      .where(q => q.where('a', 1).orWhere(q2 => q2.where('b', 2).orWhere('c', 3)))
+      .where('d', '>', 4)
+      .toSql();
+
+    expect(sql).toBe('SELECT * FROM "users" WHERE ("a" = ? OR ("b" = ? OR "c" = ?)) AND "d" > ?');
+    expect(bindings).toEqual([1, 2, 3, 4]);
+  });
+
+  test('should negate simple clauses and groups', () => {
+    const { sql, bindings } = builder()
+      .whereNot('a', 1)
+      .orWhereNot(q => q.where('b', 2).orWhere('c', 3))
+      .toSql();
+
+    expect(sql).toBe('SELECT * FROM "users" WHERE NOT ("a" = ?) OR NOT ("b" = ? OR "c" = ?)');
+    expect(bindings).toEqual([1, 2, 3]);
+  });
+
+  test('should group object conditions when used with OR', () => {
+    const { sql, bindings } = builder()
+      .where({ a: 1 })
+      .orWhere({ b: 2, c: 3 })
+      .toSql();
+
+    expect(sql).toBe('SELECT * FROM "users" WHERE "a" = ? OR ("b" = ? AND "c" = ?)');
+    expect(bindings).toEqual([1, 2, 3]);
+  });
+
+  test('should ignore empty groups', () => {
+    const { sql } = builder().where(() => {}).where('a', 1).toSql();
+    expect(sql).toBe('SELECT * FROM "users" WHERE "a" = ?');
+  });
+
+  test.each([
+    ['mysql', new MySqlGrammar(), 'UPDATE `users` SET `name` = ? WHERE `a` = ? OR (`b` = ? AND `c` = ?)'],
+    ['postgres', new PostgresGrammar(), 'UPDATE "users" SET "name" = ? WHERE "a" = ? OR ("b" = ? AND "c" = ?)'],
+    ['mssql', new MssqlGrammar(), 'UPDATE [users] SET [name] = ? WHERE [a] = ? OR ([b] = ? AND [c] = ?)'],
+    ['oracle', new OracleGrammar(), 'UPDATE "users" SET "name" = ? WHERE "a" = ? OR ("b" = ? AND "c" = ?)'],
+  ])('should compile grouped wheres in UPDATE for %s', (_, grammar, expected) => {
+    const query = builder(grammar).where('a', 1).orWhere(q => q.where('b', 2).where('c', 3));
+    const { sql, bindings } = grammar.compileUpdate(query._statements, { name: 'x' });
+
+    expect(sql.trim()).toBe(expected);
+    expect(bindings).toEqual(['x', 1, 2, 3]);
+  });
+
+  test.each([
+    ['mysql', new MySqlGrammar(), 'DELETE FROM `users` WHERE NOT (`a` = ?) OR `b` = ?'],
+    ['postgres', new PostgresGrammar(), 'DELETE FROM "users" WHERE NOT ("a" = ?) OR "b" = ?'],
+    ['mssql', new MssqlGrammar(), 'DELETE FROM [users] WHERE NOT ([a] = ?) OR [b] = ?'],
+    ['oracle', new OracleGrammar(), 'DELETE FROM "users" WHERE NOT ("a" = ?) OR "b" = ?'],
+  ])('should compile negated wheres in DELETE for %s', (_, grammar, expected) => {
+    const query = builder(grammar).whereNot('a', 1).orWhere('b', 2);
+    const { sql, bindings } = grammar.compileDelete(query._statements);
+
+    expect(sql.trim()).toBe(expected);
+    expect(bindings).toEqual([1, 2]);
+  });
+});
+
+describe('QueryBuilder: predicados de conjunto e intervalo', () => {
+  test('should compile whereIn and whereNotIn with arrays', () => {
+    const { sql, bindings } = builder()
+      .whereIn('id', [1, 2, 3])
+      .orWhereNotIn('role', ['guest'])
+      .toSql();
+
+    expect(sql).toBe('SELECT * FROM "users" WHERE "id" IN (?, ?, ?) OR "role" NOT IN (?)');
+    expect(bindings).toEqual([1, 2, 3, 'guest']);
+  });
+
+  test('should compile empty lists as constant conditions', () => {
+    expect(builder().whereIn('id', []).toSql().sql).toBe('SELECT * FROM "users" WHERE 1 = 0');
+    expect(builder().whereNotIn('id', []).toSql().sql).toBe('SELECT * FROM "users" WHERE 1 = 1');
+  });
+
+  test('should compile whereIn with a subquery', () => {
+    const orders = new QueryBuilder(null, new BaseGrammar()).from('orders').select('user_id').where('total', '>', 100);
+    const { sql, bindings } = builder().where('active', true).whereIn('id', orders).toSql();
+
+    expect(sql).toBe('SELECT * FROM "users" WHERE "active" = ? AND "id" IN (SELECT "user_id" FROM "orders" WHERE "total" > ?)');
+    expect(bindings).toEqual([true, 100]);
+  });
+
+  test('should compile whereBetween, whereNull and whereExists', () => {
+    const { sql, bindings } = builder()
+      .whereBetween('age', [18, 65])
+      .whereNotNull('email')
+      .orWhereNull('deleted_at')
+      .whereNotExists(q => q.from('bans').where('reason', 'spam'))
+      .toSql();
+
+    expect(sql).toBe(
+      'SELECT * FROM "users" WHERE "age" BETWEEN ? AND ? AND "email" IS NOT NULL OR "deleted_at" IS NULL'
+      + ' AND NOT EXISTS (SELECT * FROM "bans" WHERE "reason" = ?)'
+    );
+    expect(bindings).toEqual([18, 65, 'spam']);
+  });
+
+  test('should reject invalid ranges', () => {
+    expect(() => builder().whereBetween('age', [18])).toThrow('whereBetween');
+  });
+
+  test('should use the dialect wrapper in set predicates', () => {
+    const { sql } = builder(new MssqlGrammar()).whereIn('id', [1]).whereNull('name').toSql();
+    expect(sql).toBe('SELECT * FROM [users] WHERE [id] IN (?) AND [name] IS NULL');
+  });
+
+  test('should split Oracle IN lists larger than 1000 items', () => {
+    const grammar = new OracleGrammar();
+    const ids = Array.from({ length: 2001 }, (_, i) => i);
+    const query = builder(grammar).whereIn('id', ids);
+    const bindings = [];
+    const sql = grammar.compileWheres(query._statements.wheres, bindings);
+
+    expect(sql.match(/"id" IN \(/g)).toHaveLength(3);
+    expect(sql.match(/\?/g)).toHaveLength(2001);
+    expect(sql).toMatch(/^WHERE \("id" IN \(.*\) OR "id" IN \(.*\) OR "id" IN \(\?\)\)$/);
+    expect(bindings).toEqual(ids);
+
+    const notIn = grammar.compileWheres(builder(grammar).whereNotIn('id', ids)._statements.wheres, []);
+    expect(notIn).toMatch(/^WHERE \("id" NOT IN \(.*\) AND "id" NOT IN \(.*\) AND "id" NOT IN \(\?\)\)$/);
+  });
+});
+
+describe('QueryBuilder: expressões Raw', () => {
+  const raw = (sql, bindings) => new Raw(sql, bindings);
+
+  test('should emit raw expressions verbatim and keep binding order by clause', () => {
+    const { sql, bindings } = builder()
+      .select('id', raw('? as source', ['api']))
+      .join('roles', 'role_id', '=', raw('coalesce(?, 0)', [7]))
+      .where('created_at', '<', raw('now() - ?', ['1 day']))
+      .where(raw('"score" > ? or "vip" = ?', [10, true]))
+      .groupBy(raw('date_trunc(?, "created_at")', ['day']))
+      .orderBy(raw('field("id", ?, ?)', [3, 1]), 'desc')
+      .toSql();
+
+    expect(sql).toBe(
+      'SELECT "id", ? as source FROM "users" INNER JOIN "roles" ON "role_id" = coalesce(?, 0)'
+      + ' WHERE "created_at" < now() - ? AND "score" > ? or "vip" = ? GROUP BY date_trunc(?, "created_at")'
+      + ' ORDER BY field("id", ?, ?) DESC'
+    );
+    expect(bindings).toEqual(['api', 7, '1 day', 10, true, 'day', 3, 1]);
+  });
+
+  test('should accept raw values in insert and update', () => {
+    const grammar = new BaseGrammar();
+    const insert = grammar.compileInsert(builder()._statements, { name: 'Ana', created_at: raw('now()'), code: raw('upper(?)', ['x']) });
+    expect(insert.sql).toBe('INSERT INTO "users" ("name", "created_at", "code") VALUES (?, now(), upper(?))');
+    expect(insert.bindings).toEqual(['Ana', 'x']);
+
+    const query = builder().where('id', 1);
+    const update = grammar.compileUpdate(query._statements, { visits: raw('"visits" + ?', [1]) });
+    expect(update.sql).toBe('UPDATE "users" SET "visits" = "visits" + ? WHERE "id" = ?');
+    expect(update.bindings).toEqual([1, 1]);
+  });
+
+  test('should replace select bindings with the aggregate column bindings', async () => {
+    const query = builder().select(raw('?', ['ignored']));
+    const client = { query: jest.fn().mockResolvedValue([{ aggregate: '3' }]) };
+    query.client = client;
+
+    await expect(query.count(raw('distinct coalesce("a", ?)', [0]))).resolves.toBe(3);
+    expect(client.query).toHaveBeenCalledWith('SELECT COUNT(distinct coalesce("a", ?)) AS aggregate FROM "users"', [0], { replica: true });
+  });
+
+  test.each([
+    ['postgres', new PostgresGrammar(), 'now()', 'CAST("age" AS INTEGER)'],
+    ['mysql', new MySqlGrammar(), 'CURRENT_TIMESTAMP', 'CAST(`age` AS SIGNED)'],
+    ['mssql', new MssqlGrammar(), 'GETDATE()', 'CAST([age] AS INTEGER)'],
+    ['oracle', new OracleGrammar(), 'CURRENT_TIMESTAMP', 'CAST("age" AS NUMBER(10))'],
+  ])('should build dialect-aware fn helpers for %s', (_, grammar, now, cast) => {
+    const fn = new FunctionHelper(grammar);
+
+    expect(fn.now()).toBeInstanceOf(Raw);
+    expect(fn.now().sql).toBe(now);
+    expect(fn.cast('age', 'integer').sql).toBe(cast);
+    expect(fn.cast('age', 'numeric(5, 2)').sql).toMatch(/AS numeric\(5, 2\)\)$/);
+  });
+
+  test('should compose fn helpers with bindings', () => {
+    const fn = new FunctionHelper(new BaseGrammar());
+    const expression = fn.coalesce(fn.lower('nickname'), 'name', 'anonymous'.length);
+
+    expect(expression.sql).toBe('COALESCE(LOWER("nickname"), "name", ?)');
+    expect(expression.bindings).toEqual([9]);
+  });
+});
+
+describe('Gramáticas: proteção de identificadores', () => {
+  test.each([
+    ['base', new BaseGrammar(), '"users"."id"', '"name" AS "n"', '"u"."name" AS "user_name"', '"users".*'],
+    ['mysql', new MySqlGrammar(), '`users`.`id`', '`name` AS `n`', '`u`.`name` AS `user_name`', '`users`.*'],
+    ['mssql', new MssqlGrammar(), '[users].[id]', '[name] AS [n]', '[u].[name] AS [user_name]', '[users].*'],
+  ])('should split qualified names and aliases for %s', (_, grammar, qualified, aliased, both, star) => {
+    expect(grammar.wrap('users.id')).toBe(qualified);
+    expect(grammar.wrap('name as n')).toBe(aliased);
+    expect(grammar.wrap('u.name AS user_name')).toBe(both);
+    expect(grammar.wrap('users.*')).toBe(star);
+  });
+
+  test('should not duplicate existing quotes', () => {
+    expect(new BaseGrammar().wrap('"users"."id"')).toBe('"users"."id"');
+    expect(new MssqlGrammar().wrap('[users].[id]')).toBe('[users].[id]');
+  });
+
+  test('should support table aliases in from() and join()', () => {
+    const { sql } = new QueryBuilder(null, new BaseGrammar())
+      .from('users as u')
+      .select('u.id', 'p.bio as biography')
+      .leftJoin('profiles as p', 'p.user_id', '=', 'u.id')
+      .where('u.active', true)
+      .toSql();
+
+    expect(sql).toBe(
+      'SELECT "u"."id", "p"."bio" AS "biography" FROM "users" AS "u"'
+      + ' LEFT JOIN "profiles" AS "p" ON "p"."user_id" = "u"."id" WHERE "u"."active" = ?'
+    );
+  });
+
+  test('should omit AS for Oracle table aliases', () => {
+    const grammar = new OracleGrammar();
+    expect(grammar.wrapTable('users as u')).toBe('"users" "u"');
+    expect(grammar.compileJoins([{ type: 'inner', table: 'roles r', first: 'r.id', operator: '=', second: 'u.role_id' }], []))
+      .toBe('INNER JOIN "roles r" ON "r"."id" = "u"."role_id"');
+    expect(grammar.compileJoins([{ type: 'inner', table: 'roles as r', first: 'r.id', operator: '=', second: 'u.role_id' }], []))
+      .toBe('INNER JOIN "roles" "r" ON "r"."id" = "u"."role_id"');
+  });
+
+  test('should drop column aliases inside aggregates', () => {
+    const query = builder();
+    query._statements.aggregate = { func: 'max', column: 'batch as last_batch' };
+    expect(query.toSql().sql).toBe('SELECT MAX("batch") AS aggregate FROM "users"');
+  });
+});
+
+describe('Gramáticas: contrato de compilação', () => {
+  // Uma consulta com todas as cláusulas e bindings em cada uma delas.
+  const report = (grammar) => new QueryBuilder(null, grammar)
+    .from('orders as o')
+    .select('u.name', new Raw('sum(o.total) as total'))
+    .join('users as u', 'u.id', '=', 'o.user_id')
+    .where('o.status', 'paid')
+    .groupBy('u.name')
+    .having(new Raw('sum(o.total)'), '>', 100)
+    .orderBy('u.name')
+    .limit(10)
+    .offset(20);
+
+  test.each([
+    ['postgres', new PostgresGrammar(),
+      'SELECT "u"."name", sum(o.total) as total FROM "orders" AS "o" INNER JOIN "users" AS "u" ON "u"."id" = "o"."user_id"'
+      + ' WHERE "o"."status" = ? GROUP BY "u"."name" HAVING sum(o.total) > ? ORDER BY "u"."name" ASC LIMIT 10 OFFSET 20'],
+    ['mysql', new MySqlGrammar(),
+      'SELECT `u`.`name`, sum(o.total) as total FROM `orders` AS `o` INNER JOIN `users` AS `u` ON `u`.`id` = `o`.`user_id`'
+      + ' WHERE `o`.`status` = ? GROUP BY `u`.`name` HAVING sum(o.total) > ? ORDER BY `u`.`name` ASC LIMIT 10 OFFSET 20'],
+    ['mssql', new MssqlGrammar(),
+      'SELECT [u].[name], sum(o.total) as total FROM [orders] AS [o] INNER JOIN [users] AS [u] ON [u].[id] = [o].[user_id]'
+      + ' WHERE [o].[status] = ? GROUP BY [u].[name] HAVING sum(o.total) > ? ORDER BY [u].[name] ASC'
+      + ' OFFSET 20 ROWS FETCH NEXT 10 ROWS ONLY'],
+    ['oracle', new OracleGrammar(),
+      'SELECT "u"."name", sum(o.total) as total FROM "orders" "o" INNER JOIN "users" "u" ON "u"."id" = "o"."user_id"'
+      + ' WHERE "o"."status" = ? GROUP BY "u"."name" HAVING sum(o.total) > ? ORDER BY "u"."name" ASC'
+      + ' OFFSET 20 ROWS FETCH NEXT 10 ROWS ONLY'],
+    ['sqlite', new SqliteGrammar(),
+      'SELECT "u"."name", sum(o.total) as total FROM "orders" AS "o" INNER JOIN "users" AS "u" ON "u"."id" = "o"."user_id"'
+      + ' WHERE "o"."status" = ? GROUP BY "u"."name" HAVING sum(o.total) > ? ORDER BY "u"."name" ASC LIMIT 10 OFFSET 20'],
+  ])('should compile joins, group by, having and pagination for %s', (_, grammar, expected) => {
+    const { sql, bindings } = report(grammar).toSql();
+
+    expect(sql).toBe(expected);
+    expect(bindings).toEqual(['paid', 100]);
+  });
+
+  test('should use TOP for a plain MSSQL limit', () => {
+    const { sql } = builder(new MssqlGrammar()).where('a', 1).limit(5).toSql();
+    expect(sql).toBe('SELECT TOP 5 * FROM [users] WHERE [a] = ?');
+  });
+
+  test('should add a limit to a MySQL offset without limit', () => {
+    const { sql } = builder(new MySqlGrammar()).offset(5).toSql();
+    expect(sql).toBe(`SELECT * FROM \`users\` LIMIT ${Number.MAX_SAFE_INTEGER} OFFSET 5`);
+  });
+
+  test('should use LIMIT -1 for a SQLite offset without limit', () => {
+    const { sql } = builder(new SqliteGrammar()).offset(5).toSql();
+    expect(sql).toBe('SELECT * FROM "users" LIMIT -1 OFFSET 5');
+  });
+
+  test('should compile subqueries with the dialect of the outer query', () => {
+    const grammar = new PostgresGrammar();
+    const { sql, bindings } = builder(grammar)
+      .where('active', true)
+      .whereIn('id', q => q.from('orders').select('user_id').where('total', '>', 100))
+      .toSql();
+
+    expect(sql).toBe('SELECT * FROM "users" WHERE "active" = ? AND "id" IN (SELECT "user_id" FROM "orders" WHERE "total" > ?)');
+    expect(bindings).toEqual([true, 100]);
+  });
+
+  test('should append RETURNING on Postgres', () => {
+    const grammar = new PostgresGrammar();
+    const statements = { ...builder(grammar).where('id', 1)._statements, returning: ['id', 'updated_at'] };
+
+    expect(grammar.compileInsert(statements, { name: 'Ana' }).sql)
+      .toBe('INSERT INTO "users" ("name") VALUES (?) RETURNING "id", "updated_at"');
+    expect(grammar.compileUpdate(statements, { name: 'Ana' }))
+      .toEqual({ sql: 'UPDATE "users" SET "name" = ? WHERE "id" = ? RETURNING "id", "updated_at"', bindings: ['Ana', 1] });
+    expect(grammar.compileDelete(statements).sql)
+      .toBe('DELETE FROM "users" WHERE "id" = ? RETURNING "id", "updated_at"');
+  });
+
+  test('should append RETURNING ... INTO with out-binds on Oracle', () => {
+    const grammar = new OracleGrammar();
+    const { sql, bindings } = grammar.compileInsertWithReturning(builder(grammar)._statements, { name: 'Ana' }, 'id');
+
+    expect(sql).toBe('INSERT INTO "users" ("name") VALUES (?) RETURNING "id" INTO ?');
+    expect(bindings).toEqual(['Ana', { dir: 'out', column: 'id' }]);
+  });
+});
+
+describe('QueryBuilder: returning()', () => {
+  test.each([
+    ['postgres', new PostgresGrammar(), 'INSERT INTO "users" ("name") VALUES (?) RETURNING "id", "created_at"'],
+    ['mssql', new MssqlGrammar(), 'INSERT INTO [users] ([name]) OUTPUT INSERTED.[id], INSERTED.[created_at] VALUES (?)'],
+    ['oracle', new OracleGrammar(), 'INSERT INTO "users" ("name") VALUES (?) RETURNING "id", "created_at" INTO ?, ?'],
+  ])('should return the inserted rows from the statement itself on %s', async (_, grammar, expected) => {
+    const rows = [{ id: 1, created_at: 'now' }];
+    const client = { query: jest.fn().mockResolvedValue({ rowCount: 1, insertId: null, rows }) };
+    const query = new QueryBuilder(client, grammar).from('users').returning(['id', 'created_at']);
+
+    await expect(query.insert({ name: 'Ana' })).resolves.toBe(rows);
+    expect(client.query.mock.calls[0][0]).toBe(expected);
+  });
+
+  test('should compile OUTPUT DELETED and OUTPUT INSERTED for MSSQL writes', () => {
+    const grammar = new MssqlGrammar();
+    const statements = builder(grammar).where('id', 1).returning('id')._statements;
+
+    expect(grammar.compileUpdate(statements, { name: 'Ana' }).sql)
+      .toBe('UPDATE [users] SET [name] = ? OUTPUT INSERTED.[id] WHERE [id] = ?');
+    expect(grammar.compileDelete(statements).sql).toBe('DELETE FROM [users] OUTPUT DELETED.[id] WHERE [id] = ?');
+  });
+
+  test('should fetch the inserted row with LAST_INSERT_ID() on the same MySQL connection', async () => {
+    const trx = { query: jest.fn().mockResolvedValueOnce({ rowCount: 1, insertId: 7, rows: [] }).mockResolvedValueOnce([{ id: 7 }]) };
+    const client = { query: jest.fn(), transaction: jest.fn(callback => callback(trx)) };
+    const query = new QueryBuilder(client, new MySqlGrammar()).from('users').returning('id');
+
+    await expect(query.insert({ name: 'Ana' })).resolves.toEqual([{ id: 7 }]);
+    expect(client.query).not.toHaveBeenCalled();
+    expect(trx.query.mock.calls.map(call => call[0])).toEqual([
+      'INSERT INTO `users` (`name`) VALUES (?)',
+      'SELECT `id` FROM `users` WHERE `id` = LAST_INSERT_ID()',
+    ]);
+  });
+
+  test('should reject returning() on MySQL update and delete', () => {
+    const grammar = new MySqlGrammar();
+    const statements = builder(grammar).returning('id')._statements;
+
+    expect(() => grammar.compileUpdate(statements, { name: 'Ana' })).toThrow('returning()');
+    expect(() => grammar.compileDelete(statements)).toThrow('returning()');
+  });
+});
+
+describe('QueryBuilder: insert em lote', () => {
+  test('should insert several rows filling missing columns with DEFAULT', () => {
+    const { sql, bindings } = new PostgresGrammar().compileInsert(builder()._statements, [
+      { name: 'Ana', email: 'ana@x.com' },
+      { name: 'Bia', role: 'admin' },
+    ]);
+
+    expect(sql).toBe('INSERT INTO "users" ("name", "email", "role") VALUES (?, ?, DEFAULT), (?, DEFAULT, ?)');
+    expect(bindings).toEqual(['Ana', 'ana@x.com', 'Bia', 'admin']);
+  });
+
+  test('should use INSERT ALL with NULL for missing columns on Oracle', () => {
+    const { sql, bindings } = new OracleGrammar().compileInsert(builder()._statements, [{ name: 'Ana' }, { role: 'admin' }]);
+
+    expect(sql).toBe(
+      'INSERT ALL INTO "users" ("name", "role") VALUES (?, NULL) INTO "users" ("name", "role") VALUES (NULL, ?) SELECT 1 FROM DUAL'
+    );
+    expect(bindings).toEqual(['Ana', 'admin']);
+  });
+
+  test('should chunk MSSQL inserts by parameter and row limits', () => {
+    const grammar = new MssqlGrammar();
+    const statements = builder(grammar)._statements;
+    const rows = (count, columns) => Array.from({ length: count }, () => Object.fromEntries(columns.map(c => [c, 1])));
+
+    expect(grammar.chunkInsertRows(statements, rows(1500, ['a'])).map(c => c.length)).toEqual([1000, 500]);
+    expect(grammar.chunkInsertRows(statements, rows(800, ['a', 'b', 'c'])).map(c => c.length)).toEqual([699, 101]);
+    expect(new PostgresGrammar().chunkInsertRows(statements, rows(800, ['a', 'b', 'c']))).toHaveLength(1);
+  });
+
+  test('should keep MSSQL chunks within the 2098 parameters left by sp_executesql', () => {
+    const grammar = new MssqlGrammar();
+    const statements = builder(grammar)._statements;
+    const rows = (count, width) => Array.from({ length: count }, () => Object.fromEntries(Array.from({ length: width }, (_, i) => [`c${i}`, 1])));
+
+    expect(grammar.chunkInsertRows(statements, rows(2, 1049)).map(c => c.length)).toEqual([2]); // 2098 parâmetros
+    expect(grammar.chunkInsertRows(statements, rows(2, 1050)).map(c => c.length)).toEqual([1, 1]); // 2100 parâmetros
+  });
+
+  test('should count the merge() bindings of each statement against the MSSQL limit', () => {
+    const grammar = new MssqlGrammar();
+    const upsert = builder(grammar).onConflict(['c0']).merge({ updated_by: 'import', source: 'csv' });
+    const rows = (count, width) => Array.from({ length: count }, () => Object.fromEntries(Array.from({ length: width }, (_, i) => [`c${i}`, 1])));
+
+    const chunks = grammar.chunkInsertRows(upsert._statements, rows(2, 1049));
+    expect(chunks.map(c => c.length)).toEqual([1, 1]);
+    expect(grammar.compileInsert(upsert._statements, chunks[0]).bindings).toHaveLength(1051);
+    expect(grammar.chunkInsertRows(upsert._statements, rows(2, 1048)).map(c => c.length)).toEqual([2]); // 2096 + 2 parâmetros
+  });
+
+  test('should chunk Oracle INSERT ALL statements by the 999 target columns', () => {
+    const grammar = new OracleGrammar();
+    const statements = builder(grammar)._statements;
+    const rows = (count, columns) => Array.from({ length: count }, () => Object.fromEntries(columns.map(c => [c, 1])));
+
+    expect(grammar.chunkInsertRows(statements, rows(1400, ['a'])).map(c => c.length)).toEqual([999, 401]);
+    expect(grammar.chunkInsertRows(statements, rows(1400, ['a', 'b', 'c'])).map(c => c.length)).toEqual([333, 333, 333, 333, 68]);
+    expect(grammar.chunkInsertRows(statements, rows(2, Array.from({ length: 1000 }, (_, i) => `c${i}`))).map(c => c.length)).toEqual([1, 1]);
+  });
+
+  test('should run every chunk in one transaction', async () => {
+    const trx = { query: jest.fn().mockResolvedValueOnce({ rowCount: 1000, insertId: null, rows: [] }).mockResolvedValueOnce({ rowCount: 1, insertId: null, rows: [] }) };
+    const client = { query: jest.fn(), transaction: jest.fn(callback => callback(trx)) };
+    const rows = Array.from({ length: 1001 }, (_, i) => ({ id: i }));
+
+    await expect(new QueryBuilder(client, new MssqlGrammar()).from('users').insert(rows))
+      .resolves.toEqual({ rowCount: 1001, insertId: null, rows: [] });
+
+    expect(client.transaction).toHaveBeenCalledTimes(1);
+    expect(client.query).not.toHaveBeenCalled();
+    expect(trx.query.mock.calls.map(call => call[1].length)).toEqual([1000, 1]);
+  });
+
+  test('should return all inserted rows across chunks', async () => {
+    const trx = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rowCount: 1, insertId: null, rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rowCount: 1, insertId: null, rows: [{ id: 2 }] }),
+    };
+    const client = { transaction: jest.fn(callback => callback(trx)) };
+    const query = new QueryBuilder(client, new OracleGrammar()).from('users').returning('id');
+
+    await expect(query.insert([{ name: 'Ana' }, { name: 'Bia' }])).resolves.toEqual([{ id: 1 }, { id: 2 }]);
+    expect(trx.query.mock.calls[0][0]).toBe('INSERT INTO "users" ("name") VALUES (?) RETURNING "id" INTO ?');
+  });
+
+  test('should resolve an empty batch without running it', async () => {
+    const client = { query: jest.fn(), transaction: jest.fn() };
+    const query = () => new QueryBuilder(client, new PostgresGrammar()).from('users');
+
+    await expect(query().insert([])).resolves.toEqual({ rowCount: 0, insertId: null, rows: [] });
+    await expect(query().returning('id').insert([])).resolves.toEqual([]);
+    expect(client.query).not.toHaveBeenCalled();
+    expect(client.transaction).not.toHaveBeenCalled();
+  });
+
+  test('should reject returning() on a multi-row MySQL insert before running it', async () => {
+    const client = { query: jest.fn(), transaction: jest.fn() };
+    const query = new QueryBuilder(client, new MySqlGrammar()).from('users').returning('id', 'name');
+
+    await expect(query.insert([{ name: 'Ana' }, { name: 'Bia' }])).rejects.toThrow('returning() em um insert de uma linha');
+    expect(client.query).not.toHaveBeenCalled();
+    expect(client.transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('QueryBuilder: upsert', () => {
+  const rows = [{ email: 'ana@x.com', name: 'Ana' }, { email: 'bia@x.com', name: 'Bia' }];
+  const upsert = (grammar, configure) => {
+    const query = configure(builder(grammar).onConflict(['email']));
+    return grammar.compileInsert(query._statements, rows);
+  };
+
+  test('should compile ON CONFLICT on Postgres', () => {
+    const grammar = new PostgresGrammar();
+
+    expect(upsert(grammar, q => q.merge(['name'])).sql).toBe(
+      'INSERT INTO "users" ("email", "name") VALUES (?, ?), (?, ?) ON CONFLICT ("email") DO UPDATE SET "name" = EXCLUDED."name"'
+    );
+    expect(upsert(grammar, q => q.ignore().returning('id')).sql).toBe(
+      'INSERT INTO "users" ("email", "name") VALUES (?, ?), (?, ?) ON CONFLICT ("email") DO NOTHING RETURNING "id"'
+    );
+
+    const { sql, bindings } = upsert(grammar, q => q.merge({ name: 'fixed' }));
+    expect(sql).toMatch(/DO UPDATE SET "name" = \?$/);
+    expect(bindings).toEqual(['ana@x.com', 'Ana', 'bia@x.com', 'Bia', 'fixed']);
+  });
+
+  test('should require a conflict target for ON CONFLICT DO UPDATE', () => {
+    const untargeted = (grammar, configure) => grammar.compileInsert(configure(builder(grammar).onConflict())._statements, rows).sql;
+
+    for (const grammar of [new PostgresGrammar(), new SqliteGrammar()]) {
+      expect(() => untargeted(grammar, q => q.merge())).toThrow('exige as colunas de conflito em onConflict()');
+      expect(untargeted(grammar, q => q.ignore())).toMatch(/ON CONFLICT DO NOTHING$/);
+    }
+  });
+
+  test('should compile ON DUPLICATE KEY UPDATE and INSERT IGNORE on MySQL', () => {
+    const grammar = new MySqlGrammar();
+
+    expect(upsert(grammar, q => q.merge()).sql).toBe(
+      'INSERT INTO `users` (`email`, `name`) VALUES (?, ?), (?, ?) ON DUPLICATE KEY UPDATE `name` = VALUES(`name`)'
+    );
+    expect(upsert(grammar, q => q.ignore()).sql).toBe('INSERT IGNORE INTO `users` (`email`, `name`) VALUES (?, ?), (?, ?)');
+  });
+
+  test('should compile MERGE on MSSQL', () => {
+    expect(upsert(new MssqlGrammar(), q => q.merge().returning('id')).sql).toBe(
+      'MERGE INTO [users] AS target USING (VALUES (?, ?), (?, ?)) AS source ([email], [name]) ON target.[email] = source.[email]'
+      + ' WHEN MATCHED THEN UPDATE SET target.[name] = source.[name]'
+      + ' WHEN NOT MATCHED THEN INSERT ([email], [name]) VALUES (source.[email], source.[name]) OUTPUT INSERTED.[id];'
+    );
+  });
+
+  test('should compile MERGE on Oracle', () => {
+    expect(upsert(new OracleGrammar(), q => q.ignore()).sql).toBe(
+      'MERGE INTO "users" target USING (SELECT ? AS "email", ? AS "name" FROM DUAL UNION ALL SELECT ? AS "email", ? AS "name" FROM DUAL)'
+      + ' source ON (target."email" = source."email")'
+      + ' WHEN NOT MATCHED THEN INSERT ("email", "name") VALUES (source."email", source."name")'
+    );
+  });
+
+  test('should require merge() or ignore() after onConflict()', async () => {
+    const client = { query: jest.fn() };
+    const query = new QueryBuilder(client, new PostgresGrammar()).from('users').insert(rows).onConflict('email');
+
+    await expect(query).rejects.toThrow('merge() ou ignore()');
+    expect(() => builder().merge()).toThrow('onConflict()');
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test('should only run a query through an explicit method or an awaited insert', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rowCount: 1, insertId: null, rows: [] }) };
+    const query = new QueryBuilder(client, new BaseGrammar()).from('users').where('id', 1);
+
+    // Um builder comum não é "thenable": aguardá-lo (ex: retorná-lo de uma função async) não executa nada.
+    await expect(Promise.resolve(query)).resolves.toBe(query);
+    expect(client.query).not.toHaveBeenCalled();
+
+    const insert = new QueryBuilder(client, new BaseGrammar()).from('users').insert({ name: 'Ana' });
+    expect(client.query).not.toHaveBeenCalled();
+    await insert;
+    await insert;
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('should pass the timeout to every query of the builder', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rowCount: 1, rows: [] }) };
+    const query = () => new QueryBuilder(client, new BaseGrammar()).from('users').timeout(500, { cancel: true });
+
+    await query().where('id', 1).first();
+    await query().where('id', 1).delete();
+
+    expect(client.query.mock.calls.map(call => call[2])).toEqual([
+      { replica: true, timeout: 500, cancel: true },
+      { timeout: 500, cancel: true },
+    ]);
+    expect(() => query().timeout(0)).toThrow('inteiro positivo');
+  });
+});
+
+describe('Gramáticas: variantes MariaDB e CockroachDB', () => {
+  const rows = [{ email: 'ana@x.com', name: 'Ana' }];
+  const withVersion = (grammar, version) => {
+    grammar.setServerVersion(version);
+    return grammar;
+  };
+
+  test('should parse and compare server versions', () => {
+    const grammar = withVersion(new MariaDbGrammar(), '10.11.6-MariaDB-1:10.11.6+maria~ubu2204');
+
+    expect(grammar.serverVersion).toBe('10.11.6');
+    expect(grammar.versionAtLeast('10.5')).toBe(true);
+    expect(grammar.versionAtLeast('10.11.7')).toBe(false);
+    expect(withVersion(new CockroachDbGrammar(), 'CockroachDB CCL v23.1.11').serverVersion).toBe('23.1.11');
+    expect(new MySqlGrammar().versionAtLeast('5.0')).toBe(false);
+  });
+
+  test('should use the inserted row alias on MySQL 8.0.19+', () => {
+    const query = grammar => grammar.compileInsert(builder(grammar).onConflict('email').merge()._statements, rows).sql;
+
+    expect(query(withVersion(new MySqlGrammar(), '8.0.35'))).toBe(
+      'INSERT INTO `users` (`email`, `name`) VALUES (?, ?) AS `excluded` ON DUPLICATE KEY UPDATE `name` = `excluded`.`name`'
+    );
+    expect(query(withVersion(new MySqlGrammar(), '8.0.18'))).toMatch(/`name` = VALUES\(`name`\)$/);
+    expect(query(withVersion(new MariaDbGrammar(), '11.4.2'))).toMatch(/`name` = VALUES\(`name`\)$/);
+  });
+
+  test('should compile RETURNING on MariaDB only when the server supports it', () => {
+    const insert = grammar => grammar.compileInsert(builder(grammar).returning('id')._statements, rows).sql;
+    const remove = grammar => grammar.compileDelete(builder(grammar).where('id', 1).returning('id')._statements).sql;
+
+    const modern = withVersion(new MariaDbGrammar(), '10.6.0');
+    expect(insert(modern)).toBe('INSERT INTO `users` (`email`, `name`) VALUES (?, ?) RETURNING `id`');
+    expect(remove(modern)).toBe('DELETE FROM `users` WHERE `id` = ? RETURNING `id`');
+    expect(modern.compileReturningFetch({ from: 'users', returning: ['id'] }, 1)).toBeNull();
+
+    const unknown = new MariaDbGrammar();
+    expect(insert(unknown)).toBe('INSERT INTO `users` (`email`, `name`) VALUES (?, ?)');
+    expect(unknown.compileReturningFetch({ from: 'users', returning: ['id'] }, 1)).not.toBeNull();
+    expect(() => remove(unknown)).toThrow('MariaDB');
+  });
+
+  test('should compile a primary key merge to UPSERT on CockroachDB', () => {
+    const grammar = new CockroachDbGrammar();
+    const query = configure => grammar.compileInsert(configure(builder(grammar))._statements, rows).sql;
+
+    expect(query(q => q.onConflict().merge())).toBe('UPSERT INTO "users" ("email", "name") VALUES (?, ?)');
+    expect(query(q => q.onConflict('email').merge())).toMatch(/ON CONFLICT \("email"\) DO UPDATE/);
+  });
+});
+
+describe('QueryBuilder: resultado das escritas', () => {
+  test('should resolve update and delete to the affected row count or the returned rows', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rowCount: 2, insertId: null, rows: [{ id: 1 }, { id: 2 }] }) };
+    const query = () => new QueryBuilder(client, new PostgresGrammar()).from('users').where('active', false);
+
+    await expect(query().update({ active: true })).resolves.toBe(2);
+    await expect(query().delete()).resolves.toBe(2);
+    await expect(query().returning('id').delete()).resolves.toEqual([{ id: 1 }, { id: 2 }]);
+  });
+});
+
+describe('Gramáticas: início das transações', () => {
+  const options = { isolationLevel: 'serializable', readOnly: true };
+
+  test.each([
+    ['postgres', new PostgresGrammar(), ['BEGIN ISOLATION LEVEL SERIALIZABLE, READ ONLY']],
+    ['cockroachdb', new CockroachDbGrammar(), ['BEGIN ISOLATION LEVEL SERIALIZABLE, READ ONLY']],
+    ['mysql', new MySqlGrammar(), ['SET TRANSACTION ISOLATION LEVEL SERIALIZABLE', 'START TRANSACTION READ ONLY']],
+    ['mssql', new MssqlGrammar(), ['SET TRANSACTION ISOLATION LEVEL SERIALIZABLE', 'BEGIN TRANSACTION']],
+    ['oracle', new OracleGrammar(), ['SET TRANSACTION READ ONLY']],
+    ['sqlite', new SqliteGrammar(), ['PRAGMA query_only = ON', 'BEGIN']],
+  ])('should compile the isolation level and read-only mode for %s', (dialect, grammar, statements) => {
+    grammar.log = { warn: jest.fn() };
+    expect(grammar.compileBeginTransaction(options)).toEqual(statements);
+    expect(grammar.log.warn).toHaveBeenCalledTimes(['mssql', 'oracle'].includes(dialect) ? 1 : 0);
+  });
+
+  test('should start a plain transaction without options', () => {
+    expect(new MySqlGrammar().compileBeginTransaction()).toEqual(['BEGIN']);
+    expect(new OracleGrammar().compileBeginTransaction()).toEqual([]);
+    expect(new PostgresGrammar().compileBeginTransaction({ isolationLevel: 'SERIALIZABLE', readOnly: true, deferrable: true }))
+      .toEqual(['BEGIN ISOLATION LEVEL SERIALIZABLE, READ ONLY, DEFERRABLE']);
+  });
+
+  test('should reject isolation levels the dialect does not support', () => {
+    expect(new MssqlGrammar().compileBeginTransaction({ isolationLevel: 'snapshot' })).toEqual([
+      'SET TRANSACTION ISOLATION LEVEL SNAPSHOT', 'BEGIN TRANSACTION',
+    ]);
+    expect(() => new PostgresGrammar().compileBeginTransaction({ isolationLevel: 'snapshot' })).toThrow('"snapshot" não é suportado');
+    expect(() => new OracleGrammar().compileBeginTransaction({ isolationLevel: 'repeatable read' }))
+      .toThrow('Use \'read committed\', \'serializable\'.');
+  });
+
+  test('should reset the session only where the options outlive the transaction', () => {
+    expect(new PostgresGrammar().compileEndTransaction({ isolationLevel: 'serializable' })).toEqual([]);
+    expect(new SqliteGrammar().compileEndTransaction({ readOnly: true })).toEqual(['PRAGMA query_only = OFF']);
+  });
+});
+
+describe('Gramáticas: comandos de transação', () => {
+  test.each([
+    ['postgres', new PostgresGrammar(), ['COMMIT', 'ROLLBACK', 'SAVEPOINT sp', 'ROLLBACK TO SAVEPOINT sp', 'RELEASE SAVEPOINT sp']],
+    ['mysql', new MySqlGrammar(), ['COMMIT', 'ROLLBACK', 'SAVEPOINT sp', 'ROLLBACK TO SAVEPOINT sp', 'RELEASE SAVEPOINT sp']],
+    ['mssql', new MssqlGrammar(), ['COMMIT TRANSACTION', 'ROLLBACK TRANSACTION', 'SAVE TRANSACTION sp', 'ROLLBACK TRANSACTION sp', null]],
+    ['oracle', new OracleGrammar(), ['COMMIT', 'ROLLBACK', 'SAVEPOINT sp', 'ROLLBACK TO SAVEPOINT sp', null]],
+  ])('should compile the %s transaction verbs', (dialect, grammar, verbs) => {
+    expect([
+      grammar.compileCommit(),
+      grammar.compileRollback(),
+      grammar.compileSavepoint('sp'),
+      grammar.compileRollbackToSavepoint('sp'),
+      grammar.compileReleaseSavepoint('sp'),
+    ]).toEqual(verbs);
+  });
+
+  test.each([
+    ['postgres', new PostgresGrammar(), [['BEGIN'], ['PREPARE TRANSACTION \'tx-1\''], 'COMMIT PREPARED \'tx-1\'', 'ROLLBACK PREPARED \'tx-1\'', ['ROLLBACK']]],
+    ['mariadb', new MariaDbGrammar(), [
+      ['XA START \'tx-1\''], ['XA END \'tx-1\'', 'XA PREPARE \'tx-1\''], 'XA COMMIT \'tx-1\'', 'XA ROLLBACK \'tx-1\'', ['XA END \'tx-1\'', 'XA ROLLBACK \'tx-1\''],
+    ]],
+  ])('should compile the %s two-phase commit', (dialect, grammar, statements) => {
+    expect([
+      grammar.compileBeginTransaction({ xid: 'tx-1' }),
+      grammar.compilePrepareTransaction('tx-1'),
+      grammar.compileCommitPrepared('tx-1'),
+      grammar.compileRollbackPrepared('tx-1'),
+      grammar.compileRollbackBeforePrepare('tx-1'),
+    ]).toEqual(statements);
+  });
+
+  test('should reject prepared transactions where they are unsupported or the xid is unsafe', () => {
+    expect(new MySqlGrammar().compileBeginTransaction({ xid: 'tx-1', isolationLevel: 'serializable', readOnly: true }))
+      .toEqual(['SET TRANSACTION ISOLATION LEVEL SERIALIZABLE, READ ONLY', 'XA START \'tx-1\'']);
+    for (const grammar of [new MssqlGrammar(), new OracleGrammar(), new SqliteGrammar(), new CockroachDbGrammar()]) {
+      expect(() => grammar.transactionOptions({ xid: 'tx-1' })).toThrow('Este dialeto não suporta transações preparadas');
+    }
+    expect(() => new PostgresGrammar().transactionOptions({ xid: 'x\'; DROP TABLE users; --' })).toThrow(/O xid .* é inválido/);
+  });
+});
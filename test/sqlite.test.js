@@ -0,0 +1,208 @@
+// test/sqlite.test.js
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const easydbg = require('../lib');
+const Migrator = require('../lib/migrations/migrator');
+
+// O SQLite roda em memória, então estes testes não dependem de um servidor de banco de dados.
+describe('SQLite: banco em memória', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = easydbg({ client: 'sqlite', connection: { filename: ':memory:' } });
+    await db.schema.createTable('teams', (table) => {
+      table.increments('id');
+      table.string('name').notNullable().unique();
+    });
+    await db.schema.createTable('users', (table) => {
+      table.increments('id');
+      table.string('email').notNullable().unique();
+      table.string('name');
+      table.integer('team_id');
+      table.boolean('active').defaultTo(true);
+      table.foreign('team_id').references('id').on('teams').onDelete('CASCADE');
+      table.index(['name']);
+    });
+  });
+
+  afterEach(async () => {
+    await db.disconnect();
+  });
+
+  test('should normalize results, returning and upserts', async () => {
+    expect(await db.table('teams').insert({ name: 'core' })).toEqual({ rowCount: 1, insertId: 1, rows: [] });
+
+    const rows = await db.table('users')
+      .returning('id', 'email')
+      .insert([{ email: 'ana@x.com', team_id: 1 }, { email: 'bia@x.com' }]);
+    expect(rows).toEqual([{ id: 1, email: 'ana@x.com' }, { id: 2, email: 'bia@x.com' }]);
+
+    const upsert = await db.table('users').insert({ email: 'ana@x.com', name: 'Ana' }).onConflict('email').merge(['name']);
+    expect(upsert).toEqual({ rowCount: 1, insertId: null, rows: [] });
+
+    expect(await db.table('users').where('email', 'bia@x.com').update({ active: false })).toBe(1);
+    expect(await db.table('users').orderBy('id').offset(1).get()).toEqual([
+      { id: 2, email: 'bia@x.com', name: null, team_id: null, active: 0 },
+    ]);
+  });
+
+  test('should roll back a failed transaction', async () => {
+    await expect(db.transaction(async (trx) => {
+      await trx.table('teams').insert({ name: 'core' });
+      await trx.table('teams').insert({ name: 'core' });
+    })).rejects.toThrow(easydbg.errors.QueryError);
+
+    expect(await db.table('teams').count()).toBe(0);
+  });
+
+  test('should keep a released savepoint and undo a failed one', async () => {
+    await db.transaction(async (trx) => {
+      await trx.transaction(inner => inner.table('teams').insert({ name: 'core' }));
+      await expect(trx.transaction(async (inner) => {
+        await inner.table('teams').insert({ name: 'web' });
+        await inner.table('teams').insert({ name: 'core' });
+      })).rejects.toThrow(easydbg.errors.UniqueViolationError);
+    });
+
+    expect(await db.table('teams').select('name').get()).toEqual([{ name: 'core' }]);
+  });
+
+  test('should run implicit queries in the active transaction and undo them with it', async () => {
+    const implicit = easydbg({ client: 'sqlite', connection: { filename: ':memory:' }, implicitTransactions: true });
+    await implicit.schema.createTable('teams', table => table.string('name').unique());
+
+    await expect(implicit.transaction(async () => {
+      await implicit.table('teams').insert({ name: 'core' });
+      await implicit.transaction(() => implicit.table('teams').insert({ name: 'core' }), { propagation: 'NESTED' }).catch(() => {});
+      await implicit.schema.alterTable('teams', table => table.string('slug'));
+      expect(await implicit.table('teams').select('name').get()).toEqual([{ name: 'core' }]);
+      throw new Error('falhou');
+    })).rejects.toThrow('falhou');
+
+    expect(await implicit.table('teams').count()).toBe(0);
+    await implicit.disconnect();
+  });
+
+  test('should run afterCommit once the connection can be used again', async () => {
+    let committed;
+    await db.transaction(async (trx) => {
+      await trx.table('teams').insert({ name: 'core' });
+      trx.afterCommit(async () => {
+        committed = await db.table('teams').count();
+      });
+    });
+
+    expect(committed).toBe(1);
+  });
+
+  test('should roll back a manual transaction and release the connection', async () => {
+    const trx = await db.beginTransaction();
+    await trx.table('teams').insert({ name: 'core' });
+    expect(await trx.table('teams').count()).toBe(1);
+    await trx.rollback();
+
+    expect(await db.table('teams').count()).toBe(0);
+    await expect(trx.table('teams').count()).rejects.toThrow(easydbg.errors.TransactionError);
+  });
+
+  test('should reject writes in a read-only transaction and restore the connection', async () => {
+    await expect(db.transaction(trx => trx.table('teams').insert({ name: 'core' }), { readOnly: true }))
+      .rejects.toThrow(easydbg.errors.QueryError);
+    await expect(db.transaction(() => {}, { isolationLevel: 'chaos' })).rejects.toThrow('"chaos" não é suportado');
+
+    await db.table('teams').insert({ name: 'core' });
+    expect(await db.transaction(trx => trx.table('teams').count(), { isolationLevel: 'serializable', readOnly: true })).toBe(1);
+  });
+
+  test('should raise typed errors with the table and column involved', async () => {
+    const { UniqueViolationError, NotNullViolationError, ForeignKeyViolationError, UndefinedTableError } = easydbg.errors;
+    await db.table('teams').insert({ name: 'core' });
+
+    await expect(db.table('teams').insert({ name: 'core' })).rejects.toMatchObject({
+      constructor: UniqueViolationError, table: 'teams', column: 'name',
+    });
+    await expect(db.table('users').insert({ name: 'Ana' })).rejects.toMatchObject({
+      constructor: NotNullViolationError, table: 'users', column: 'email',
+    });
+    await expect(db.table('users').insert({ email: 'ana@x.com', team_id: 42 })).rejects.toThrow(ForeignKeyViolationError);
+    await expect(db.table('projects').get()).rejects.toMatchObject({ constructor: UndefinedTableError, table: 'projects' });
+  });
+
+  test('should rebuild the table to drop a column, keeping data, keys and indexes', async () => {
+    await db.table('teams').insert({ name: 'core' });
+    await db.table('users').insert({ email: 'ana@x.com', name: 'Ana', team_id: 1 });
+
+    await db.schema.alterTable('users', (table) => {
+      table.dropColumn('active');
+      table.integer('score').notNullable().defaultTo(0);
+      table.renameColumn('name', 'nickname');
+    });
+
+    expect(await db.table('users').get()).toEqual([
+      { id: 1, email: 'ana@x.com', nickname: 'Ana', team_id: 1, score: 0 },
+    ]);
+    const indexes = await db.query('select name from sqlite_master where type = \'index\' and sql is not null');
+    expect(indexes).toEqual([{ name: 'users_name_index' }]);
+
+    // A chave estrangeira com ON DELETE CASCADE foi preservada.
+    await db.table('teams').delete();
+    expect(await db.table('users').count()).toBe(0);
+    expect(await db.query('pragma foreign_keys')).toEqual([{ foreign_keys: 1 }]);
+  });
+
+  test('should undo the rebuild when it violates a foreign key', async () => {
+    await db.query('pragma foreign_keys = off');
+    await db.table('users').insert({ email: 'bia@x.com', team_id: 99 });
+    await db.query('pragma foreign_keys = on');
+
+    await expect(db.schema.alterTable('users', table => table.dropColumn('name'))).rejects.toThrow(/chave\(s\) estrangeira\(s\)/);
+    const columns = await db.query('select name from pragma_table_info(\'users\')');
+    expect(columns.map(c => c.name)).toContain('name');
+  });
+
+  test('should refuse to rebuild a table inside a transaction, keeping the cascading children', async () => {
+    await db.table('teams').insert({ name: 'core' });
+    await db.table('users').insert({ email: 'ana@x.com', team_id: 1 });
+
+    await expect(db.transaction(trx => trx.schema.alterTable('teams', table => table.dropColumn('name'))))
+      .rejects.toThrow('A alteração da tabela "teams" exige recriá-la, o que não pode ser feito dentro de uma transação');
+
+    const implicit = easydbg({ client: 'sqlite', connection: { filename: ':memory:' }, implicitTransactions: true });
+    await implicit.schema.createTable('tags', (table) => {
+      table.increments('id');
+      table.string('name');
+    });
+    await expect(implicit.transaction(() => implicit.schema.alterTable('tags', table => table.dropColumn('name'))))
+      .rejects.toThrow(/exige recriá-la/);
+    await implicit.disconnect();
+
+    expect(await db.table('users').count()).toBe(1);
+    const columns = await db.query('select name from pragma_table_info(\'teams\')');
+    expect(columns.map(c => c.name)).toContain('name');
+  });
+
+  test('should run and roll back migrations', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'easydbg-migrations-'));
+    fs.writeFileSync(path.join(directory, '20260101000000_create_posts.js'), `
+      exports.up = db => db.schema.createTable('posts', table => { table.increments('id'); table.string('title'); });
+      exports.down = db => db.schema.dropTableIfExists('posts');
+    `);
+    const migrator = new Migrator(db, { directory });
+
+    try {
+      expect(await migrator.latest()).toEqual(['20260101000000_create_posts.js']);
+      expect(await migrator.repository.getLastBatchNumber()).toBe(1);
+      expect(await db.schema.hasTable('posts')).toBe(true);
+
+      expect(await migrator.rollback()).toEqual(['20260101000000_create_posts.js']);
+      expect(await migrator.repository.getLastBatchNumber()).toBe(0);
+      expect(await db.schema.hasTable('posts')).toBe(false);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});